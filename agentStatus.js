@@ -7,12 +7,14 @@
 //   node -r dotenv/config agentStatus.js mc_int 2025-07-02T08:00:00Z 2025-07-02T12:00:00Z report.csv
 //
 // The script automatically handles pagination, retries (exp backoff),
-// and self-signed certificates (inherits httpsAgent from tokenService).
+// and the tenant's TLS mode (the HTTPS agent comes with its upstream settings,
+// see tenantRegistry.getUpstream).
 
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
-import { getPortalToken, httpsAgent } from './tokenService.js';
+import { withPortalToken } from './tokenService.js';
+import { getUpstream } from './tenantRegistry.js';
 
 const MAX_RETRIES = 3;
 
@@ -52,7 +54,8 @@ export async function fetchAgentStatus(
   { startDate, endDate, name, extension } = {}
 ) {
   // Use env-configurable endpoint; fall back to the common REST path.
-  const url = `${process.env.BASE_URL}${process.env.AGENT_STATUS_ENDPOINT || '/api/v2/reports/callcenter/agents/stats'}`;
+  const upstream = await getUpstream(acct);
+  const url = `${upstream.baseUrl}${process.env.AGENT_STATUS_ENDPOINT || '/api/v2/reports/callcenter/agents/stats'}`;
   const records = [];
   let startKey;
 
@@ -67,22 +70,22 @@ export async function fetchAgentStatus(
           ...(startKey && { start_key: startKey })
         };
 
-        // Obtain JWT once and log the first 40 chars for debugging
-        const token = await getPortalToken(acct);
-        console.log('REQ', url, params, {
-          'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? acct,
-          'X-User-Agent': 'portal',
-          Authorization: `Bearer ${token ? token.slice(0,40) + '…' : 'undefined'}`
-        });
-
-        const { data } = await axios.get(url, {
-          params,
-          headers: {
-            'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? acct,
+        // Obtain JWT (renewed once on 401) and log the first 40 chars for debugging
+        const { data } = await withPortalToken(acct, token => {
+          console.log('REQ', url, params, {
+            'X-Account-ID': upstream.accountHeader,
             'X-User-Agent': 'portal',
-            Authorization: `Bearer ${token}`
-          },
-          httpsAgent
+            Authorization: `Bearer ${token ? token.slice(0,40) + '…' : 'undefined'}`
+          });
+          return axios.get(url, {
+            params,
+            headers: {
+              'X-Account-ID': upstream.accountHeader,
+              'X-User-Agent': 'portal',
+              Authorization: `Bearer ${token}`
+            },
+            httpsAgent: upstream.httpsAgent
+          });
         });
 
         let chunk;
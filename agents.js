@@ -0,0 +1,242 @@
+// agents.js
+// Per-agent reporting built on agentStatus.js and the call reports.
+//
+//   GET /api/agents/scorecard?account=&start=<ISO>&end=<ISO>&source=upstream|warehouse
+//   GET /api/agents/status?account=&start=<ISO>&end=<ISO>&name=&extension=
+//
+// The scorecard combines, per agent extension:
+//   • agent status / activity stats (fetchAgentStatus)
+//   • inbound and outbound queue calls – one offer per agent leg in
+//     agent_history; a connected leg is a handled call, an unconnected one a
+//     missed offer; talked_duration is credited to the connected agent
+//   • campaign activity – agent_extension, agent_talk_time, agent_disposition
+// and reports handled calls, missed offers, talk time, average handle time
+// (talk time / handled calls) and a disposition breakdown.
+//
+// The status endpoint serves the Agents Status & Activity report as-is
+// (fetchAgentStatus handles paging and the keyed response shape).
+//
+// The router is mounted in server.js behind requireAuth; supervisors only see
+// calls from their own queues / campaigns (applyUserScope).
+
+import express from 'express';
+import { fetchAgentStatus } from './agentStatus.js';
+import { applyUserScope, hasPermission, requireTenantAccess, requirePermission } from './auth.js';
+import { recordAudit } from './audit.js';
+import { iterateReport } from './exporter.js';
+import { iterateWarehouse } from './warehouse.js';
+
+const SCORECARD_TYPES = ['queueCalls', 'queueOutboundCalls', 'campaignsActivity'];
+
+function parseHistory(hist) {
+  if (typeof hist === 'string') {
+    try { return JSON.parse(hist); } catch { return []; }
+  }
+  return Array.isArray(hist) ? hist : [];
+}
+
+function seconds(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+const fullName = (first, last) => `${first ?? ''} ${last ?? ''}`.trim();
+
+function emptyAgent(extension) {
+  return {
+    extension,
+    name: '',
+    handled: 0,
+    missed: 0,
+    inbound: 0,
+    outbound: 0,
+    campaign: 0,
+    talkTime: 0,
+    dispositions: {},
+    handledCalls: new Set(),   // call ids, dropped before responding
+    missedCalls: new Set()
+  };
+}
+
+/**
+ * Build the scorecard for a window.
+ *
+ * @param {object}   opts
+ * @param {string[]} opts.types   – subset of the queue / campaign report types.
+ * @param {string}   opts.tenant
+ * @param {object}   opts.params  – { startDate, endDate } in epoch seconds.
+ * @param {'upstream'|'warehouse'} [opts.source='upstream']
+ * @param {object}   [opts.user]  – req.user, for supervisor scoping.
+ * @returns {Promise<{agents:object[], statusError:string|null}>}
+ */
+export async function computeScorecard({ types, tenant, params, source = 'upstream', user }) {
+  const agents = new Map();   // extension ⇒ running totals
+  const agentFor = (ext, name) => {
+    const key = String(ext);
+    if (!agents.has(key)) agents.set(key, emptyAgent(key));
+    const agent = agents.get(key);
+    if (name && !agent.name) agent.name = name;
+    return agent;
+  };
+  const countDisposition = (agent, disposition) => {
+    if (disposition) agent.dispositions[disposition] = (agent.dispositions[disposition] || 0) + 1;
+  };
+
+  for (const type of types) {
+    const pages = source === 'warehouse' ? iterateWarehouse(type, tenant, params) : iterateReport(type, tenant, params);
+    for await (const page of pages) {
+      const rows = user ? await applyUserScope(user, type, page) : page;
+      for (const row of rows) {
+        const callId = row.call_id ?? row.callid;
+
+        if (type === 'campaignsActivity') {
+          if (!row.agent_extension) continue;
+          const agent = agentFor(row.agent_extension, row.agent_name);
+          if (callId && agent.handledCalls.has(callId)) continue;
+          if (callId) agent.handledCalls.add(callId);
+          agent.handled++;
+          agent.campaign++;
+          agent.talkTime += seconds(row.agent_talk_time);
+          countDisposition(agent, row.agent_disposition);
+          continue;
+        }
+
+        // Queue calls: every leg is an offer to one agent
+        const legs = parseHistory(row.agent_history).filter(h => h?.ext);
+        const connected = legs.find(h => h.connected);
+        for (const leg of legs) {
+          const agent = agentFor(leg.ext, fullName(leg.first_name, leg.last_name));
+          if (leg === connected) continue;
+          // Ignore repeated rings of the same call to the same agent
+          if (callId && (agent.missedCalls.has(callId) || agent.handledCalls.has(callId))) continue;
+          if (callId) agent.missedCalls.add(callId);
+          agent.missed++;
+        }
+        if (connected) {
+          const agent = agentFor(connected.ext);
+          if (callId && agent.handledCalls.has(callId)) continue;
+          if (callId) {
+            agent.handledCalls.add(callId);
+            // An earlier ring of this call to the same agent was not a miss after all
+            if (agent.missedCalls.delete(callId)) agent.missed--;
+          }
+          agent.handled++;
+          agent[type === 'queueCalls' ? 'inbound' : 'outbound']++;
+          agent.talkTime += seconds(row.talked_duration);
+          countDisposition(agent, row.agent_disposition);
+        }
+      }
+    }
+  }
+
+  // Status / activity stats from the agents report (ms window)
+  let statusError = null;
+  const status = new Map();
+  try {
+    const records = await fetchAgentStatus(tenant, { startDate: params.startDate * 1000, endDate: params.endDate * 1000 });
+    for (const r of records) status.set(String(r.extension), r);
+  } catch (err) {
+    statusError = err.response?.data?.error?.message ?? err.message;
+    console.error('❌ Agent status fetch failed:', err.response?.data || err.message);
+  }
+
+  // Supervisors only get agents who worked their queues; others also see idle agents
+  if (user?.role !== 'supervisor') {
+    for (const [ext, r] of status) agentFor(ext, r.name ?? fullName(r.first_name, r.last_name));
+  }
+
+  const list = [...agents.values()].map(({ handledCalls, missedCalls, ...a }) => {
+    const stats = status.get(a.extension) ?? null;
+    return {
+      ...a,
+      name: a.name || stats?.name || fullName(stats?.first_name, stats?.last_name),
+      offered: a.handled + a.missed,
+      answerRate: a.handled + a.missed ? Math.round((a.handled / (a.handled + a.missed)) * 1000) / 10 : null,
+      averageHandleTime: a.handled ? Math.round(a.talkTime / a.handled) : null,
+      status: stats
+    };
+  });
+  list.sort((a, b) => b.handled - a.handled || a.extension.localeCompare(b.extension, undefined, { numeric: true }));
+  return { agents: list, statusError };
+}
+
+export const agentsRouter = express.Router();
+
+agentsRouter.get('/scorecard', requireTenantAccess, requirePermission('reports:agentScorecard'), async (req, res) => {
+  const { account } = req;   // checked by requireTenantAccess
+  const { start, end } = req.query;
+  const source = req.query.source || process.env.REPORT_SOURCE || 'upstream';
+
+  if (!account) {
+    return res.status(400).json({ error: 'Missing account query param' });
+  }
+  if (!start || !end) {
+    return res.status(400).json({ error: 'start and end are required' });
+  }
+  if (!['upstream', 'warehouse'].includes(source)) {
+    return res.status(400).json({ error: `Unknown source: ${source}` });
+  }
+  const startDate = Date.parse(start);
+  const endDate = Date.parse(end);
+  if (Number.isNaN(startDate)) return res.status(400).json({ error: 'Invalid start date' });
+  if (Number.isNaN(endDate)) return res.status(400).json({ error: 'Invalid end date' });
+
+  const types = SCORECARD_TYPES.filter(t => hasPermission(req.user.role, `reports:${t}`));
+  try {
+    const result = await computeScorecard({
+      types,
+      tenant: account,
+      params: { startDate: Math.floor(startDate / 1000), endDate: Math.floor(endDate / 1000) },
+      source,
+      user: req.user
+    });
+    recordAudit(req, {
+      action: 'report.query',
+      tenant: account,
+      reportType: 'agentScorecard',
+      start,
+      end,
+      details: { agents: result.agents.length, source }
+    });
+    res.json({ types, ...result });
+  } catch (err) {
+    const upstreamErr = err.response?.data?.error;
+    const msg = (typeof upstreamErr === 'string') ? upstreamErr : upstreamErr?.message || err.message;
+    console.error(err.response?.data || err.stack || err.message);
+    res.status(500).json({ error: msg });
+  }
+});
+
+agentsRouter.get('/status', requireTenantAccess, requirePermission('reports:agentStatus'), async (req, res) => {
+  const { account } = req;   // checked by requireTenantAccess
+  const { start, end, name, extension } = req.query;
+
+  if (!account) {
+    return res.status(400).json({ error: 'Missing account query param' });
+  }
+  if (!start || !end) {
+    return res.status(400).json({ error: 'start and end are required' });
+  }
+  const startDate = Date.parse(start);
+  const endDate = Date.parse(end);
+  if (Number.isNaN(startDate)) return res.status(400).json({ error: 'Invalid start date' });
+  if (Number.isNaN(endDate)) return res.status(400).json({ error: 'Invalid end date' });
+
+  try {
+    const data = await fetchAgentStatus(account, { startDate, endDate, name, extension });
+    recordAudit(req, {
+      action: 'report.query',
+      tenant: account,
+      reportType: 'agentStatus',
+      start,
+      end,
+      details: { rows: data.length, ...(name && { name }), ...(extension && { extension }) }
+    });
+    res.json({ data });
+  } catch (err) {
+    const upstreamErr = err.response?.data?.error;
+    const msg = (typeof upstreamErr === 'string') ? upstreamErr : upstreamErr?.message || err.message;
+    console.error(err.response?.data || err.stack || err.message);
+    res.status(500).json({ error: msg });
+  }
+});
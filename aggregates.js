@@ -0,0 +1,166 @@
+// aggregates.js
+// Server-side aggregation behind the charts page (public/dashboard.html), so
+// supervisors see the shape of the day without paging through raw rows.
+//
+//   GET /api/aggregates?account=&start=<ISO>&end=<ISO>&interval=15m|hour|day
+//                      &source=upstream|warehouse
+//
+// One pass over every report type the role may view (rows normalized and
+// de-duplicated by Call ID exactly like the dashboard table) produces:
+//   volume        – calls per interval by Type (Inbound / Outbound / Campaign / CDR)
+//   queues        – offered / abandoned / abandon rate per inbound queue
+//   heatmap       – inbound arrivals per local day × hour
+//   dispositions  – most frequent agent dispositions
+// All buckets use the wall clock of the zone resolveTimeZone() gives the
+// user for the tenant (tenantRegistry.js), returned as `timeZone`.
+//
+// The router is mounted in server.js behind requireAuth; supervisors only see
+// their own queues / campaigns (applyUserScope).
+
+import express from 'express';
+import { applyUserScope, hasPermission, requireTenantAccess } from './auth.js';
+import { recordAudit } from './audit.js';
+import { COMBINED_TYPES, iterateReport } from './exporter.js';
+import { iterateWarehouse } from './warehouse.js';
+import { REPORT_SOURCES, normalizeRow, prepareRow, toDate } from './normalize.js';
+import { KPI_INTERVALS } from './kpis.js';
+import { DEFAULT_TIME_ZONE, intervalStart, localDate, zonedParts } from './timeZones.js';
+import { resolveTimeZone } from './tenantRegistry.js';
+
+const TOP_DISPOSITIONS = 10;
+export const VOLUME_TYPES = ['Inbound', 'Outbound', 'Campaign', 'CDR'];
+
+/**
+ * Build the chart datasets for a window.
+ *
+ * @param {object}   opts
+ * @param {string[]} opts.types    – report types to read.
+ * @param {string}   opts.tenant
+ * @param {object}   opts.params   – { startDate, endDate } in epoch seconds.
+ * @param {string}   [opts.interval='hour'] – key of KPI_INTERVALS.
+ * @param {'upstream'|'warehouse'} [opts.source='upstream']
+ * @param {object}   [opts.user]   – req.user, for supervisor scoping.
+ * @param {string}   [opts.timeZone=DEFAULT_TIME_ZONE] – zone buckets are aligned in.
+ * @returns {Promise<object>}
+ */
+export async function computeAggregates({ types, tenant, params, interval = 'hour', source = 'upstream', user, timeZone = DEFAULT_TIME_ZONE }) {
+  const size = KPI_INTERVALS[interval];
+  const volume = new Map();        // intervalStart ⇒ { Inbound, Outbound, … }
+  const queues = new Map();        // queue ⇒ { offered, abandoned }
+  const heatmap = new Map();       // local date ⇒ number[24]
+  const dispositions = new Map();  // disposition ⇒ count
+  const seenCallIds = new Set();
+  let total = 0;
+
+  for (const type of types) {
+    const pages = source === 'warehouse' ? iterateWarehouse(type, tenant, params) : iterateReport(type, tenant, params);
+    for await (const page of pages) {
+      const rows = user ? await applyUserScope(user, type, page) : page;
+      for (const raw of rows) {
+        const row = prepareRow(raw);
+        const rec = normalizeRow(row, REPORT_SOURCES[type], { timeZone });
+
+        // Deduplicate by Call ID irrespective of Type, like the dashboard
+        const callId = rec['Call ID'];
+        if (callId) {
+          if (seenCallIds.has(callId)) continue;
+          seenCallIds.add(callId);
+        }
+        const calledAt = toDate(rec['Called Time']);
+        if (!calledAt) continue;
+        total++;
+
+        const bucketKey = intervalStart(calledAt, size, timeZone).toISOString();
+        if (!volume.has(bucketKey)) volume.set(bucketKey, Object.fromEntries(VOLUME_TYPES.map(t => [t, 0])));
+        volume.get(bucketKey)[rec.Type]++;
+
+        if (type === 'queueCalls') {
+          const queue = rec['Queue / Campaign Name'] || '(no queue)';
+          if (!queues.has(queue)) queues.set(queue, { offered: 0, abandoned: 0 });
+          const q = queues.get(queue);
+          q.offered++;
+          // fetchReport derives `abandoned`; fall back to the agent-history rule
+          if ((raw.abandoned ?? rec.Abandoned) === 'YES') q.abandoned++;
+
+          const day = localDate(calledAt, timeZone);
+          if (!heatmap.has(day)) heatmap.set(day, new Array(24).fill(0));
+          heatmap.get(day)[zonedParts(calledAt, timeZone).hour]++;
+        }
+
+        const disposition = rec['Agent Disposition'];
+        if (disposition) dispositions.set(disposition, (dispositions.get(disposition) || 0) + 1);
+      }
+    }
+  }
+
+  return {
+    total,
+    volume: [...volume.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([start, counts]) => ({ intervalStart: start, ...counts })),
+    queues: [...queues.entries()]
+      .map(([queue, q]) => ({ queue, ...q, abandonRate: q.offered ? Math.round((q.abandoned / q.offered) * 1000) / 10 : null }))
+      .sort((a, b) => b.offered - a.offered),
+    heatmap: [...heatmap.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([day, hours]) => ({ day, hours })),
+    dispositions: [...dispositions.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_DISPOSITIONS)
+      .map(([disposition, count]) => ({ disposition, count }))
+  };
+}
+
+export const aggregatesRouter = express.Router();
+
+aggregatesRouter.get('/', requireTenantAccess, async (req, res) => {
+  const { account } = req;   // checked by requireTenantAccess
+  const { start, end } = req.query;
+  const interval = req.query.interval || 'hour';
+  const source = req.query.source || process.env.REPORT_SOURCE || 'upstream';
+
+  if (!account) {
+    return res.status(400).json({ error: 'Missing account query param' });
+  }
+  if (!start || !end) {
+    return res.status(400).json({ error: 'start and end are required' });
+  }
+  if (!KPI_INTERVALS[interval]) {
+    return res.status(400).json({ error: `interval must be one of: ${Object.keys(KPI_INTERVALS).join(', ')}` });
+  }
+  if (!['upstream', 'warehouse'].includes(source)) {
+    return res.status(400).json({ error: `Unknown source: ${source}` });
+  }
+  const startDate = Date.parse(start);
+  const endDate = Date.parse(end);
+  if (Number.isNaN(startDate)) return res.status(400).json({ error: 'Invalid start date' });
+  if (Number.isNaN(endDate)) return res.status(400).json({ error: 'Invalid end date' });
+
+  const types = COMBINED_TYPES.filter(t => hasPermission(req.user.role, `reports:${t}`));
+  try {
+    const timeZone = await resolveTimeZone(req.user, account);
+    const result = await computeAggregates({
+      types,
+      tenant: account,
+      params: { startDate: Math.floor(startDate / 1000), endDate: Math.floor(endDate / 1000) },
+      interval,
+      source,
+      user: req.user,
+      timeZone
+    });
+    recordAudit(req, {
+      action: 'report.query',
+      tenant: account,
+      reportType: 'aggregates',
+      start,
+      end,
+      details: { types, interval, rows: result.total, source }
+    });
+    res.json({ interval, timeZone, types, ...result });
+  } catch (err) {
+    const upstreamErr = err.response?.data?.error;
+    const msg = (typeof upstreamErr === 'string') ? upstreamErr : upstreamErr?.message || err.message;
+    console.error(err.response?.data || err.stack || err.message);
+    res.status(500).json({ error: msg });
+  }
+});
@@ -0,0 +1,450 @@
+// alerts.js
+// Threshold alerts on queue metrics. Rules are stored in MySQL and evaluated
+// every minute (ALERT_CRON) against the inbound queue calls fetchReport
+// returns; a breach opens an alert and POSTs a JSON payload to the rule's
+// webhook.
+//
+//   GET    /api/alerts/rules           – list rules                 (alerts:manage)
+//   POST   /api/alerts/rules           – create one                 (alerts:manage)
+//   GET    /api/alerts/rules/:id       – one rule                   (alerts:manage)
+//   PUT    /api/alerts/rules/:id       – update (fields not sent are kept)
+//   DELETE /api/alerts/rules/:id       – delete it and its history
+//   POST   /api/alerts/evaluate        – evaluate every rule now     (alerts:manage)
+//   GET    /api/alerts/events          – alert history (?status=&ruleId=&limit=)  (alerts:view)
+//   POST   /api/alerts/events/:id/ack  – acknowledge an alert        (alerts:view)
+//
+// A rule is { name, account, metric, queue, threshold, windowMinutes,
+// minCalls, cooldownMinutes, webhookUrl, enabled }; an empty queue watches
+// every queue separately. Metrics over the last windowMinutes:
+//   abandon_rate – % of finished calls abandoned (only once minCalls finished)
+//   max_wait     – longest wait in seconds, including callers still waiting
+//
+// Lifecycle per rule and queue:
+//   • breach, no active alert     → open a new alert (not within cooldownMinutes
+//                                   of the previous one) and notify
+//   • breach, alert still open    → remind every cooldownMinutes until acknowledged
+//   • breach, alert acknowledged  → stay quiet
+//   • back under the threshold    → resolve the alert and notify
+//
+// The router is mounted in server.js behind requireAuth; startAlerting() is
+// called once the HTTP server is listening.
+
+import express from 'express';
+import axios from 'axios';
+import cron from 'node-cron';
+import { pool } from './db.js';
+import { bodyWithAccount, getUserAccess, getUserTenants, requirePermission, requireTenantAccess } from './auth.js';
+import { recordAudit } from './audit.js';
+import { iterateReport } from './exporter.js';
+import { toDate } from './normalize.js';
+
+export const ALERT_METRICS = ['abandon_rate', 'max_wait'];
+const ALERT_CRON = process.env.ALERT_CRON || '* * * * *';
+const WEBHOOK_TIMEOUT = 10_000;
+
+let task = null;
+let currentPass = null;
+
+// Validation failures are reported to the client as 400s
+class ValidationError extends Error {}
+
+// ---------------- Validation / mapping ----------------
+
+// DB row → API shape
+function toPublic(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    account: row.tenant,
+    metric: row.metric,
+    queue: row.queue_name,
+    threshold: Number(row.threshold),
+    windowMinutes: row.window_minutes,
+    minCalls: row.min_calls,
+    cooldownMinutes: row.cooldown_minutes,
+    webhookUrl: row.webhook_url,
+    enabled: Boolean(row.enabled),
+    lastEvaluatedAt: row.last_evaluated_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function wholeNumber(value, field, fallback) {
+  const n = value === undefined || value === null || value === '' ? fallback : Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new ValidationError(`${field} must be a whole number`);
+  return n;
+}
+
+// Validate an API body (merged over `current` for updates) into DB columns
+function toColumns(body, current = {}) {
+  const r = { ...current, ...body };
+
+  if (!r.name || !String(r.name).trim()) throw new ValidationError('Name required');
+  if (!r.account) throw new ValidationError('Account required');
+  if (!ALERT_METRICS.includes(r.metric)) throw new ValidationError(`Metric must be one of: ${ALERT_METRICS.join(', ')}`);
+
+  const threshold = Number(r.threshold);
+  if (r.threshold === '' || r.threshold == null || !Number.isFinite(threshold) || threshold < 0) {
+    throw new ValidationError('Threshold must be a number');
+  }
+  if (r.metric === 'abandon_rate' && threshold > 100) throw new ValidationError('Abandon rate threshold is a percentage (0–100)');
+
+  const windowMinutes = wholeNumber(r.windowMinutes, 'windowMinutes', 30);
+  if (windowMinutes < 1 || windowMinutes > 24 * 60) throw new ValidationError('windowMinutes must be between 1 and 1440');
+
+  let webhookUrl = null;
+  if (r.webhookUrl) {
+    try {
+      const url = new URL(r.webhookUrl);
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+      webhookUrl = url.toString();
+    } catch {
+      throw new ValidationError('webhookUrl must be an http(s) URL');
+    }
+  }
+
+  return {
+    name: String(r.name).trim(),
+    tenant: r.account,
+    metric: r.metric,
+    queue_name: r.queue ? String(r.queue).trim() : null,
+    threshold,
+    window_minutes: windowMinutes,
+    min_calls: wholeNumber(r.minCalls, 'minCalls', 5),
+    cooldown_minutes: wholeNumber(r.cooldownMinutes, 'cooldownMinutes', 15),
+    webhook_url: webhookUrl,
+    enabled: r.enabled === undefined ? 1 : (r.enabled ? 1 : 0)
+  };
+}
+
+async function loadRule(id) {
+  const [rows] = await pool.query('SELECT * FROM alert_rules WHERE id = ?', [id]);
+  return rows[0] ?? null;
+}
+
+// ---------------- Metrics ----------------
+
+/**
+ * Per-queue metrics of the calls that arrived since `since`.
+ *
+ * @param {object[]} rows   – raw queueCalls rows from fetchReport.
+ * @param {number}   since  – epoch ms.
+ * @param {number}   now    – epoch ms.
+ * @returns {Map<string, {finished:number, abandoned:number, waiting:number, abandonRate:number|null, maxWait:number}>}
+ */
+export function queueMetrics(rows, since, now) {
+  const queues = new Map();
+  for (const row of rows) {
+    const calledAt = toDate(row.called_time);
+    if (!calledAt || calledAt.getTime() < since) continue;
+    const name = row.queue_name || '(no queue)';
+    if (!queues.has(name)) queues.set(name, { finished: 0, abandoned: 0, waiting: 0, maxWait: 0 });
+    const q = queues.get(name);
+
+    let wait;
+    if (!row.answered_time && !row.hangup_time) {
+      // Still in the queue: waiting so far
+      q.waiting++;
+      wait = (now - calledAt.getTime()) / 1000;
+    } else {
+      q.finished++;
+      if (row.abandoned === 'YES') q.abandoned++;
+      wait = Number(row.wait_duration) || 0;
+    }
+    if (wait > q.maxWait) q.maxWait = Math.round(wait);
+  }
+  for (const q of queues.values()) {
+    q.abandonRate = q.finished ? Math.round((q.abandoned / q.finished) * 1000) / 10 : null;
+  }
+  return queues;
+}
+
+function metricValue(rule, q) {
+  if (rule.metric === 'abandon_rate') return q.finished >= rule.min_calls ? q.abandonRate : null;
+  return q.maxWait;
+}
+
+// ---------------- Notification ----------------
+
+async function notify(rule, event, kind) {
+  if (!rule.webhook_url) return;
+  const payload = {
+    event: `alert.${kind}`,
+    sentAt: new Date().toISOString(),
+    alert: {
+      id: event.id,
+      status: event.status,
+      tenant: event.tenant,
+      queue: event.queue_name,
+      metric: event.metric,
+      value: Number(event.value),
+      threshold: Number(event.threshold),
+      firedAt: event.fired_at,
+      resolvedAt: event.resolved_at ?? null
+    },
+    rule: { id: rule.id, name: rule.name, windowMinutes: rule.window_minutes }
+  };
+  try {
+    await axios.post(rule.webhook_url, payload, { timeout: WEBHOOK_TIMEOUT, headers: { 'Content-Type': 'application/json' } });
+    await pool.query(
+      "UPDATE alert_events SET webhook_status = 'sent', webhook_error = NULL, last_notified_at = NOW(), notifications = notifications + 1 WHERE id = ?",
+      [event.id]
+    );
+  } catch (err) {
+    const msg = err.response ? `HTTP ${err.response.status}` : err.message;
+    console.error(`❌ Alert webhook for rule "${rule.name}" failed:`, msg);
+    await pool.query(
+      "UPDATE alert_events SET webhook_status = 'failed', webhook_error = ?, last_notified_at = NOW(), notifications = notifications + 1 WHERE id = ?",
+      [msg.slice(0, 1000), event.id]
+    );
+  }
+}
+
+// ---------------- Evaluation ----------------
+
+const minutesAgo = (date, now) => (now - new Date(date).getTime()) / 60_000;
+
+async function evaluateRule(rule, metrics, now) {
+  const [active] = await pool.query(
+    "SELECT * FROM alert_events WHERE rule_id = ? AND status IN ('open', 'acknowledged')",
+    [rule.id]
+  );
+  const activeByQueue = new Map(active.map(e => [e.queue_name, e]));
+  const queues = rule.queue_name ? [rule.queue_name] : [...new Set([...metrics.keys(), ...activeByQueue.keys()])];
+
+  for (const queue of queues) {
+    const q = metrics.get(queue);
+    const value = q ? metricValue(rule, q) : null;
+    const breached = value != null && value > Number(rule.threshold);
+    const current = activeByQueue.get(queue);
+
+    if (!breached) {
+      if (current) {
+        await pool.query("UPDATE alert_events SET status = 'resolved', resolved_at = NOW() WHERE id = ?", [current.id]);
+        console.log(`✅ Alert "${rule.name}" resolved for ${queue}`);
+        await notify(rule, { ...current, status: 'resolved', resolved_at: new Date() }, 'resolved');
+      }
+      continue;
+    }
+
+    if (current) {
+      await pool.query('UPDATE alert_events SET value = GREATEST(value, ?) WHERE id = ?', [value, current.id]);
+      if (current.status === 'open' && rule.cooldown_minutes > 0 &&
+          minutesAgo(current.last_notified_at ?? current.fired_at, now) >= rule.cooldown_minutes) {
+        await notify(rule, { ...current, value }, 'reminder');
+      }
+      continue;
+    }
+
+    // Flapping guard: no new alert within the cooldown of the previous one
+    const [[last]] = await pool.query(
+      'SELECT MAX(fired_at) AS fired_at FROM alert_events WHERE rule_id = ? AND queue_name = ?',
+      [rule.id, queue]
+    );
+    if (last?.fired_at && minutesAgo(last.fired_at, now) < rule.cooldown_minutes) continue;
+
+    const details = { ...q, windowMinutes: rule.window_minutes };
+    const [result] = await pool.query(
+      `INSERT INTO alert_events (rule_id, tenant, queue_name, metric, value, threshold, details)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [rule.id, rule.tenant, queue, rule.metric, value, rule.threshold, JSON.stringify(details)]
+    );
+    const [[event]] = await pool.query('SELECT * FROM alert_events WHERE id = ?', [result.insertId]);
+    console.log(`🚨 Alert "${rule.name}" fired for ${queue}: ${rule.metric} ${value} > ${rule.threshold}`);
+    await notify(rule, event, 'fired');
+  }
+  await pool.query('UPDATE alert_rules SET last_evaluated_at = NOW() WHERE id = ?', [rule.id]);
+}
+
+/**
+ * Evaluate every enabled rule. Queue calls are fetched once per tenant for
+ * the longest window among its rules. Concurrent callers share the pass
+ * already running.
+ *
+ * @returns {Promise<void>}
+ */
+export function evaluateAlerts() {
+  if (currentPass) return currentPass;
+  currentPass = (async () => {
+    const [rules] = await pool.query('SELECT * FROM alert_rules WHERE enabled = 1');
+    const byTenant = new Map();
+    for (const rule of rules) {
+      if (!byTenant.has(rule.tenant)) byTenant.set(rule.tenant, []);
+      byTenant.get(rule.tenant).push(rule);
+    }
+
+    for (const [tenant, tenantRules] of byTenant) {
+      const now = Date.now();
+      const longest = Math.max(...tenantRules.map(r => r.window_minutes));
+      const params = { startDate: Math.floor((now - longest * 60_000) / 1000), endDate: Math.floor(now / 1000) };
+      let rows;
+      try {
+        rows = [];
+        for await (const page of iterateReport('queueCalls', tenant, params)) rows.push(...page);
+      } catch (err) {
+        console.error(`❌ Alert evaluation for ${tenant} could not fetch queue calls:`, err.response?.data || err.message);
+        continue;
+      }
+      for (const rule of tenantRules) {
+        try {
+          await evaluateRule(rule, queueMetrics(rows, now - rule.window_minutes * 60_000, now), now);
+        } catch (err) {
+          console.error(`❌ Alert rule "${rule.name}" failed:`, err.message);
+        }
+      }
+    }
+  })().finally(() => { currentPass = null; });
+  return currentPass;
+}
+
+/**
+ * Start evaluating rules on ALERT_CRON. Safe to call again.
+ */
+export function startAlerting() {
+  if (task) return;
+  if (!cron.validate(ALERT_CRON)) {
+    console.error(`❌ Invalid ALERT_CRON "${ALERT_CRON}"; alerting disabled`);
+    return;
+  }
+  task = cron.schedule(ALERT_CRON, () => evaluateAlerts().catch(err => console.error('❌ Alert evaluation failed:', err.message)), {
+    name: 'alert-rules',
+    noOverlap: true
+  });
+  console.log(`🚨 Alerting started (${ALERT_CRON})`);
+}
+
+// ---------------- Routes ----------------
+
+// Map known errors to HTTP responses
+function sendError(res, err) {
+  if (err instanceof ValidationError) return res.status(400).json({ error: err.message });
+  console.error(err);
+  res.status(500).json({ error: 'Server error' });
+}
+
+// Alert history restricted to the caller's accounts (and queues for supervisors)
+async function listEvents(user, { id, status, ruleId, limit }) {
+  const access = await getUserAccess(user.id);
+  if (!access.tenants.length) return [];
+  const where = ['e.tenant IN (?)'];
+  const vals = [access.tenants];
+  if (user.role === 'supervisor') {
+    if (!access.queues.length) return [];
+    where.push('e.queue_name IN (?)');
+    vals.push(access.queues);
+  }
+  if (id) { where.push('e.id = ?'); vals.push(id); }
+  if (status) { where.push('e.status = ?'); vals.push(status); }
+  if (ruleId) { where.push('e.rule_id = ?'); vals.push(ruleId); }
+  const [rows] = await pool.query(
+    `SELECT e.*, r.name AS rule_name, u.username AS acknowledged_by_name
+     FROM alert_events e
+     JOIN alert_rules r ON r.id = e.rule_id
+     LEFT JOIN users u ON u.id = e.acknowledged_by
+     WHERE ${where.join(' AND ')}
+     ORDER BY e.id DESC LIMIT ?`,
+    [...vals, Math.min(Number(limit) || 200, 1000)]
+  );
+  return rows;
+}
+
+export const alertsRouter = express.Router();
+
+const canManage = requirePermission('alerts:manage');
+const canView = requirePermission('alerts:view');
+
+alertsRouter.get('/rules', canManage, async (req, res) => {
+  try {
+    const tenants = await getUserTenants(req.user.id);
+    if (!tenants.length) return res.json({ data: [] });
+    const [rows] = await pool.query('SELECT * FROM alert_rules WHERE tenant IN (?) ORDER BY name', [tenants]);
+    res.json({ data: rows.map(toPublic) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+alertsRouter.post('/rules', canManage, requireTenantAccess, async (req, res) => {
+  try {
+    const cols = toColumns(bodyWithAccount(req));
+    const [result] = await pool.query('INSERT INTO alert_rules SET ?', [{ ...cols, created_by: req.user.id }]);
+    res.status(201).json({ rule: toPublic(await loadRule(result.insertId)) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+alertsRouter.get('/rules/:id', canManage, async (req, res) => {
+  try {
+    const rule = await loadRule(req.params.id);
+    if (!rule || !(await getUserTenants(req.user.id)).includes(rule.tenant)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ rule: toPublic(rule) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+alertsRouter.put('/rules/:id', canManage, requireTenantAccess, async (req, res) => {
+  try {
+    const current = await loadRule(req.params.id);
+    if (!current || !(await getUserTenants(req.user.id)).includes(current.tenant)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    const { id, lastEvaluatedAt, createdBy, createdAt, updatedAt, ...editable } = toPublic(current);
+    await pool.query('UPDATE alert_rules SET ? WHERE id = ?', [toColumns(bodyWithAccount(req), editable), current.id]);
+    res.json({ rule: toPublic(await loadRule(current.id)) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+alertsRouter.delete('/rules/:id', canManage, async (req, res) => {
+  try {
+    const tenants = await getUserTenants(req.user.id);
+    if (!tenants.length) return res.status(404).json({ error: 'Rule not found' });
+    const [result] = await pool.query('DELETE FROM alert_rules WHERE id = ? AND tenant IN (?)', [req.params.id, tenants]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'Rule not found' });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+alertsRouter.post('/evaluate', canManage, (req, res) => {
+  const alreadyRunning = Boolean(currentPass);
+  evaluateAlerts().catch(err => console.error('❌ Alert evaluation failed:', err.message));
+  res.status(202).json({ started: !alreadyRunning, running: true });
+});
+
+alertsRouter.get('/events', canView, async (req, res) => {
+  try {
+    res.json({ data: await listEvents(req.user, req.query) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+alertsRouter.post('/events/:id/ack', canView, async (req, res) => {
+  try {
+    const [event] = await listEvents(req.user, { id: req.params.id });
+    if (!event) return res.status(404).json({ error: 'Alert not found' });
+    if (event.status !== 'open') return res.status(409).json({ error: `Alert is already ${event.status}` });
+
+    await pool.query(
+      "UPDATE alert_events SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = NOW() WHERE id = ? AND status = 'open'",
+      [req.user.id, event.id]
+    );
+    recordAudit(req, {
+      action: 'alert.acknowledged',
+      tenant: event.tenant,
+      details: { alertId: event.id, rule: event.rule_name, queue: event.queue_name, metric: event.metric }
+    });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
@@ -0,0 +1,108 @@
+// audit.js
+// Compliance trail of who looked at what: report queries, recording playback,
+// exports and scheduled deliveries are written to the `audit_log` table.
+//
+//   • recordAudit  – fire-and-forget insert used by the data routes; a failing
+//                    audit write is logged but never breaks the user request
+//   • auditRouter  – admin search + CSV export of the trail (mounted at /api/audit)
+
+import express from 'express';
+import { pool } from './db.js';
+import { toCsv } from './reportFetcher.js';
+
+export const AUDIT_ACTIONS = ['report.query', 'recording.play', 'export.csv', 'export.xlsx', 'report.scheduled', 'alert.acknowledged', 'tenant.created', 'tenant.updated', 'tenant.deleted', 'connection.created', 'connection.updated', 'connection.rotated', 'connection.tested', 'connection.deleted'];
+
+// Accept ISO strings, epoch seconds or Date; anything else becomes NULL
+function toDate(v) {
+  if (v == null || v === '') return null;
+  if (v instanceof Date) return v;
+  const d = typeof v === 'number' ? new Date(v < 1e11 ? v * 1000 : v) : new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Write one audit row for the current request.
+ *
+ * @param {import('express').Request} req – must have passed requireAuth.
+ * @param {object}  entry
+ * @param {string}  entry.action         – one of AUDIT_ACTIONS.
+ * @param {string}  [entry.tenant]
+ * @param {string}  [entry.reportType]
+ * @param {*}       [entry.start]        – window start (ISO / epoch / Date).
+ * @param {*}       [entry.end]          – window end.
+ * @param {string}  [entry.recordingId]
+ * @param {object}  [entry.details]      – extra JSON (row counts, filters…).
+ * @returns {Promise<void>}
+ */
+export function recordAudit(req, { action, tenant = null, reportType = null, start, end, recordingId = null, details = null }) {
+  return pool.query(
+    `INSERT INTO audit_log
+       (user_id, username, tenant, action, report_type, window_start, window_end, recording_id, ip, details)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      req.user?.id ?? null,
+      req.user?.username ?? null,
+      tenant,
+      action,
+      reportType,
+      toDate(start),
+      toDate(end),
+      recordingId,
+      req.ip,
+      details ? JSON.stringify(details) : null
+    ]
+  ).then(() => {}, err => console.error('❌ Audit write failed:', err.message));
+}
+
+export const auditRouter = express.Router();
+
+// GET /api/audit?username=&tenant=&action=&reportType=&recordingId=&from=<ISO>&to=<ISO>&limit=&format=csv
+auditRouter.get('/', async (req, res) => {
+  const { username, tenant, action, reportType, recordingId, from, to, format } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 500, format === 'csv' ? 50_000 : 1000);
+
+  const where = [];
+  const vals = [];
+  if (username) { where.push('username = ?'); vals.push(username); }
+  if (tenant) { where.push('tenant = ?'); vals.push(tenant); }
+  if (action) { where.push('action = ?'); vals.push(action); }
+  if (reportType) { where.push('report_type = ?'); vals.push(reportType); }
+  if (recordingId) { where.push('recording_id = ?'); vals.push(recordingId); }
+  if (from) {
+    const d = toDate(from);
+    if (!d) return res.status(400).json({ error: 'Invalid from date' });
+    where.push('created_at >= ?'); vals.push(d);
+  }
+  if (to) {
+    const d = toDate(to);
+    if (!d) return res.status(400).json({ error: 'Invalid to date' });
+    where.push('created_at <= ?'); vals.push(d);
+  }
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, created_at, user_id, username, tenant, action, report_type, window_start, window_end, recording_id, ip, details
+       FROM audit_log
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY id DESC LIMIT ?`,
+      [...vals, limit]
+    );
+
+    if (format === 'csv') {
+      const flat = rows.map(r => ({
+        ...r,
+        created_at: r.created_at && new Date(r.created_at).toISOString(),
+        window_start: r.window_start && new Date(r.window_start).toISOString(),
+        window_end: r.window_end && new Date(r.window_end).toISOString(),
+        details: r.details == null ? '' : (typeof r.details === 'string' ? r.details : JSON.stringify(r.details))
+      }));
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit_${Date.now()}.csv"`);
+      return res.send(toCsv(flat));
+    }
+    res.json({ data: rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
@@ -0,0 +1,240 @@
+// auth.js
+// Express middleware that protects the data routes in server.js.
+//
+//   • requireAuth          – verifies the JWT issued by POST /api/login
+//                            (httpOnly cookie first, then `Authorization: Bearer`)
+//   • requireTenantAccess  – ensures the `account` / `accounts` param is one of
+//                            the tenants granted to the user in `user_tenants`
+//                            and hands the checked list to the route as
+//                            `req.accounts` / `req.account`
+//   • requirePermission    – checks the role embedded in the JWT against
+//                            ROLE_PERMISSIONS below
+//
+// All of them respond with JSON `{ error }` and a 401 / 403 status so the frontend
+// can redirect to the login page or show a permission message.
+
+import jwt from 'jsonwebtoken';
+import ms from 'ms';
+import { REPORT_TYPES } from './reportTypes/index.js';
+import { pool } from './db.js';
+
+export const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_key';
+
+// Roles stored in users.role. Permissions are plain strings so the frontend
+// can receive the list from /api/auth/check and hide what it cannot use.
+export const ROLES = ['admin', 'supervisor', 'viewer'];
+
+// `reports:<type>` for every report type that lists the role in its definition
+const reportPermissions = role => REPORT_TYPES.filter(t => t.roles.includes(role)).map(t => `reports:${t.key}`);
+
+export const ROLE_PERMISSIONS = {
+  // Full access including user and tenant management, upstream connection
+  // profiles, the audit trail, scheduled reports, the report warehouse, alert
+  // rules and webhook subscriptions
+  admin: [...reportPermissions('admin'), 'reports:agentScorecard', 'reports:agentStatus', 'recordings:play', 'export:csv', 'users:manage', 'tenants:manage', 'connections:manage', 'audit:view', 'schedules:manage', 'warehouse:manage', 'wallboard:view', 'alerts:manage', 'alerts:view', 'webhooks:manage'],
+  // Queue / campaign reports limited to the rows in user_scopes. Raw CDRs are
+  // not tied to a queue so they cannot be scoped and are withheld.
+  supervisor: [...reportPermissions('supervisor'), 'reports:agentScorecard', 'reports:agentStatus', 'recordings:play', 'export:csv', 'wallboard:view', 'alerts:view'],
+  // Agent viewer: read-only tables, no playback and no export
+  viewer: [...reportPermissions('viewer'), 'wallboard:view']
+};
+
+/**
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Small per-process cache so the dashboard's parallel report/recording
+// requests do not hit MySQL for every call.
+const ACCESS_CACHE_TTL = ms('1m');
+const accessCache = new Map();   // Map<userId,{expires:number,access:{tenants,queues,campaigns,timeZone}}>
+
+/**
+ * Extract the session JWT from the request.
+ * Cookie wins over the Bearer header (iframe scenarios only have the latter).
+ *
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+export function getRequestToken(req) {
+  const cookieToken = req.cookies?.token;
+  const authHeader = req.headers.authorization;
+  const bearerToken = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+  return cookieToken || bearerToken || null;
+}
+
+/**
+ * Load a user's entitlements: tenant accounts plus, for supervisors, the
+ * queue and campaign names they are assigned to. `timeZone` is the user's
+ * own zone (null ⇒ the tenant's, see tenantRegistry.js).
+ *
+ * @param {number} userId
+ * @returns {Promise<{tenants:string[], queues:string[], campaigns:string[], timeZone:string|null}>}
+ */
+export async function getUserAccess(userId) {
+  const cached = accessCache.get(userId);
+  if (cached && Date.now() < cached.expires) return cached.access;
+
+  const [tenantRows] = await pool.query('SELECT tenant FROM user_tenants WHERE user_id = ? ORDER BY tenant', [userId]);
+  const [scopeRows] = await pool.query('SELECT scope_type, name FROM user_scopes WHERE user_id = ? ORDER BY name', [userId]);
+  const [userRows] = await pool.query('SELECT time_zone FROM users WHERE id = ?', [userId]);
+  const access = {
+    tenants: tenantRows.map(r => r.tenant),
+    queues: scopeRows.filter(r => r.scope_type === 'queue').map(r => r.name),
+    campaigns: scopeRows.filter(r => r.scope_type === 'campaign').map(r => r.name),
+    timeZone: userRows[0]?.time_zone ?? null
+  };
+  accessCache.set(userId, { expires: Date.now() + ACCESS_CACHE_TTL, access });
+  return access;
+}
+
+/**
+ * Load the list of tenant accounts a user may query.
+ *
+ * @param {number} userId
+ * @returns {Promise<string[]>}
+ */
+export async function getUserTenants(userId) {
+  return (await getUserAccess(userId)).tenants;
+}
+
+/**
+ * Forget cached entitlements, e.g. after an admin edits a user's tenants.
+ *
+ * @param {number} [userId] – omit to clear everything.
+ */
+export function invalidateUserAccess(userId) {
+  if (userId == null) accessCache.clear();
+  else accessCache.delete(userId);
+}
+
+// Reject requests without a valid session; on success the decoded JWT
+// payload is available as `req.user`.
+export function requireAuth(req, res, next) {
+  const token = getRequestToken(req);
+  if (!token) return res.status(401).json({ error: 'Authentication required' });
+
+  try {
+    req.user = jwt.verify(token, JWT_SECRET);
+    next();
+  } catch {
+    res.status(401).json({ error: 'Session expired or invalid' });
+  }
+}
+
+// An `account` / `accounts` value ⇒ trimmed, de-duplicated list (order kept)
+function parseAccounts(raw, field) {
+  let list;
+  if (field === 'accounts') list = Array.isArray(raw) ? raw : String(raw).split(',');
+  else if (typeof raw === 'object') throw new Error('account must be a single value');
+  else list = [raw];
+  return [...new Set(list.map(a => (a == null ? '' : String(a).trim())).filter(Boolean))];
+}
+
+/**
+ * Tenants a request asks for: `accounts` (comma-separated query param or JSON
+ * array) for cross-tenant queries, or the single `account`, in the query
+ * string or the JSON body.
+ *
+ * @param {import('express').Request} req
+ * @returns {string[]} empty when neither is given
+ * @throws {Error} when both `account` and `accounts` are sent, or the query
+ *                 string and the body name different tenants
+ */
+function requestedAccounts(req) {
+  const query = req.query || {};
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const sent = field => query[field] != null || body[field] != null;
+  if (sent('account') && sent('accounts')) throw new Error('Send either account or accounts, not both');
+
+  const field = sent('accounts') ? 'accounts' : 'account';
+  const fromQuery = query[field] != null ? parseAccounts(query[field], field) : null;
+  const fromBody = body[field] != null ? parseAccounts(body[field], field) : null;
+  if (fromQuery && fromBody && fromQuery.join(',') !== fromBody.join(',')) {
+    throw new Error(`${field} differs between the query string and the body`);
+  }
+  return fromQuery ?? fromBody ?? [];
+}
+
+// Must run after requireAuth. Checks the `account` / `accounts` query param
+// (or JSON body field) against the user's entitlements and stores the checked
+// list as `req.accounts` (plus `req.account` when exactly one was asked for).
+// Routes read the tenant from there only, never from req.query / req.body.
+// Ambiguous requests get a 400; a missing account is left for the route to
+// report (400).
+export async function requireTenantAccess(req, res, next) {
+  let accounts;
+  try {
+    accounts = requestedAccounts(req);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  req.accounts = accounts;
+  req.account = accounts.length === 1 ? accounts[0] : undefined;
+  if (!accounts.length) return next();
+
+  try {
+    const tenants = await getUserTenants(req.user.id);
+    const denied = accounts.find(a => !tenants.includes(a));
+    if (denied) {
+      return res.status(403).json({ error: `Access to account "${denied}" is not allowed` });
+    }
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * JSON body of a request with `account` set to the tenant requireTenantAccess
+ * checked (and `accounts` dropped), for routes that validate the whole body.
+ * Without a checked account the body has none, so updates keep the current one.
+ *
+ * @param {import('express').Request} req
+ * @returns {object}
+ */
+export function bodyWithAccount(req) {
+  const { account, accounts, ...rest } = req.body || {};
+  return req.account ? { ...rest, account: req.account } : rest;
+}
+
+/**
+ * Middleware factory: reject with 403 unless the user's role grants
+ * `permission`. Pass a function to derive the permission from the request
+ * (e.g. the report type in the URL). Must run after requireAuth.
+ *
+ * @param {string|function(import('express').Request):string} permission
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    const perm = typeof permission === 'function' ? permission(req) : permission;
+    if (!hasPermission(req.user?.role, perm)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    next();
+  };
+}
+
+/**
+ * Drop report rows outside a supervisor's assigned queues / campaigns.
+ * Other roles see everything their permissions allow.
+ *
+ * @param {object}   user   – decoded JWT (`req.user`).
+ * @param {string}   report – report type key.
+ * @param {object[]} rows
+ * @returns {Promise<object[]>}
+ */
+export async function applyUserScope(user, report, rows) {
+  if (user?.role !== 'supervisor') return rows;
+
+  // Reports without a scope (raw CDRs) are withheld entirely
+  const scope = REPORT_TYPES.find(t => t.key === report)?.scope;
+  if (!scope) return [];
+  const allowed = (await getUserAccess(user.id))[scope.list];
+  return rows.filter(r => allowed.includes(r[scope.field]));
+}
@@ -0,0 +1,352 @@
+// combined.js
+// One merged, de-duplicated view over every report type the caller may
+// view – what the dashboard table shows – for scripts and BI tools.
+//
+//   GET /api/reports/combined?account=&start=&end=[&types=a,b][&limit=][&source=][&include=raw]
+//                            [&<filters>][&sort=&order=]
+//   GET /api/reports/combined?account=&cursor=<next>
+//
+// `accounts=a,b` instead of `account` runs the query across several tenants
+// (each must be granted to the user): every tenant × report type is one
+// stream, records carry their `Tenant` and Call IDs are de-duplicated per
+// tenant. Single-tenant records carry `Tenant` as well.
+//
+// Each report type is read page by page (newest first, as the upstream
+// returns them), normalized onto the unified columns (normalize.js) and
+// merged by Called Time, newest first. Rows whose Call ID was already
+// returned are dropped, irrespective of Type. When a type has no further
+// next_start_key the window is re-queried up to one second before its
+// oldest row, like the dashboard used to do.
+//
+// Filters (reportFilters.js) the upstream accepts are sent with each page
+// request; the rest are applied to every record read, so a page holds up to
+// `limit` matching rows however many upstream pages that takes;
+// one request reads at most SCAN_PAGES pages and may return fewer rows with
+// a `next` cursor to carry on. A sort other than newest first reads the
+// whole window (at most REPORT_SORT_MAX_ROWS matching rows) on the first
+// request and pages through the sorted result.
+//
+// `next` is an opaque cursor naming the query state kept in memory for
+// COMBINED_CURSOR_TTL (default 15m). Each page hands out a new cursor; a
+// cursor is good for one request, by the same user and tenant(s).
+//
+// `include=raw` adds `reportType` and the `raw` API row to every record so
+// the dashboard can render its history popups.
+//
+// /api/reports/:type uses the same engine (handleReportQuery) when given
+// filters, a sort, a cursor or several accounts, returning raw rows of that
+// one type (with an `account` field when several tenants are queried).
+//
+// The router is mounted in server.js behind requireAuth, ahead of
+// /api/reports/:type.
+
+import express from 'express';
+import crypto from 'crypto';
+import ms from 'ms';
+import { applyUserScope, hasPermission, requireTenantAccess } from './auth.js';
+import { recordAudit } from './audit.js';
+import { fetchReport } from './reportFetcher.js';
+import { queryWarehouse, captureRows } from './warehouse.js';
+import { normalizeRow, prepareRow, toEpoch, toDate } from './normalize.js';
+import { ReportQueryError, compareRecords, makeRecordMatcher, parseReportQuery, splitFilters, typeMatches } from './reportFilters.js';
+import { REPORT_TYPES, getReportType } from './reportTypes/index.js';
+import { resolveTimeZone } from './tenantRegistry.js';
+
+const CURSOR_TTL = ms(process.env.COMBINED_CURSOR_TTL || '15m');
+const MAX_CURSORS = 1000;
+const MAX_LIMIT = 1000;
+const SCAN_PAGES = Number(process.env.REPORT_SCAN_PAGES) || 50;
+const SORT_MAX_ROWS = Number(process.env.REPORT_SORT_MAX_ROWS) || 50_000;
+// Call IDs are remembered this far above the current position; duplicates
+// across types lie much closer together than that.
+const DEDUP_WINDOW = ms('1h');
+
+const cursors = new Map();   // id ⇒ query state, oldest first
+
+function sweepCursors() {
+  const now = Date.now();
+  for (const [id, state] of cursors) {
+    if (state.expires <= now || cursors.size > MAX_CURSORS) cursors.delete(id);
+  }
+}
+
+// New query state for the first page. `type` pins a single report type
+// (/api/reports/:type): raw rows out, no de-duplication.
+async function createState(req, type, tenants) {
+  const { start, end, types: typesParam, limit, include } = req.query;
+  const source = req.query.source || process.env.REPORT_SOURCE || 'upstream';
+  if (!['upstream', 'warehouse'].includes(source)) {
+    throw new ReportQueryError(`Unknown source: ${source}`);
+  }
+
+  const params = {};
+  if (start) {
+    const startDate = Date.parse(start);
+    if (Number.isNaN(startDate)) throw new ReportQueryError('Invalid start date');
+    params.startDate = Math.floor(startDate / 1000);
+  }
+  if (end) {
+    const endDate = Date.parse(end);
+    if (Number.isNaN(endDate)) throw new ReportQueryError('Invalid end date');
+    params.endDate = Math.floor(endDate / 1000);
+  }
+
+  const query = parseReportQuery(req.query);
+  let defs;
+  if (type) {
+    defs = [getReportType(type)];
+  } else {
+    const requested = typesParam ? String(typesParam).split(',').map(t => t.trim()).filter(Boolean) : null;
+    const unknown = (requested || []).filter(t => !getReportType(t));
+    if (unknown.length) throw new ReportQueryError(`Unknown report type: ${unknown.join(', ')}`);
+    defs = REPORT_TYPES.filter(def =>
+      (!requested || requested.includes(def.key)) && hasPermission(req.user.role, `reports:${def.key}`)
+    );
+  }
+
+  const streams = [];
+  for (const tenant of tenants) {
+    const timeZone = await resolveTimeZone(req.user, tenant);   // history text in records
+    for (const def of defs.filter(d => typeMatches(d, query.filters))) {
+      // The warehouse has no upstream to narrow pages, so it matches every filter here
+      const { upstream, local } = source === 'warehouse'
+        ? { upstream: {}, local: query.filters }
+        : splitFilters(def, query.filters);
+      streams.push({
+        def, tenant, timeZone, upstream, matches: makeRecordMatcher(local),
+        buffer: [], startKey: null, endDate: params.endDate, seenKeys: new Set(), done: false
+      });
+    }
+  }
+
+  return {
+    route: type || 'combined',
+    user: { id: req.user.id, role: req.user.role },
+    tenants,
+    source,
+    params,
+    query,
+    limit: Math.min(Number(limit) || (type ? 1000 : 500), MAX_LIMIT),
+    output: type ? 'raw' : include === 'raw' ? 'recordsWithRaw' : 'records',
+    dedup: !type,
+    permitted: defs.length > 0,
+    streams,
+    seen: new Map(),   // tenant + Call ID ⇒ epoch ms
+    sorted: null       // every matching item when query.custom, in sort order
+  };
+}
+
+// Fetch the next page of one tenant's report type into its buffer (newest first)
+async function fetchPage(state, stream) {
+  const { def, tenant } = stream;
+  const pageParams = {
+    ...state.params,
+    ...stream.upstream,
+    ...(stream.endDate && { endDate: stream.endDate }),
+    ...(stream.startKey && { start_key: stream.startKey }),
+    // Scans read the largest pages the route allows
+    maxRows: state.query.custom || Object.keys(state.query.filters).length ? MAX_LIMIT : state.limit
+  };
+  const result = state.source === 'warehouse'
+    ? await queryWarehouse(def.key, tenant, pageParams)
+    : await fetchReport(def.key, tenant, pageParams);
+  const rawRows = Array.isArray(result) ? result : result.rows;
+  const next = Array.isArray(result) ? null : result.next;
+  if (state.source !== 'warehouse') captureRows(def.key, tenant, rawRows);
+
+  const rows = (await applyUserScope(state.user, def.key, rawRows)).map(prepareRow);
+  const items = rows.map(row => ({
+    def,
+    tenant,
+    row,
+    rec: { Tenant: tenant, ...normalizeRow(row, def.source, { timeZone: stream.timeZone }) }
+  }));
+  items.sort((a, b) => toEpoch(b.rec) - toEpoch(a.rec));
+  stream.buffer.push(...items);
+
+  if (next && !stream.seenKeys.has(next)) {
+    stream.seenKeys.add(next);
+    stream.startKey = next;
+    return;
+  }
+  // No paging token: query again up to just before the oldest row seen.
+  // The warehouse pages exhaustively by key, so it is finished here.
+  const oldest = rawRows.reduce((min, r) => {
+    const at = toDate(def.calledAt(r))?.getTime();
+    return at && (min === null || at < min) ? at : min;
+  }, null);
+  const endDate = oldest && Math.floor(oldest / 1000) - 1;
+  if (state.source === 'warehouse' || !endDate || (stream.endDate && endDate >= stream.endDate) ||
+      (state.params.startDate && endDate < state.params.startDate)) {
+    stream.done = true;
+    return;
+  }
+  stream.startKey = null;
+  stream.endDate = endDate;
+}
+
+// Keep fetching until the stream has rows to offer, is exhausted or the
+// request's page budget is spent
+async function fill(state, stream, budget) {
+  while (!stream.buffer.length && !stream.done && budget.pages > 0) {
+    budget.pages--;
+    await fetchPage(state, stream);
+  }
+}
+
+/**
+ * Take up to `limit` matching items off the merged streams, newest first.
+ * Stops early when `budget` runs out before a stream could be refilled.
+ *
+ * @param {object} state – query state from createState().
+ * @param {number} limit
+ * @param {{pages:number}} budget – upstream pages this call may read.
+ * @returns {Promise<object[]>} items { def, tenant, row, rec }.
+ */
+async function mergeNext(state, limit, budget) {
+  const out = [];
+  let position = null;
+  while (out.length < limit) {
+    await Promise.all(state.streams.map(s => fill(state, s, budget)));
+    // Out of budget with a stream still empty: its next row could be the
+    // newest, so stop here and let the next request carry on.
+    if (state.streams.some(s => !s.buffer.length && !s.done)) break;
+
+    let pick = null;
+    for (const s of state.streams) {
+      if (s.buffer.length && (!pick || toEpoch(s.buffer[0].rec) > toEpoch(pick.buffer[0].rec))) pick = s;
+    }
+    if (!pick) break;   // every stream exhausted
+
+    const item = pick.buffer.shift();
+    position = toEpoch(item.rec);
+    const callId = item.rec['Call ID'];
+    if (state.dedup && callId) {
+      const key = `${item.tenant}\n${callId}`;
+      if (state.seen.has(key)) continue;
+      state.seen.set(key, position);
+    }
+    if (pick.matches(item.rec)) out.push(item);
+  }
+
+  // Every stream (upstream and warehouse) runs newest first, so the position
+  // only moves back in time: forget Call IDs well above it
+  if (position !== null) {
+    for (const [key, at] of state.seen) {
+      if (at > position + DEDUP_WINDOW) state.seen.delete(key);
+    }
+  }
+  return out;
+}
+
+// Next page of items for the client
+async function nextPage(state) {
+  if (!state.query.custom) {
+    return mergeNext(state, state.limit, { pages: SCAN_PAGES });
+  }
+  if (!state.sorted) {
+    const all = await mergeNext(state, SORT_MAX_ROWS + 1, { pages: Infinity });
+    if (all.length > SORT_MAX_ROWS) {
+      throw new ReportQueryError(`More than ${SORT_MAX_ROWS} rows to sort; narrow the window or add filters`);
+    }
+    const compare = compareRecords(state.query.sort);
+    state.sorted = all.sort((a, b) => compare(a.rec, b.rec));
+  }
+  return state.sorted.splice(0, state.limit);
+}
+
+const hasMore = state => state.sorted
+  ? state.sorted.length > 0
+  : state.streams.some(s => s.buffer.length || !s.done);
+
+function toOutput(state, { def, tenant, row, rec }) {
+  if (state.output === 'raw') return state.tenants.length > 1 ? { ...row, account: tenant } : row;
+  if (state.output === 'recordsWithRaw') return { ...rec, reportType: def.key, raw: row };
+  return rec;
+}
+
+/**
+ * Serve one page of a filtered / sorted / merged report query. Used by
+ * GET /api/reports/combined and, for a single type, GET /api/reports/:type.
+ * Expects requireAuth and requireTenantAccess to have run.
+ *
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ * @param {object} [opts]
+ * @param {string} [opts.type] – pin one report type (the caller checked `reports:<type>`).
+ */
+export async function handleReportQuery(req, res, { type } = {}) {
+  const { cursor } = req.query;
+  const tenants = req.accounts;   // checked by requireTenantAccess
+  if (!tenants.length) {
+    return res.status(400).json({ error: 'Missing account query param' });
+  }
+
+  sweepCursors();
+  let state;
+  try {
+    if (cursor) {
+      state = cursors.get(String(cursor));
+      if (!state || state.user.id !== req.user.id || state.tenants.join(',') !== tenants.join(',') ||
+          state.route !== (type || 'combined')) {
+        throw new ReportQueryError('Unknown or expired cursor; start the query again');
+      }
+      // A cursor is good for one request
+      cursors.delete(String(cursor));
+    } else {
+      state = await createState(req, type, tenants);
+      if (!state.permitted) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action' });
+      }
+    }
+  } catch (err) {
+    if (err instanceof ReportQueryError) return res.status(400).json({ error: err.message });
+    console.error(err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  try {
+    const items = await nextPage(state);
+    const data = items.map(item => toOutput(state, item));
+    let next = null;
+    if (hasMore(state)) {
+      next = crypto.randomBytes(16).toString('hex');
+      state.expires = Date.now() + CURSOR_TTL;
+      cursors.set(next, state);
+    }
+
+    // One audit entry per tenant so the trail can be searched by tenant
+    for (const tenant of tenants) {
+      recordAudit(req, {
+        action: 'report.query',
+        tenant,
+        reportType: state.route,
+        start: req.query.start,
+        end: req.query.end,
+        details: {
+          rows: items.filter(item => item.tenant === tenant).length,
+          source: state.source,
+          ...(tenants.length > 1 && { accounts: tenants }),
+          ...(state.route === 'combined' && { types: [...new Set(state.streams.map(s => s.def.key))] }),
+          ...(Object.keys(state.query.filters).length && { filters: state.query.filters }),
+          ...(state.query.custom && { sort: `${state.query.sort.field} ${state.query.sort.order}` }),
+          ...(cursor && { cursor: true })
+        }
+      });
+    }
+    res.json({ data, next });
+  } catch (err) {
+    if (err instanceof ReportQueryError) return res.status(400).json({ error: err.message });
+    const upstreamErr = err.response?.data?.error;
+    // Prefer specific message from upstream if present
+    const msg = (typeof upstreamErr === 'string') ? upstreamErr : upstreamErr?.message || err.message;
+    console.error(err.response?.data || err.stack || err.message);
+    res.status(500).json({ error: msg });
+  }
+}
+
+// ---------------- Routes ----------------
+
+export const combinedRouter = express.Router();
+
+combinedRouter.get('/', requireTenantAccess, (req, res) => handleReportQuery(req, res));
@@ -0,0 +1,191 @@
+// connectionStore.js
+// Encrypted per-tenant upstream connection profiles (the `tenant_connections`
+// table): base URL, portal login, X-Account-ID value and TLS verification.
+// tenantRegistry.getUpstream() prefers a tenant's profile over the registry /
+// environment settings; admins manage profiles through connections.js.
+//
+// The login is stored as AES-256-GCM ciphertext
+//   v1:<key id>:<iv>:<auth tag>:<ciphertext>     (base64 parts)
+// of {"username","password"}, with the tenant as additional authenticated data
+// so a row cannot be copied onto another tenant. The key is derived from
+// CONNECTION_SECRET_KEY (a long random string, e.g. `openssl rand -hex 32`).
+// To change the key, move the old one to CONNECTION_SECRET_KEY_PREVIOUS
+// (comma separated for several), then rotate each connection: profiles are
+// decrypted with whichever key their id names and re-encrypted with the
+// current one.
+//
+// TLS modes:
+//   verify   – check the upstream certificate against the system CAs
+//   ca       – check it against the profile's own CA certificate (PEM)
+//   insecure – accept any certificate (self-signed lab installs)
+
+import crypto from 'crypto';
+import https from 'https';
+import ms from 'ms';
+import { pool } from './db.js';
+
+export const TLS_MODES = ['verify', 'ca', 'insecure'];
+
+const PROFILE_TTL = ms('1m');
+const RETRY_AFTER = ms('10s');
+let profileCache = { expires: 0, profiles: new Map() };   // tenant ⇒ profile
+
+export class ConnectionKeyError extends Error {}
+
+// ---------------- Encryption ----------------
+
+const derivedKeys = new Map();   // secret ⇒ { id, key }
+
+function deriveKey(secret) {
+  let entry = derivedKeys.get(secret);
+  if (!entry) {
+    entry = {
+      id: crypto.createHash('sha256').update(secret).digest('hex').slice(0, 8),
+      key: crypto.scryptSync(secret, 'tenant-connections', 32)
+    };
+    derivedKeys.set(secret, entry);
+  }
+  return entry;
+}
+
+function currentKey() {
+  const secret = process.env.CONNECTION_SECRET_KEY;
+  if (!secret) throw new ConnectionKeyError('CONNECTION_SECRET_KEY is not set; connection profiles cannot be stored');
+  return deriveKey(secret);
+}
+
+function keyById(id) {
+  const secrets = [process.env.CONNECTION_SECRET_KEY, ...String(process.env.CONNECTION_SECRET_KEY_PREVIOUS || '').split(',')]
+    .map(s => s?.trim())
+    .filter(Boolean);
+  const match = secrets.map(deriveKey).find(k => k.id === id);
+  if (!match) throw new ConnectionKeyError(`No key with id ${id} (CONNECTION_SECRET_KEY / CONNECTION_SECRET_KEY_PREVIOUS)`);
+  return match;
+}
+
+/**
+ * Encrypt a login for storage.
+ *
+ * @param {string} tenant – bound to the ciphertext.
+ * @param {{username:string, password:string}} credentials
+ * @returns {string} v1:… token
+ * @throws {ConnectionKeyError} when CONNECTION_SECRET_KEY is not set
+ */
+export function encryptCredentials(tenant, { username, password }) {
+  const { id, key } = currentKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(tenant));
+  const data = Buffer.concat([cipher.update(JSON.stringify({ username, password }), 'utf8'), cipher.final()]);
+  return ['v1', id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+/**
+ * @param {string} tenant
+ * @param {string} token – from encryptCredentials().
+ * @returns {{username:string, password:string, keyId:string}}
+ * @throws {ConnectionKeyError} when the key is unknown or the token was tampered with
+ */
+export function decryptCredentials(tenant, token) {
+  const [version, keyId, iv, tag, data] = String(token).split(':');
+  if (version !== 'v1' || !data) throw new ConnectionKeyError('Unrecognised credentials format');
+  const { key } = keyById(keyId);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(tenant));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    return { ...JSON.parse(plain), keyId };
+  } catch {
+    throw new ConnectionKeyError(`Credentials of ${tenant} could not be decrypted`);
+  }
+}
+
+/**
+ * Id of the key new credentials are encrypted with, null without one.
+ *
+ * @returns {string|null}
+ */
+export function currentKeyId() {
+  return process.env.CONNECTION_SECRET_KEY ? currentKey().id : null;
+}
+
+// ---------------- TLS ----------------
+
+// Accepts any certificate, as the upstream clients always have by default
+export const insecureAgent = new https.Agent({ rejectUnauthorized: false });
+const verifyingAgent = new https.Agent({ rejectUnauthorized: true });
+
+/**
+ * HTTPS agent for a TLS mode.
+ *
+ * @param {'verify'|'ca'|'insecure'} mode
+ * @param {string|null} [caCert] – PEM, for mode 'ca'.
+ * @returns {https.Agent}
+ */
+export function agentFor(mode, caCert) {
+  if (mode === 'verify') return verifyingAgent;
+  if (mode === 'ca') return new https.Agent({ rejectUnauthorized: true, ca: caCert });
+  return insecureAgent;
+}
+
+// ---------------- Profiles ----------------
+
+// DB row → profile with the login decrypted. A row that cannot be decrypted
+// keeps `error` so callers can refuse to connect instead of falling back.
+export function toProfile(row) {
+  const profile = {
+    tenant: row.tenant,
+    baseUrl: row.base_url,
+    accountHeader: row.account_header,
+    tlsMode: row.tls_mode,
+    caCert: row.ca_cert,
+    rotatedAt: row.rotated_at,
+    updatedAt: row.updated_at,
+    httpsAgent: agentFor(row.tls_mode, row.ca_cert)
+  };
+  try {
+    Object.assign(profile, decryptCredentials(row.tenant, row.credentials));
+  } catch (err) {
+    profile.error = err.message;
+  }
+  return profile;
+}
+
+// A failed reload keeps the last profiles and retries after RETRY_AFTER
+async function loadProfiles() {
+  if (Date.now() < profileCache.expires) return profileCache.profiles;
+  try {
+    const [rows] = await pool.query(
+      'SELECT tenant, base_url, credentials, account_header, tls_mode, ca_cert, rotated_at, updated_at FROM tenant_connections'
+    );
+    profileCache = {
+      expires: Date.now() + PROFILE_TTL,
+      profiles: new Map(rows.map(r => [r.tenant, toProfile(r)]))
+    };
+    for (const p of profileCache.profiles.values()) {
+      if (p.error) console.error(`❌ Connection profile of ${p.tenant}: ${p.error}`);
+    }
+  } catch (err) {
+    console.warn(`⚠️  Connection profiles not loaded: ${err.code || err.message}`);
+    profileCache.expires = Date.now() + RETRY_AFTER;
+  }
+  return profileCache.profiles;
+}
+
+/**
+ * Decrypted connection profile of a tenant.
+ *
+ * @param {string} tenant
+ * @returns {Promise<object|null>} null when the tenant has none
+ */
+export async function getConnection(tenant) {
+  return (await loadProfiles()).get(tenant) ?? null;
+}
+
+/**
+ * Drop the cached profiles after an edit.
+ */
+export function invalidateConnections() {
+  profileCache.expires = 0;
+}
@@ -0,0 +1,268 @@
+// connections.js
+// Admin routes for the encrypted upstream connection profiles
+// (connectionStore.js).
+//
+//   GET    /api/connections                 – every profile (never the password)
+//   POST   /api/connections                 – { tenant, baseUrl, username, password,
+//                                               accountHeader?, tlsMode='verify', caCert? }
+//   PUT    /api/connections/:tenant         – baseUrl / accountHeader / tlsMode / caCert;
+//                                               fields not sent are kept
+//   POST   /api/connections/:tenant/rotate  – { username?, password } new login; an empty
+//                                               body re-encrypts the current login with
+//                                               the current CONNECTION_SECRET_KEY
+//   POST   /api/connections/:tenant/test    – log in with the stored profile now
+//   DELETE /api/connections/:tenant         – back to the registry / env settings
+//
+// Every change drops the tenant's cached upstream tokens, so the next report
+// logs in with the new settings.
+//
+// The router is mounted in server.js behind requireAuth + requirePermission('connections:manage').
+
+import crypto from 'crypto';
+import express from 'express';
+import { pool } from './db.js';
+import { recordAudit } from './audit.js';
+import { forgetTokens, portalLogin } from './tokenService.js';
+import {
+  TLS_MODES,
+  ConnectionKeyError,
+  currentKeyId,
+  encryptCredentials,
+  decryptCredentials,
+  invalidateConnections,
+  toProfile
+} from './connectionStore.js';
+
+const TENANT_RE = /^[\w.-]{1,100}$/;
+
+// Validation failures are reported to the client as 400s
+class ValidationError extends Error {}
+
+function cleanBaseUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value ?? '').trim());
+  } catch {
+    throw new ValidationError(`Invalid baseUrl: ${value ?? ''}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new ValidationError('baseUrl must be http(s)');
+  return url.href.replace(/\/+$/, '');
+}
+
+function cleanAccountHeader(value) {
+  if (value == null || String(value).trim() === '') return null;
+  const header = String(value).trim();
+  if (header.length > 100) throw new ValidationError('accountHeader must be at most 100 characters');
+  return header;
+}
+
+function cleanCaCert(value) {
+  if (value == null || String(value).trim() === '') return null;
+  const pem = String(value).trim();
+  try {
+    new crypto.X509Certificate(pem);
+  } catch {
+    throw new ValidationError('caCert must be a PEM encoded certificate');
+  }
+  return pem;
+}
+
+// { username, password } from a request body; username may fall back to `current`
+function cleanCredentials(body, current) {
+  const username = String(body.username ?? current ?? '').trim();
+  const password = body.password == null ? '' : String(body.password);
+  if (!username) throw new ValidationError('username is required');
+  if (!password) throw new ValidationError('password is required');
+  return { username, password };
+}
+
+// Request body ⇒ columns for the non-secret settings present
+function toColumns(body, current = {}) {
+  const cols = {};
+  if (body.baseUrl !== undefined) cols.base_url = cleanBaseUrl(body.baseUrl);
+  if (body.accountHeader !== undefined) cols.account_header = cleanAccountHeader(body.accountHeader);
+  if (body.tlsMode !== undefined) {
+    if (!TLS_MODES.includes(body.tlsMode)) throw new ValidationError(`tlsMode must be one of: ${TLS_MODES.join(', ')}`);
+    cols.tls_mode = body.tlsMode;
+  }
+  if (body.caCert !== undefined) cols.ca_cert = cleanCaCert(body.caCert);
+  const tlsMode = cols.tls_mode ?? current.tls_mode;
+  const caCert = cols.ca_cert !== undefined ? cols.ca_cert : current.ca_cert;
+  if (tlsMode === 'ca' && !caCert) throw new ValidationError('tlsMode "ca" needs a caCert');
+  return cols;
+}
+
+// DB row → API shape: the password never leaves the server
+function toPublic(row) {
+  const keyId = String(row.credentials).split(':')[1] ?? null;
+  let username = null;
+  let error = null;
+  try {
+    ({ username } = decryptCredentials(row.tenant, row.credentials));
+  } catch (err) {
+    error = err.message;
+  }
+  return {
+    tenant: row.tenant,
+    baseUrl: row.base_url,
+    username,
+    accountHeader: row.account_header,
+    tlsMode: row.tls_mode,
+    caCert: row.ca_cert,
+    keyId,
+    keyCurrent: keyId === currentKeyId(),
+    error,
+    rotatedAt: row.rotated_at,
+    lastTest: row.last_test_at
+      ? { at: row.last_test_at, ok: Boolean(row.last_test_ok), error: row.last_test_error }
+      : null,
+    updatedAt: row.updated_at
+  };
+}
+
+async function loadRow(tenant) {
+  const [rows] = await pool.query('SELECT * FROM tenant_connections WHERE tenant = ?', [tenant]);
+  return rows[0] ?? null;
+}
+
+// Profile changed: reload profiles and log in again on next use
+function afterChange(tenant) {
+  invalidateConnections();
+  forgetTokens(tenant);
+}
+
+// Map known errors to HTTP responses
+function sendError(res, err) {
+  if (err instanceof ValidationError) return res.status(400).json({ error: err.message });
+  if (err instanceof ConnectionKeyError) return res.status(409).json({ error: err.message });
+  if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Connection already exists; rotate or update it instead' });
+  console.error(err);
+  res.status(500).json({ error: 'Server error' });
+}
+
+// ---------------- Routes ----------------
+
+export const connectionsRouter = express.Router();
+
+connectionsRouter.get('/', async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM tenant_connections ORDER BY tenant');
+    res.json({ keyConfigured: currentKeyId() !== null, data: rows.map(toPublic) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+connectionsRouter.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const tenant = String(body.tenant ?? '').trim();
+    if (!TENANT_RE.test(tenant)) throw new ValidationError('tenant is required (letters, digits, _ . - only, max 100)');
+    if (body.baseUrl === undefined) throw new ValidationError('baseUrl is required');
+    const cols = toColumns(body, { tls_mode: 'verify' });
+    const credentials = encryptCredentials(tenant, cleanCredentials(body));
+    await pool.query('INSERT INTO tenant_connections SET ?', [{
+      tenant, ...cols, credentials, rotated_at: new Date(), updated_by: req.user.id
+    }]);
+    afterChange(tenant);
+    console.log(`🔐 Connection for ${tenant} added (${cols.base_url})`);
+    recordAudit(req, { action: 'connection.created', tenant, details: { baseUrl: cols.base_url, tlsMode: cols.tls_mode ?? 'verify' } });
+    res.status(201).json({ data: toPublic(await loadRow(tenant)) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+connectionsRouter.put('/:tenant', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.username !== undefined || body.password !== undefined) {
+      throw new ValidationError('Credentials are changed through POST /api/connections/:tenant/rotate');
+    }
+    const current = await loadRow(req.params.tenant);
+    if (!current) return res.status(404).json({ error: 'Connection not found' });
+    const cols = toColumns(body, current);
+    if (Object.keys(cols).length) {
+      await pool.query('UPDATE tenant_connections SET ? WHERE tenant = ?', [{ ...cols, updated_by: req.user.id }, current.tenant]);
+    }
+    afterChange(current.tenant);
+    console.log(`🔐 Connection for ${current.tenant} updated (${Object.keys(cols).join(', ') || 'no changes'})`);
+    recordAudit(req, {
+      action: 'connection.updated',
+      tenant: current.tenant,
+      details: { fields: Object.keys(body).filter(k => ['baseUrl', 'accountHeader', 'tlsMode', 'caCert'].includes(k)) }
+    });
+    res.json({ data: toPublic(await loadRow(current.tenant)) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+connectionsRouter.post('/:tenant/rotate', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const current = await loadRow(req.params.tenant);
+    if (!current) return res.status(404).json({ error: 'Connection not found' });
+
+    // New login, or the current one re-encrypted under the current key. Only
+    // a partial body needs the stored login readable, so a complete new login
+    // also replaces one whose key was lost.
+    const reencrypt = body.username === undefined && body.password === undefined;
+    const credentials = reencrypt
+      ? decryptCredentials(current.tenant, current.credentials)
+      : cleanCredentials(body, body.username === undefined ? decryptCredentials(current.tenant, current.credentials).username : null);
+    await pool.query('UPDATE tenant_connections SET ? WHERE tenant = ?', [{
+      credentials: encryptCredentials(current.tenant, { username: credentials.username, password: credentials.password }),
+      rotated_at: new Date(),
+      updated_by: req.user.id
+    }, current.tenant]);
+    afterChange(current.tenant);
+    console.log(`🔐 Connection for ${current.tenant}: ${reencrypt ? 'login re-encrypted' : 'login rotated'} (key ${currentKeyId()})`);
+    recordAudit(req, { action: 'connection.rotated', tenant: current.tenant, details: { reencrypt, keyId: currentKeyId() } });
+    res.json({ data: toPublic(await loadRow(current.tenant)) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+connectionsRouter.post('/:tenant/test', async (req, res) => {
+  try {
+    const row = await loadRow(req.params.tenant);
+    if (!row) return res.status(404).json({ error: 'Connection not found' });
+    const profile = toProfile(row);
+    if (profile.error) throw new ConnectionKeyError(profile.error);
+
+    const started = Date.now();
+    let result;
+    try {
+      const { url } = await portalLogin(row.tenant, profile, { retries: 1 });
+      result = { ok: true, url, latencyMs: Date.now() - started };
+    } catch (err) {
+      result = { ok: false, error: err.message, attempts: err.attempts ?? [], latencyMs: Date.now() - started };
+    }
+
+    await pool.query(
+      'UPDATE tenant_connections SET last_test_at = NOW(), last_test_ok = ?, last_test_error = ? WHERE tenant = ?',
+      [result.ok, result.ok ? null : (result.attempts.map(a => `${a.url}: ${a.error}`).join('; ') || result.error).slice(0, 500), row.tenant]
+    );
+    console.log(`🔌 Connection test for ${row.tenant}: ${result.ok ? `ok (${result.latencyMs} ms)` : result.error}`);
+    recordAudit(req, { action: 'connection.tested', tenant: row.tenant, details: { ok: result.ok, latencyMs: result.latencyMs } });
+    res.json(result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+connectionsRouter.delete('/:tenant', async (req, res) => {
+  try {
+    const tenant = String(req.params.tenant);
+    const [result] = await pool.query('DELETE FROM tenant_connections WHERE tenant = ?', [tenant]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'Connection not found' });
+    afterChange(tenant);
+    console.log(`🔐 Connection for ${tenant} removed`);
+    recordAudit(req, { action: 'connection.deleted', tenant });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
@@ -0,0 +1,37 @@
+// db.js
+// Shared MySQL connection pool used by the web server and its helpers.
+// Connection settings come from the environment:
+//
+//   DB_USER / DB_PASSWORD  – required (checked on first query); there are no
+//                            default credentials
+//   DB_HOST                – default localhost
+//   DB_PORT                – default 3306
+//   DB_NAME                – default spc
+//   DB_CONNECTION_LIMIT    – default 5
+
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const pool = mysql.createPool({
+  host: process.env.DB_HOST || 'localhost',
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME || 'spc',
+  port: Number(process.env.DB_PORT) || 3306,
+  waitForConnections: true,
+  connectionLimit: Number(process.env.DB_CONNECTION_LIMIT) || 5,
+});
+
+// Without credentials the pool fails on first use rather than on import, so
+// tools that never touch the database (reportFetcher / agentStatus CLIs) still run
+const missing = ['DB_USER', 'DB_PASSWORD'].filter(name => !process.env[name]);
+if (missing.length) {
+  const unconfigured = async () => {
+    throw new Error(`${missing.join(' and ')} must be set (see db.js)`);
+  };
+  pool.query = pool.execute = pool.getConnection = unconfigured;
+}
+
+export default pool;
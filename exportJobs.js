@@ -0,0 +1,260 @@
+// exportJobs.js
+// Background export jobs for windows too large for one HTTP request.
+//
+//   POST   /api/export-jobs               – queue a job { account | accounts, start, end, type, format }
+//   GET    /api/export-jobs               – the caller's jobs, newest first
+//   GET    /api/export-jobs/:id           – status: rows, pages, progress, ETA
+//   GET    /api/export-jobs/:id/download  – the finished file
+//   DELETE /api/export-jobs/:id           – cancel a pending job / delete a finished one
+//
+// Jobs run EXPORT_JOB_CONCURRENCY at a time through exportToFile() (exporter.js)
+// and write to EXPORT_DIR. Job state lives in memory: a restart forgets the
+// jobs, and files older than EXPORT_JOB_TTL are removed by a periodic sweep.
+//
+// `accounts` (array) exports several tenants into one file with a Tenant
+// column (exporter.js).
+//
+// The router is mounted in server.js behind requireAuth + requirePermission('export:csv').
+
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ms from 'ms';
+import { applyUserScope, hasPermission, requireTenantAccess } from './auth.js';
+import { recordAudit } from './audit.js';
+import { ExportRequestError, parseExportRequest, exportToFile } from './exporter.js';
+import { resolveTimeZone } from './tenantRegistry.js';
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(os.tmpdir(), 'report-exports');
+const CONCURRENCY = Number(process.env.EXPORT_JOB_CONCURRENCY) || 1;
+const MAX_ACTIVE_PER_USER = Number(process.env.EXPORT_JOB_MAX_ACTIVE) || 3;
+const JOB_TTL = ms(process.env.EXPORT_JOB_TTL || '24h');
+
+const jobs = new Map();   // id ⇒ job
+const queue = [];         // ids waiting for a worker
+let running = 0;
+
+class JobCancelled extends Error {}
+
+const isActive = job => job.status === 'queued' || job.status === 'running';
+
+// What the client gets to see (no file paths, no user object)
+function toPublic(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    format: job.format,
+    account: job.accounts.join(','),
+    accounts: job.accounts,
+    start: job.start,
+    end: job.end,
+    status: job.status,
+    rows: job.rows,
+    pages: job.pages,
+    progress: job.progress,
+    eta: job.eta,
+    size: job.size,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    downloadUrl: job.status === 'done' ? `/api/export-jobs/${job.id}/download` : null
+  };
+}
+
+// Share of the window already exported (0..1), or null when it cannot be told
+function estimateProgress(job, { step, steps, firstAt, lastAt }) {
+  const { startDate, endDate } = job.params;
+  if (!startDate || !endDate || endDate <= startDate) return null;
+  const span = (endDate - startDate) * 1000;
+  const covered = lastAt ? Math.min(1, (lastAt - firstAt) / span) : 0;
+  return Math.min(0.99, (step + covered) / steps);
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = new Date();
+
+  try {
+    const { rows, pages, size } = await exportToFile(job.filePath, {
+      format: job.format,
+      types: job.types,
+      tenants: job.accounts,
+      params: job.params,
+      filterRows: (reportType, pageRows) => applyUserScope(job.user, reportType, pageRows),
+      timeZone: await resolveTimeZone(job.user, job.accounts[0]),
+      onProgress: progress => {
+        if (job.cancelled) throw new JobCancelled('Cancelled');
+        job.rows = progress.rows;
+        job.pages = progress.pages;
+        job.progress = estimateProgress(job, progress);
+        const elapsed = Date.now() - job.startedAt.getTime();
+        job.eta = job.progress > 0.01 ? Math.round(elapsed * (1 - job.progress) / job.progress / 1000) : null;
+      }
+    });
+
+    Object.assign(job, { status: 'done', rows, pages, size, progress: 1, eta: 0 });
+    console.log(`📦 Export job ${job.id} done: ${rows} rows from ${pages} pages`);
+    for (const account of job.accounts) {
+      recordAudit({ user: job.user, ip: job.ip }, {
+        action: `export.${job.format}`,
+        tenant: account,
+        reportType: job.types.join(','),
+        start: job.start,
+        end: job.end,
+        details: {
+          rows, pages, format: job.format, source: 'job', jobId: job.id,
+          ...(job.accounts.length > 1 && { accounts: job.accounts })
+        }
+      });
+    }
+  } catch (err) {
+    if (err instanceof JobCancelled || job.cancelled) {
+      job.status = 'cancelled';
+    } else {
+      const upstreamErr = err.response?.data?.error;
+      job.status = 'failed';
+      job.error = (typeof upstreamErr === 'string') ? upstreamErr : upstreamErr?.message || err.message;
+      console.error(`❌ Export job ${job.id} failed:`, err.response?.data || err.message);
+    }
+    job.eta = null;
+  } finally {
+    job.finishedAt = new Date();
+  }
+}
+
+function pump() {
+  while (running < CONCURRENCY && queue.length) {
+    const job = jobs.get(queue.shift());
+    if (!job || job.status !== 'queued') continue;
+    running++;
+    runJob(job).finally(() => {
+      running--;
+      pump();
+    });
+  }
+}
+
+async function removeJob(job) {
+  jobs.delete(job.id);
+  await fs.promises.rm(job.filePath, { force: true });
+}
+
+// Drop expired jobs and their files
+setInterval(() => {
+  const cutoff = Date.now() - JOB_TTL;
+  for (const job of jobs.values()) {
+    if (!isActive(job) && job.finishedAt && job.finishedAt.getTime() < cutoff) {
+      removeJob(job).catch(err => console.error('❌ Export cleanup failed:', err.message));
+    }
+  }
+}, ms('10m')).unref();
+
+// Jobs are private to the user who created them
+function findOwnJob(req, res) {
+  const job = jobs.get(req.params.id);
+  if (!job || job.user.id !== req.user.id) {
+    res.status(404).json({ error: 'Export job not found' });
+    return null;
+  }
+  return job;
+}
+
+export const exportJobsRouter = express.Router();
+
+exportJobsRouter.post('/', requireTenantAccess, (req, res) => {
+  const { start, end, type = 'combined', format } = req.body || {};
+  const { accounts } = req;   // checked by requireTenantAccess
+  if (!accounts.length) return res.status(400).json({ error: 'Missing account' });
+
+  let parsed;
+  try {
+    parsed = parseExportRequest({ type, format, start, end }, t => hasPermission(req.user.role, `reports:${t}`));
+  } catch (err) {
+    if (err instanceof ExportRequestError) return res.status(err.status).json({ error: err.message });
+    throw err;
+  }
+
+  const active = [...jobs.values()].filter(j => j.user.id === req.user.id && isActive(j)).length;
+  if (active >= MAX_ACTIVE_PER_USER) {
+    return res.status(429).json({ error: `At most ${MAX_ACTIVE_PER_USER} exports can run at once` });
+  }
+
+  const id = crypto.randomUUID();
+  const job = {
+    id,
+    user: { id: req.user.id, username: req.user.username, role: req.user.role },
+    ip: req.ip,
+    type,
+    accounts,
+    start: start ?? null,
+    end: end ?? null,
+    ...parsed,
+    filePath: path.join(EXPORT_DIR, `${id}.${parsed.format}`),
+    status: 'queued',
+    rows: 0,
+    pages: 0,
+    progress: 0,
+    eta: null,
+    size: null,
+    error: null,
+    cancelled: false,
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null
+  };
+  jobs.set(id, job);
+  queue.push(id);
+  pump();
+
+  res.status(202).json({ job: toPublic(job) });
+});
+
+exportJobsRouter.get('/', (req, res) => {
+  const list = [...jobs.values()]
+    .filter(j => j.user.id === req.user.id)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(toPublic);
+  res.json({ data: list });
+});
+
+exportJobsRouter.get('/:id', (req, res) => {
+  const job = findOwnJob(req, res);
+  if (job) res.json({ job: toPublic(job) });
+});
+
+exportJobsRouter.get('/:id/download', (req, res) => {
+  const job = findOwnJob(req, res);
+  if (!job) return;
+  if (job.status !== 'done') return res.status(409).json({ error: `Export is ${job.status}` });
+
+  const filename = `${job.type}_${job.accounts.join('+')}_${job.createdAt.toISOString().slice(0, 10)}.${job.format}`;
+  res.download(job.filePath, filename, err => {
+    if (err && !res.headersSent) res.status(410).json({ error: 'Export file is no longer available' });
+  });
+});
+
+exportJobsRouter.delete('/:id', async (req, res) => {
+  const job = findOwnJob(req, res);
+  if (!job) return;
+
+  if (job.status === 'running') {
+    // The worker notices on its next page and cleans up its partial file
+    job.cancelled = true;
+    return res.json({ success: true, job: toPublic(job) });
+  }
+  if (job.status === 'queued') {
+    job.status = 'cancelled';
+    job.finishedAt = new Date();
+    return res.json({ success: true, job: toPublic(job) });
+  }
+  try {
+    await removeJob(job);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
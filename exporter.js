@@ -0,0 +1,277 @@
+// exporter.js
+// Streaming CSV / XLSX export of whole date ranges.
+//
+// iterateReport() walks every next_start_key page through fetchReport, so a
+// month of traffic is exported in one request without the dashboard paging.
+// Rows go through the same normalization as the table (normalize.js) and are
+// written to the HTTP response as they arrive; only Call IDs are kept in
+// memory (for de-duplication across pages / report types).
+//
+// An export may span several tenants: they are written one after the other
+// and the file gets a leading Tenant column (exportHeaders()).
+
+import ExcelJS from 'exceljs';
+import fs from 'fs';
+import path from 'path';
+import { finished } from 'stream/promises';
+import { fetchReport } from './reportFetcher.js';
+import { EXPORT_HEADERS, REPORT_SOURCES, normalizeRow, formatForExport, prepareRow, toEpoch } from './normalize.js';
+import { makeRecordMatcher, splitFilters } from './reportFilters.js';
+import { REPORT_TYPE_KEYS, getReportType } from './reportTypes/index.js';
+import { DEFAULT_TIME_ZONE } from './timeZones.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+export const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Order of sources in a combined export (registry order, as the dashboard fetches)
+export const COMBINED_TYPES = REPORT_TYPE_KEYS;
+
+export class ExportRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Validate export parameters shared by the direct download and export jobs.
+ *
+ * @param {object} query
+ * @param {string} query.type    – report key or 'combined'.
+ * @param {string} [query.format='csv']
+ * @param {string} [query.start] – ISO date.
+ * @param {string} [query.end]   – ISO date.
+ * @param {function(string):boolean} canView – `reports:<type>` permission check.
+ * @returns {{types:string[], format:string, params:object}}
+ * @throws {ExportRequestError}
+ */
+export function parseExportRequest({ type, format = 'csv', start, end }, canView) {
+  format = String(format).toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ExportRequestError(`Unsupported format: ${format}`);
+  }
+
+  let types;
+  if (type === 'combined') {
+    types = COMBINED_TYPES.filter(canView);
+  } else if (COMBINED_TYPES.includes(type)) {
+    if (!canView(type)) throw new ExportRequestError('Forbidden', 403);
+    types = [type];
+  } else {
+    throw new ExportRequestError(`Unknown report type: ${type}`);
+  }
+
+  const params = {};
+  if (start) {
+    const startDate = Date.parse(start);
+    if (Number.isNaN(startDate)) throw new ExportRequestError('Invalid start date');
+    params.startDate = Math.floor(startDate / 1000);
+  }
+  if (end) {
+    const endDate = Date.parse(end);
+    if (Number.isNaN(endDate)) throw new ExportRequestError('Invalid end date');
+    params.endDate = Math.floor(endDate / 1000);
+  }
+  return { types, format, params };
+}
+
+/**
+ * Columns of an export over `tenants`: EXPORT_HEADERS, led by Tenant when
+ * there is more than one.
+ *
+ * @param {string[]} tenants
+ * @returns {string[]}
+ */
+export function exportHeaders(tenants) {
+  return tenants.length > 1 ? ['Tenant', ...EXPORT_HEADERS] : EXPORT_HEADERS;
+}
+
+/**
+ * Yield each page of a report for the whole window.
+ *
+ * @param {string} report – report type key (see reportTypes/index.js).
+ * @param {string} tenant
+ * @param {object} params – { startDate, endDate } in epoch seconds.
+ * @returns {AsyncGenerator<object[]>} raw fetchReport() rows per page
+ */
+export async function* iterateReport(report, tenant, params = {}) {
+  let startKey;
+  const seenKeys = new Set();
+  while (true) {
+    const result = await fetchReport(report, tenant, { ...params, ...(startKey && { start_key: startKey }) }, { cache: false });
+    const rows = Array.isArray(result) ? result : result.rows;
+    const next = Array.isArray(result) ? null : result.next;
+    yield rows;
+
+    // Stop at the last page – or if the upstream hands back a key we already
+    // followed, which would otherwise loop forever.
+    if (!next || seenKeys.has(next)) break;
+    seenKeys.add(next);
+    startKey = next;
+  }
+}
+
+// RFC4180 escaping, same rules as toCsv() in reportFetcher.js
+function csvLine(values, delimiter = ',') {
+  return values
+    .map(v => {
+      if (v == null) return '';
+      const str = String(v);
+      return str.includes(delimiter) || str.includes('\n') || str.includes('"')
+        ? `"${str.replace(/"/g, '""')}"`
+        : str;
+    })
+    .join(delimiter) + '\n';
+}
+
+// Write and wait for 'drain' when the socket buffer is full
+function writeChunk(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(new Error('Client closed the connection')); };
+    const cleanup = () => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+    };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+}
+
+/**
+ * Create a row writer for `format` that streams into `out`.
+ *
+ * @param {'csv'|'xlsx'} format
+ * @param {import('stream').Writable} out
+ * @param {string[]} headers
+ * @returns {{ writeRows(rows:object[]):Promise<void>, end():Promise<void> }}
+ */
+export function createExportWriter(format, out, headers = EXPORT_HEADERS) {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Report');
+    sheet.columns = headers.map(h => ({ header: h, key: h, width: Math.max(12, h.length + 2) }));
+    return {
+      async writeRows(rows) {
+        for (const r of rows) sheet.addRow(headers.map(h => r[h] ?? '')).commit();
+      },
+      async end() {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  let headerWritten = false;
+  return {
+    async writeRows(rows) {
+      let chunk = headerWritten ? '' : csvLine(headers);
+      headerWritten = true;
+      for (const r of rows) chunk += csvLine(headers.map(h => r[h]));
+      if (chunk) await writeChunk(out, chunk);
+    },
+    async end() {
+      if (!headerWritten) await writeChunk(out, csvLine(headers));
+      out.end();
+    }
+  };
+}
+
+/**
+ * Stream one or several report types of one or several tenants into `writer`.
+ *
+ * @param {object}   opts
+ * @param {string[]} opts.types       – report types, written in this order.
+ * @param {string[]} opts.tenants     – tenants, written in this order.
+ * @param {object}   opts.params      – { startDate, endDate } in epoch seconds.
+ * @param {object}   opts.writer      – from createExportWriter() with exportHeaders(tenants).
+ * @param {function(string, object[]):Promise<object[]>} [opts.filterRows]
+ *                                    – per-page hook (e.g. supervisor scope).
+ * @param {object}   [opts.filters]   – from parseReportQuery() (reportFilters.js);
+ *                                      applied as on /api/reports/combined.
+ * @param {string}   [opts.timeZone=DEFAULT_TIME_ZONE] – one zone for the whole file.
+ * @param {function({tenant:string, type:string, step:number, steps:number, pages:number, rows:number, firstAt:number, lastAt:number}):void} [opts.onProgress]
+ *        – called after every page; `step` counts the tenant × type passes
+ *          (0..steps-1), firstAt / lastAt (epoch ms) span the Called Times seen
+ *          so far in this pass. Throwing aborts the export.
+ * @returns {Promise<{rows:number, pages:number}>}
+ */
+export async function exportReports({ types, tenants, params, writer, filterRows, filters = {}, timeZone = DEFAULT_TIME_ZONE, onProgress }) {
+  const headers = exportHeaders(tenants);
+  const seenCallIds = new Set();
+  let rowsWritten = 0;
+  let pages = 0;
+  let step = 0;
+  const steps = tenants.length * types.length;
+
+  for (const tenant of tenants) {
+    for (const type of types) {
+      const source = REPORT_SOURCES[type];
+      let firstAt = 0;
+      let lastAt = 0;
+      const { upstream, local } = splitFilters(getReportType(type), filters);
+      const matches = makeRecordMatcher(local);
+      for await (const page of iterateReport(type, tenant, { ...params, ...upstream })) {
+        pages++;
+        let rows = page.map(prepareRow);
+        if (filterRows) rows = await filterRows(type, rows);
+
+        const out = [];
+        for (const row of rows) {
+          const rec = { Tenant: tenant, ...normalizeRow(row, source, { timeZone }) };
+          if (!matches(rec)) continue;
+          const at = toEpoch(rec);
+          if (at) {
+            firstAt = firstAt ? Math.min(firstAt, at) : at;
+            lastAt = Math.max(lastAt, at);
+          }
+          // Deduplicate by Call ID irrespective of Type, like the dashboard
+          // (Call IDs are only unique within a tenant)
+          const callId = rec['Call ID'];
+          if (callId) {
+            const key = `${tenant}\n${callId}`;
+            if (seenCallIds.has(key)) continue;
+            seenCallIds.add(key);
+          }
+          out.push(formatForExport(rec, { timeZone, headers }));
+        }
+        await writer.writeRows(out);
+        rowsWritten += out.length;
+        onProgress?.({ tenant, type, step, steps, pages, rows: rowsWritten, firstAt, lastAt });
+      }
+      step++;
+    }
+  }
+
+  await writer.end();
+  return { rows: rowsWritten, pages };
+}
+
+/**
+ * exportReports() into a file. The data is written to `<filePath>.part` and
+ * renamed when complete, so readers never see a half-written export.
+ *
+ * @param {string} filePath
+ * @param {object} opts – exportReports() options plus `format`.
+ * @returns {Promise<{rows:number, pages:number, size:number}>}
+ */
+export async function exportToFile(filePath, { format, ...opts }) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const partPath = `${filePath}.part`;
+  const out = fs.createWriteStream(partPath);
+  try {
+    const result = await exportReports({ ...opts, writer: createExportWriter(format, out, exportHeaders(opts.tenants)) });
+    await finished(out);
+    await fs.promises.rename(partPath, filePath);
+    return { ...result, size: (await fs.promises.stat(filePath)).size };
+  } catch (err) {
+    out.destroy();
+    await fs.promises.rm(partPath, { force: true });
+    throw err;
+  }
+}
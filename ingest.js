@@ -0,0 +1,48 @@
+// ingest.js
+// One-off backfill of the local report warehouse (see warehouse.js), e.g. to
+// keep history the upstream portal no longer retains.
+//
+// Usage:
+//   node -r dotenv/config ingest.js <tenant> <start ISO> <end ISO> [type,type…]
+//
+// Types default to all four reports. Re-running a window is safe: rows are
+// upserted by call_id.
+
+import { pool } from './db.js';
+import { COMBINED_TYPES } from './exporter.js';
+import { ingestWindow, WAREHOUSE_TABLES } from './warehouse.js';
+
+async function main() {
+  const [,, tenant, start, end, typeArg] = process.argv;
+  const startMs = Date.parse(start);
+  const endMs = Date.parse(end);
+  if (!tenant || Number.isNaN(startMs) || Number.isNaN(endMs)) {
+    console.error('Usage: node -r dotenv/config ingest.js <tenant> <start ISO> <end ISO> [type,type…]');
+    process.exit(1);
+  }
+  const types = typeArg ? typeArg.split(',').map(t => t.trim()).filter(Boolean) : COMBINED_TYPES;
+  const unknown = types.filter(t => !WAREHOUSE_TABLES[t]);
+  if (unknown.length) {
+    console.error(`❌ Unknown report type: ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    const totals = await ingestWindow({
+      types,
+      tenant,
+      params: { startDate: Math.floor(startMs / 1000), endDate: Math.floor(endMs / 1000) },
+      onProgress: ({ type, pages, stored }) => console.log(`   ${type}: page ${pages}, ${stored} rows stored`)
+    });
+    for (const [type, t] of Object.entries(totals)) {
+      console.log(`✅ ${type}: ${t.stored} rows from ${t.pages} pages (${t.skipped} without call id skipped)`);
+    }
+  } catch (err) {
+    console.error('❌ Ingest failed:', err.response?.data || err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,238 @@
+// kpis.js
+// Contact-centre KPIs per queue and interval, computed on the server from the
+// queue reports.
+//
+//   GET /api/kpis?account=&start=<ISO>&end=<ISO>&interval=15m|hour|day
+//                &slThreshold=<seconds>&types=queueCalls,queueOutboundCalls
+//                &source=upstream|warehouse
+//
+// Per queue, direction and interval (aligned on the wall clock of the zone
+// resolveTimeZone() gives the user for the tenant, returned as `timeZone`):
+//   offered      – calls that entered the queue
+//   answered     – inbound: abandoned = NO (set by fetchReport); outbound: has answered_time
+//   abandoned    – offered − answered
+//   serviceLevel – % of offered calls answered within slThreshold seconds of waiting
+//   abandonRate  – % of offered calls abandoned
+//   asa          – average wait of answered calls (average speed of answer), seconds
+//   avgTalk      – average talked_duration of answered calls, seconds
+//   avgWait      – average wait_duration of all offered calls, seconds
+//
+// The router is mounted in server.js behind requireAuth; supervisors only see
+// their own queues (applyUserScope).
+
+import express from 'express';
+import { applyUserScope, hasPermission, requireTenantAccess } from './auth.js';
+import { recordAudit } from './audit.js';
+import { iterateReport } from './exporter.js';
+import { iterateWarehouse } from './warehouse.js';
+import { toDate } from './normalize.js';
+import { DEFAULT_TIME_ZONE, intervalStart } from './timeZones.js';
+import { resolveTimeZone } from './tenantRegistry.js';
+
+export const KPI_TYPES = ['queueCalls', 'queueOutboundCalls'];
+
+export const KPI_INTERVALS = {
+  '15m': 15 * 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 'day'
+};
+
+const DEFAULT_SL_THRESHOLD = Number(process.env.KPI_SL_THRESHOLD) || 20;
+
+// Seconds as a number, null when missing or nonsensical
+function seconds(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function isAnswered(type, row) {
+  if (type === 'queueCalls') return row.abandoned ? row.abandoned === 'NO' : Boolean(row.answered_time);
+  return Boolean(row.answered_time);
+}
+
+function emptyBucket(fields) {
+  return {
+    ...fields,
+    offered: 0,
+    answered: 0,
+    abandoned: 0,
+    answeredWithinThreshold: 0,
+    waitSum: 0,
+    waitCount: 0,
+    answeredWaitSum: 0,
+    answeredWaitCount: 0,
+    talkSum: 0,
+    talkCount: 0
+  };
+}
+
+function addCall(bucket, { answered, wait, talk }, slThreshold) {
+  bucket.offered++;
+  if (wait != null) {
+    bucket.waitSum += wait;
+    bucket.waitCount++;
+  }
+  if (!answered) {
+    bucket.abandoned++;
+    return;
+  }
+  bucket.answered++;
+  if (wait != null) {
+    bucket.answeredWaitSum += wait;
+    bucket.answeredWaitCount++;
+    if (wait <= slThreshold) bucket.answeredWithinThreshold++;
+  }
+  if (talk != null) {
+    bucket.talkSum += talk;
+    bucket.talkCount++;
+  }
+}
+
+const avg = (sum, count) => (count ? Math.round((sum / count) * 10) / 10 : null);
+const pct = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+// Running sums → published KPIs
+function finish({ waitSum, waitCount, answeredWaitSum, answeredWaitCount, talkSum, talkCount, ...b }) {
+  return {
+    ...b,
+    serviceLevel: pct(b.answeredWithinThreshold, b.offered),
+    abandonRate: pct(b.abandoned, b.offered),
+    asa: avg(answeredWaitSum, answeredWaitCount),
+    avgTalk: avg(talkSum, talkCount),
+    avgWait: avg(waitSum, waitCount)
+  };
+}
+
+/**
+ * Aggregate queue rows into per-interval and per-queue KPIs.
+ *
+ * @param {object}   opts
+ * @param {string[]} opts.types        – subset of KPI_TYPES.
+ * @param {string}   opts.tenant
+ * @param {object}   opts.params       – { startDate, endDate } in epoch seconds.
+ * @param {string}   [opts.interval='hour'] – key of KPI_INTERVALS.
+ * @param {number}   [opts.slThreshold]
+ * @param {'upstream'|'warehouse'} [opts.source='upstream']
+ * @param {object}   [opts.user]       – req.user, for supervisor scoping.
+ * @param {string}   [opts.timeZone=DEFAULT_TIME_ZONE] – zone intervals are aligned in.
+ * @returns {Promise<{data:object[], totals:object[], calls:number}>}
+ */
+export async function computeKpis({ types, tenant, params, interval = 'hour', slThreshold = DEFAULT_SL_THRESHOLD, source = 'upstream', user, timeZone = DEFAULT_TIME_ZONE }) {
+  const size = KPI_INTERVALS[interval];
+  const buckets = new Map();   // queue|direction|intervalStart ⇒ bucket
+  const totals = new Map();    // queue|direction ⇒ bucket
+  let calls = 0;
+
+  for (const type of types) {
+    const direction = type === 'queueCalls' ? 'inbound' : 'outbound';
+    const seen = new Set();
+    const pages = source === 'warehouse' ? iterateWarehouse(type, tenant, params) : iterateReport(type, tenant, params);
+
+    for await (const page of pages) {
+      const rows = user ? await applyUserScope(user, type, page) : page;
+      for (const row of rows) {
+        // fetchReport keeps one row per call on each page; calls can repeat across pages
+        if (row.call_id) {
+          if (seen.has(row.call_id)) continue;
+          seen.add(row.call_id);
+        }
+        const calledAt = toDate(row.called_time);
+        if (!calledAt) continue;
+
+        const queue = row.queue_name || '(no queue)';
+        const call = {
+          answered: isAnswered(type, row),
+          wait: seconds(row.wait_duration),
+          talk: seconds(row.talked_duration)
+        };
+        const start = intervalStart(calledAt, size, timeZone).toISOString();
+
+        const key = `${queue}|${direction}|${start}`;
+        if (!buckets.has(key)) buckets.set(key, emptyBucket({ queue, direction, intervalStart: start }));
+        addCall(buckets.get(key), call, slThreshold);
+
+        const totalKey = `${queue}|${direction}`;
+        if (!totals.has(totalKey)) totals.set(totalKey, emptyBucket({ queue, direction }));
+        addCall(totals.get(totalKey), call, slThreshold);
+        calls++;
+      }
+    }
+  }
+
+  const byQueue = (a, b) => a.queue.localeCompare(b.queue) || a.direction.localeCompare(b.direction);
+  return {
+    data: [...buckets.values()].map(finish).sort((a, b) => byQueue(a, b) || a.intervalStart.localeCompare(b.intervalStart)),
+    totals: [...totals.values()].map(finish).sort(byQueue),
+    calls
+  };
+}
+
+export const kpisRouter = express.Router();
+
+kpisRouter.get('/', requireTenantAccess, async (req, res) => {
+  const { account } = req;   // checked by requireTenantAccess
+  const { start, end } = req.query;
+  const interval = req.query.interval || 'hour';
+  const source = req.query.source || process.env.REPORT_SOURCE || 'upstream';
+  const slThreshold = req.query.slThreshold == null ? DEFAULT_SL_THRESHOLD : Number(req.query.slThreshold);
+
+  if (!account) {
+    return res.status(400).json({ error: 'Missing account query param' });
+  }
+  if (!start || !end) {
+    return res.status(400).json({ error: 'start and end are required' });
+  }
+  if (!KPI_INTERVALS[interval]) {
+    return res.status(400).json({ error: `interval must be one of: ${Object.keys(KPI_INTERVALS).join(', ')}` });
+  }
+  if (!Number.isFinite(slThreshold) || slThreshold < 0) {
+    return res.status(400).json({ error: 'slThreshold must be a number of seconds' });
+  }
+  if (!['upstream', 'warehouse'].includes(source)) {
+    return res.status(400).json({ error: `Unknown source: ${source}` });
+  }
+
+  const requested = req.query.types ? String(req.query.types).split(',').map(t => t.trim()) : null;
+  const unknown = (requested || []).filter(t => !KPI_TYPES.includes(t));
+  if (unknown.length) {
+    return res.status(400).json({ error: `Unknown report type: ${unknown.join(', ')}` });
+  }
+  const allowed = (requested || KPI_TYPES).filter(t => hasPermission(req.user.role, `reports:${t}`));
+  if (!allowed.length || (requested && allowed.length < requested.length)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+
+  const startDate = Date.parse(start);
+  const endDate = Date.parse(end);
+  if (Number.isNaN(startDate)) return res.status(400).json({ error: 'Invalid start date' });
+  if (Number.isNaN(endDate)) return res.status(400).json({ error: 'Invalid end date' });
+
+  try {
+    const timeZone = await resolveTimeZone(req.user, account);
+    const result = await computeKpis({
+      types: allowed,
+      tenant: account,
+      params: { startDate: Math.floor(startDate / 1000), endDate: Math.floor(endDate / 1000) },
+      interval,
+      slThreshold,
+      source,
+      user: req.user,
+      timeZone
+    });
+    recordAudit(req, {
+      action: 'report.query',
+      tenant: account,
+      reportType: 'kpis',
+      start,
+      end,
+      details: { types: allowed, interval, calls: result.calls, source }
+    });
+    res.json({ interval, timeZone, slThreshold, types: allowed, ...result });
+  } catch (err) {
+    const upstreamErr = err.response?.data?.error;
+    const msg = (typeof upstreamErr === 'string') ? upstreamErr : upstreamErr?.message || err.message;
+    console.error(err.response?.data || err.stack || err.message);
+    res.status(500).json({ error: msg });
+  }
+});
@@ -0,0 +1,119 @@
+// loginGuard.js
+// Brute-force protection for POST /api/login.
+//
+//   • Every attempt (success or failure) is written to `login_attempts`
+//     so suspicious access can be investigated later.
+//   • Recent failures from the same IP or against the same account slow the
+//     response down progressively (exponential delay, capped).
+//   • After LOGIN_MAX_FAILURES consecutive failures an account is locked
+//     until `users.locked_until`; an admin can unlock it earlier.
+//   • An IP with LOGIN_IP_MAX_FAILURES failures inside the window is refused
+//     outright until the window passes.
+
+import ms from 'ms';
+import { pool } from './db.js';
+
+const MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOCKOUT = ms(process.env.LOGIN_LOCKOUT || '15m');
+const WINDOW = ms(process.env.LOGIN_WINDOW || '15m');
+const BASE_DELAY = 250;        // ms after the first failure
+const MAX_DELAY = ms('5s');
+
+/**
+ * Count recent failures from this IP and decide whether to refuse outright.
+ *
+ * @param {string} ip
+ * @returns {Promise<{blocked:boolean, retryAfter:number, ipFailures:number}>}
+ *          retryAfter in seconds (only when blocked).
+ */
+export async function checkLoginThrottle(ip) {
+  const since = new Date(Date.now() - WINDOW);
+  // Refusals while blocked are logged too but do not count, or an IP that
+  // keeps trying would push lastFailure forward and never be let back in
+  const [[{ failures, lastFailure }]] = await pool.query(
+    `SELECT COUNT(*) AS failures, MAX(created_at) AS lastFailure FROM login_attempts
+      WHERE ip = ? AND success = 0 AND created_at > ? AND (reason IS NULL OR reason <> 'ip_blocked')`,
+    [ip, since]
+  );
+
+  const ipFailures = Number(failures) || 0;
+  if (ipFailures >= IP_MAX_FAILURES) {
+    const retryAt = new Date(lastFailure).getTime() + WINDOW;
+    return { blocked: true, retryAfter: Math.max(1, Math.ceil((retryAt - Date.now()) / 1000)), ipFailures };
+  }
+  return { blocked: false, retryAfter: 0, ipFailures };
+}
+
+/**
+ * Progressive delay before answering: doubles with every recent failure.
+ *
+ * @param {number} failures – max of IP failures in the window and the
+ *                            account's consecutive failures.
+ * @returns {number} milliseconds
+ */
+export function failureDelay(failures) {
+  return failures > 0 ? Math.min(BASE_DELAY * 2 ** (failures - 1), MAX_DELAY) : 0;
+}
+
+/**
+ * Seconds until a locked account opens again, or 0 if it is not locked.
+ *
+ * @param {{locked_until:Date|null}} user
+ * @returns {number}
+ */
+export function lockedFor(user) {
+  if (!user.locked_until) return 0;
+  const remaining = new Date(user.locked_until).getTime() - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+/**
+ * Append a row to the login audit trail.
+ *
+ * @param {object}      attempt
+ * @param {string}      attempt.username  – as typed.
+ * @param {number|null} attempt.userId
+ * @param {string}      attempt.ip
+ * @param {string}      [attempt.userAgent]
+ * @param {boolean}     attempt.success
+ * @param {string}      [attempt.reason]  – e.g. bad_password, unknown_user, locked.
+ */
+export async function recordLoginAttempt({ username, userId = null, ip, userAgent = '', success, reason = null }) {
+  await pool.query(
+    'INSERT INTO login_attempts (username, user_id, ip, user_agent, success, reason) VALUES (?, ?, ?, ?, ?, ?)',
+    [String(username).slice(0, 100), userId, ip, String(userAgent).slice(0, 255), success ? 1 : 0, reason]
+  );
+}
+
+/**
+ * Count a wrong password against the account and lock it when the limit is hit.
+ * A lock that has run out starts the count again from this failure.
+ *
+ * @param {number} userId
+ * @returns {Promise<boolean>} true if the account is now locked
+ */
+export async function registerFailure(userId) {
+  const now = new Date();
+  // MySQL assigns left to right: the IF on locked_until sees the new count
+  await pool.query(
+    `UPDATE users
+       SET failed_attempts = IF(locked_until <= ?, 0, failed_attempts) + 1,
+           locked_until = IF(failed_attempts >= ?, ?, IF(locked_until <= ?, NULL, locked_until))
+     WHERE id = ?`,
+    [now, MAX_FAILURES, new Date(now.getTime() + LOCKOUT), now, userId]
+  );
+  const [[row]] = await pool.query('SELECT locked_until FROM users WHERE id = ?', [userId]);
+  return lockedFor(row) > 0;
+}
+
+/**
+ * Clear failure counter and lock (successful login or admin unlock).
+ *
+ * @param {number} userId
+ * @returns {Promise<boolean>} false if the user does not exist
+ */
+export async function resetFailures(userId) {
+  const [result] = await pool.query('UPDATE users SET failed_attempts = 0, locked_until = NULL WHERE id = ?', [userId]);
+  return result.affectedRows > 0;
+}
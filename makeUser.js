@@ -1,47 +1,45 @@
 // makeUser.js
+// Bootstrap the first admin account. Everything after that is managed from
+// the Users page (public/admin.html) through /api/users.
+//
+// Usage:
+//   node -r dotenv/config makeUser.js <username> <email> <password> [tenant,tenant…] [role]
+//
+// Tenants default to `spc`, role defaults to `admin`. If the username or
+// email already exists, the password, role and tenants are updated instead.
 
 import bcrypt from 'bcrypt';
-import mysql from 'mysql2/promise';
+import { pool } from './db.js';
+import { createUser } from './users.js';
 
 async function main() {
+  const [,, username, email, plainPassword, tenantArg = 'spc', role = 'admin'] = process.argv;
+  if (!username || !email || !plainPassword) {
+    console.error('Usage: node -r dotenv/config makeUser.js <username> <email> <password> [tenant,tenant…] [role]');
+    process.exit(1);
+  }
+  // Tenant accounts this user may query (see user_tenants)
+  const tenants = tenantArg.split(',').map(t => t.trim()).filter(Boolean);
 
-  // Admin credentials (change as required)
-  const username = 'Ayan Khan';
-  const email = 'ayan@multycomm.com';
-  const plainPassword = 'Ayan1012';
-
-  const pool = mysql.createPool({
-    host: 'localhost',
-    user: 'root',
-    password: 'Ayan@1012',
-    database: 'spc',
-    port: 3306,
-    waitForConnections: true,
-    connectionLimit: 5,
-  });
-
-  const conn = await pool.getConnection();
   try {
-    await conn.beginTransaction();
-
-    const hashedPassword = await bcrypt.hash(plainPassword, 10);
-
-    // Upsert into users table
-    const [existing] = await conn.query('SELECT id FROM users WHERE email = ? OR username = ?', [email, username]);
+    const [existing] = await pool.query('SELECT id FROM users WHERE email = ? OR username = ?', [email, username]);
     if (existing.length) {
-      await conn.query('UPDATE users SET password = ?, username = ? WHERE id = ?', [hashedPassword, username, existing[0].id]);
-      console.log('✅ Existing admin updated');
+      const userId = existing[0].id;
+      const hashedPassword = await bcrypt.hash(plainPassword, 10);
+      await pool.query('UPDATE users SET password = ?, role = ?, disabled = 0 WHERE id = ?', [hashedPassword, role, userId]);
+      for (const tenant of tenants) {
+        await pool.query('INSERT IGNORE INTO user_tenants (user_id, tenant) VALUES (?, ?)', [userId, tenant]);
+      }
+      console.log('✅ Existing user updated');
     } else {
-      await conn.query('INSERT INTO users (username, email, password) VALUES (?, ?, ?)', [username, email, hashedPassword]);
-      console.log('✅ Admin created');
+      await createUser({ username, email, password: plainPassword, role, tenants });
+      console.log(`✅ ${role} created`);
     }
-
-    await conn.commit();
+    console.log(`✅ Tenant access granted: ${tenants.join(', ')}`);
   } catch (err) {
-    await conn.rollback();
-    console.error('❌ Failed to create admin:', err.message);
+    console.error('❌ Failed to create user:', err.message);
+    process.exitCode = 1;
   } finally {
-    conn.release();
     await pool.end();
   }
 }
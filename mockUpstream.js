@@ -0,0 +1,184 @@
+// mockUpstream.js
+// Local stand-in for the portal API so the live wallboard (wallboard.js) can
+// be exercised without a real PBX. It simulates a few agents and queues:
+// calls arrive, wait, get answered or abandon, and agents pause now and then.
+//
+// Usage:
+//   npm run mock:upstream                       (listens on MOCK_UPSTREAM_PORT, default 9696)
+//   BASE_URL=http://localhost:9696 npm run dev  (point the server at it)
+//
+// Serves just what the wallboard and reports read:
+//   POST /api/v2/config/login/oauth                 – any credentials
+//   POST /api/v2/config/login/refresh               – { refreshToken } ⇒ new access token
+//   GET  /api/v2/reports/callcenter/agents/stats    – object keyed by extension
+//   GET  /api/v2/reports/queues_cdrs                – { data, next_start_key }, newest first;
+//                                                     queue_name / caller_id_number match exactly
+//   GET  /api/v2/reports/*                          – other reports are empty
+//
+// Report routes answer 401 to access tokens it did not issue or that expired
+// (MOCK_TOKEN_TTL seconds, default 3600), e.g. after a restart of the mock.
+
+import express from 'express';
+
+const PORT = Number(process.env.MOCK_UPSTREAM_PORT) || 9696;
+const TICK = 1000;
+const KEEP = 24 * 60 * 60;   // seconds of call history kept
+const TOKEN_TTL = Number(process.env.MOCK_TOKEN_TTL) || 3600;
+
+const QUEUES = ['Sales', 'Support', 'Billing'];
+const NAMES = [
+  ['Amal', 'Haddad'], ['Omar', 'Saleh'], ['Sara', 'Nasser'], ['Yousef', 'Karim'],
+  ['Lina', 'Aziz'], ['Rami', 'Fares'], ['Hala', 'Mansour'], ['Tarek', 'Zein']
+];
+
+const nowSec = () => Math.floor(Date.now() / 1000);
+const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+
+const agents = NAMES.map(([first, last], i) => ({
+  extension: String(1001 + i),
+  first_name: first,
+  last_name: last,
+  status: i < NAMES.length - 1 ? 'available' : 'offline',
+  status_since: nowSec(),
+  calls_handled: 0,
+  talk_time: 0,
+  callId: null
+}));
+
+const calls = [];   // queue call rows, oldest first
+let nextCallId = 1;
+
+function setStatus(agent, status) {
+  agent.status = status;
+  agent.status_since = nowSec();
+}
+
+function step() {
+  const now = nowSec();
+
+  // New arrivals: roughly one call every 6 seconds
+  if (Math.random() < 1 / 6) {
+    calls.push({
+      call_id: `mock-${nextCallId++}`,
+      called_time: now,
+      answered_time: null,
+      hangup_time: null,
+      wait_duration: null,
+      talked_duration: null,
+      queue_name: QUEUES[randomInt(0, QUEUES.length - 1)],
+      caller_id_number: `05${randomInt(10000000, 99999999)}`,
+      caller_id_name: '',
+      agent_history: [],
+      patience: randomInt(20, 120),
+      talk: randomInt(30, 240)
+    });
+  }
+
+  for (const call of calls) {
+    if (call.hangup_time) continue;
+    const agent = call.answered_time && agents.find(a => a.callId === call.call_id);
+
+    if (agent && now - call.answered_time >= call.talk) {
+      // Call ends; agent goes back to available
+      call.hangup_time = now;
+      call.talked_duration = now - call.answered_time;
+      agent.talk_time += call.talked_duration;
+      agent.calls_handled++;
+      agent.callId = null;
+      setStatus(agent, 'available');
+    } else if (!call.answered_time && now - call.called_time >= call.patience) {
+      call.hangup_time = now;
+      call.wait_duration = now - call.called_time;
+    } else if (!call.answered_time) {
+      const free = agents.find(a => a.status === 'available');
+      if (free && Math.random() < 0.5) {
+        call.answered_time = now;
+        call.wait_duration = now - call.called_time;
+        call.agent_history = [{
+          ext: free.extension,
+          first_name: free.first_name,
+          last_name: free.last_name,
+          connected: true,
+          answered_time: now,
+          event: 'answer',
+          type: 'agent',
+          queue_name: call.queue_name,
+          last_attempt: now
+        }];
+        free.callId = call.call_id;
+        setStatus(free, 'on_call');
+      }
+    }
+  }
+
+  // Agents not on a call occasionally pause / resume / log in or out
+  for (const agent of agents) {
+    if (agent.callId || Math.random() > 0.01) continue;
+    const next = { available: 'paused', paused: 'available', offline: 'available' }[agent.status];
+    if (next) setStatus(agent, Math.random() < 0.1 ? 'offline' : next);
+  }
+
+  while (calls.length && calls[0].called_time < now - KEEP) calls.shift();
+}
+
+const app = express();
+app.use(express.json());
+
+const accessTokens = new Map();   // token ⇒ expiry (epoch s)
+const refreshTokens = new Set();
+
+function issueToken() {
+  const accessToken = `mock-${Date.now()}-${randomInt(0, 1e6)}`;
+  accessTokens.set(accessToken, nowSec() + TOKEN_TTL);
+  return accessToken;
+}
+
+app.post('/api/v2/config/login/oauth', (req, res) => {
+  const refreshToken = `mock-refresh-${Date.now()}-${randomInt(0, 1e6)}`;
+  refreshTokens.add(refreshToken);
+  res.json({ accessToken: issueToken(), refreshToken, expiresIn: TOKEN_TTL });
+});
+
+app.post('/api/v2/config/login/refresh', (req, res) => {
+  if (!refreshTokens.has(req.body?.refreshToken)) return res.status(401).json({ error: 'Invalid refresh token' });
+  res.json({ accessToken: issueToken(), expiresIn: TOKEN_TTL });
+});
+
+app.use('/api/v2/reports', (req, res, next) => {
+  const token = String(req.headers.authorization || '').replace(/^Bearer /, '');
+  if (!(accessTokens.get(token) > nowSec())) return res.status(401).json({ error: 'Invalid or expired token' });
+  next();
+});
+
+app.get(process.env.AGENT_STATUS_ENDPOINT || '/api/v2/reports/callcenter/agents/stats', (req, res) => {
+  const { name, extension } = req.query;
+  const out = {};
+  for (const { callId, ...a } of agents) {
+    if (extension && a.extension !== String(extension)) continue;
+    if (name && !`${a.first_name} ${a.last_name}`.toLowerCase().includes(String(name).toLowerCase())) continue;
+    out[a.extension] = a;
+  }
+  res.json(out);
+});
+
+app.get('/api/v2/reports/queues_cdrs', (req, res) => {
+  const startDate = Number(req.query.startDate) || 0;
+  const endDate = Number(req.query.endDate) || Infinity;
+  const offset = Number(req.query.start_key) || 0;
+  const pageSize = Number(req.query.maxRows) || 1000;
+  // Newest first, paged by maxRows like the portal
+  // Exact-value filters, as forwarded by reportFilters.js
+  const { queue_name: queue, caller_id_number: caller } = req.query;
+  const matching = calls
+    .filter(c => c.called_time >= startDate && c.called_time <= endDate)
+    .filter(c => (!queue || c.queue_name === queue) && (!caller || c.caller_id_number === caller))
+    .reverse();
+  const data = matching.slice(offset, offset + pageSize).map(({ patience, talk, ...row }) => row);
+  const next = offset + pageSize < matching.length ? String(offset + pageSize) : null;
+  res.json({ data, next_start_key: next });
+});
+
+app.get('/api/v2/reports/*rest', (req, res) => res.json({ data: [], next_start_key: null }));
+
+setInterval(step, TICK);
+app.listen(PORT, () => console.log(`🧪 Mock upstream listening on http://localhost:${PORT}`));
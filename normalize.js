@@ -0,0 +1,213 @@
+// normalize.js
+// Server side of the report definitions' normalize() (reportTypes/): maps
+// the raw rows returned by fetchReport() onto the unified column set the
+// dashboard shows, so exports contain exactly what users see on screen.
+//
+// History columns (agent / queue / lead history) are flattened to text
+// instead of the HTML popups the browser renders.
+
+import { REPORT_TYPES, getReportTypeBySource } from './reportTypes/index.js';
+import { parseHistory } from './reportTypes/helpers.js';
+import { DEFAULT_TIME_ZONE } from './timeZones.js';
+
+// Column order shared with the dashboard table (minus S.No. and Recording player)
+export const EXPORT_HEADERS = [
+  'Type',
+  'Call ID',
+  'Queue / Campaign Name',
+  'Called Time',
+  'Caller ID Number',
+  'Caller ID / Lead Name',
+  'Answered time',
+  'Hangup time',
+  'Wait Duration',
+  'Talk Duration',
+  'Agent Disposition',
+  'Sub_disp_1',
+  'Sub_disp_2',
+  'Callee ID / Lead number',
+  'Status',
+  'Campaign Type',
+  'Abandoned',
+  'Agent History',
+  'Queue History',
+  'Recording',
+  'Agent name',
+  'Extension',
+  'Country'
+];
+
+// Columns holding epoch / ISO timestamps and second counts respectively
+const TIME_COLUMNS = new Set(['Called Time', 'Answered time', 'Hangup time']);
+const DURATION_COLUMNS = new Set(['Wait Duration', 'Talk Duration']);
+
+// report type → source key used by normalizeRow()
+export const REPORT_SOURCES = Object.fromEntries(REPORT_TYPES.map(t => [t.key, t.source]));
+
+/**
+ * Epoch seconds / ms or ISO string → Date (null when not a timestamp).
+ *
+ * @param {*} v
+ * @returns {Date|null}
+ */
+export function toDate(v) {
+  if (v == null || v === '') return null;
+  if (typeof v === 'number' || /^\d+$/.test(String(v))) {
+    const num = Number(v);
+    if (num < 1_000_000_000) return null;
+    return new Date(num > 10_000_000_000 ? num : num * 1000);
+  }
+  const parsed = Date.parse(v);
+  return Number.isNaN(parsed) ? null : new Date(parsed);
+}
+
+/**
+ * Format a timestamp as `YYYY-MM-DD HH:mm:ss` in the given zone.
+ *
+ * @param {*}      v
+ * @param {string} [timeZone=DEFAULT_TIME_ZONE]
+ * @returns {string}
+ */
+export function formatTimestamp(v, timeZone = DEFAULT_TIME_ZONE) {
+  const d = toDate(v);
+  if (!d) return v == null ? '' : String(v);
+  // sv-SE gives an ISO-like "YYYY-MM-DD HH:mm:ss" layout
+  return d.toLocaleString('sv-SE', { timeZone, hour12: false });
+}
+
+// Seconds → HH:MM:SS (same as secondsToHMS in the browser, without day prefix)
+export function secondsToHMS(sec) {
+  const total = parseInt(sec, 10);
+  if (Number.isNaN(total)) return sec == null ? '' : String(sec);
+  const h = Math.floor(total / 3600).toString().padStart(2, '0');
+  const m = Math.floor((total % 3600) / 60).toString().padStart(2, '0');
+  const s = (total % 60).toString().padStart(2, '0');
+  return `${h}:${m}:${s}`;
+}
+
+// "time name (ext) event [connected]" per leg, oldest first
+function agentHistoryToText(history, timeZone) {
+  return parseHistory(history)
+    .slice()
+    .sort((a, b) => (a.last_attempt ?? 0) - (b.last_attempt ?? 0))
+    .map(h => {
+      const name = `${h.first_name || ''} ${h.last_name || ''}`.trim();
+      const parts = [
+        h.last_attempt ? formatTimestamp(h.last_attempt, timeZone) : '',
+        name,
+        h.ext ? `(${h.ext})` : '',
+        h.type || '',
+        h.event || '',
+        h.connected ? 'connected' : '',
+        h.queue_name || ''
+      ].filter(Boolean);
+      return parts.join(' ');
+    })
+    .join('; ');
+}
+
+function queueHistoryToText(history, timeZone) {
+  return parseHistory(history)
+    .map(h => [h.ts ? formatTimestamp(h.ts, timeZone) : '', h.queue_name ?? ''].filter(Boolean).join(' '))
+    .join('; ');
+}
+
+function leadHistoryToText(history, timeZone) {
+  return parseHistory(history)
+    .slice()
+    .sort((a, b) => (a.last_attempt ?? 0) - (b.last_attempt ?? 0))
+    .map(h => {
+      const name = `${h.agent?.first_name ?? ''} ${h.agent?.last_name ?? ''}`.trim();
+      return [
+        h.last_attempt ? formatTimestamp(h.last_attempt, timeZone) : '',
+        name,
+        h.agent?.ext ? `(${h.agent.ext})` : '',
+        h.type || h.event || '',
+        h.hangup_cause || ''
+      ].filter(Boolean).join(' ');
+    })
+    .join('; ');
+}
+
+/**
+ * API-level clean-up applied to every row served by /api/reports/:type:
+ * agent_history is parsed into an array and answered_time is derived from
+ * the first answering leg when the upstream omitted it ('--' if unknown).
+ *
+ * @param {object} row – raw fetchReport() row.
+ * @returns {object}
+ */
+export function prepareRow(row) {
+  const history = parseHistory(row.agent_history);
+
+  let ts = row.answered_time;
+  if (!ts && history.length) {
+    const answerEvt = history.find(e => e.event === 'answer' || e.connected);
+    if (answerEvt?.last_attempt) {
+      const ms = answerEvt.last_attempt > 10_000_000_000 ? answerEvt.last_attempt : answerEvt.last_attempt * 1000;
+      ts = new Date(ms).toISOString();
+    }
+  }
+  // Preserve all original row properties including Extension column
+  return { ...row, answered_time: ts ?? '--', agent_history: history };
+}
+
+/**
+ * Map one raw report row onto EXPORT_HEADERS (raw values, histories as text).
+ *
+ * @param {object} row
+ * @param {string} source – definition source key ('in', 'out', 'camp', 'cdr', …).
+ * @param {object} [opts]
+ * @param {string} [opts.timeZone=DEFAULT_TIME_ZONE] – zone used for history timestamps.
+ * @returns {object}
+ */
+export function normalizeRow(row, source, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const def = getReportTypeBySource(source);
+  if (!def) throw new Error(`Unknown report source: ${source}`);
+  return def.normalize(row, {
+    agentHistory: h => agentHistoryToText(h, timeZone),
+    queueHistory: h => queueHistoryToText(h, timeZone),
+    leadHistory: h => leadHistoryToText(h, timeZone),
+    join: parts => parts.filter(Boolean).join('; ')
+  });
+}
+
+/**
+ * Turn a normalized row into display strings for files: timestamps in
+ * `timeZone`, durations as HH:MM:SS, objects as JSON.
+ *
+ * @param {object} rec – output of normalizeRow().
+ * @param {object} [opts]
+ * @param {string} [opts.timeZone=DEFAULT_TIME_ZONE]
+ * @param {string[]} [opts.headers=EXPORT_HEADERS] – columns to keep.
+ * @returns {object}
+ */
+export function formatForExport(rec, { timeZone = DEFAULT_TIME_ZONE, headers = EXPORT_HEADERS } = {}) {
+  const out = {};
+  for (const h of headers) {
+    let v = rec[h];
+    if (v == null || v === '--') {
+      v = '';
+    } else if (v === '') {
+      // keep blank
+    } else if (TIME_COLUMNS.has(h)) {
+      v = formatTimestamp(v, timeZone);
+    } else if (DURATION_COLUMNS.has(h) && /^\d+(\.\d+)?$/.test(String(v))) {
+      v = secondsToHMS(v);
+    } else if (typeof v === 'object') {
+      v = JSON.stringify(v);
+    }
+    out[h] = v;
+  }
+  return out;
+}
+
+/**
+ * Epoch (ms) of a normalized row's Called Time, 0 if unknown.
+ *
+ * @param {object} rec
+ * @returns {number}
+ */
+export function toEpoch(rec) {
+  return toDate(rec['Called Time'])?.getTime() ?? 0;
+}
@@ -0,0 +1,430 @@
+// admin.js
+
+/* global axios */
+const usersTable = document.getElementById('usersTable');
+const errorBox = document.getElementById('errorBox');
+const noticeBox = document.getElementById('noticeBox');
+const userModal = document.getElementById('userModal');
+const userForm = document.getElementById('userForm');
+
+// Session handling / token refresh lives in authClient.js.
+
+function show(el) { el.classList.remove('is-hidden'); }
+function hide(el) { el.classList.add('is-hidden'); }
+
+// Escape user-supplied text before putting it into innerHTML
+function esc(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function errorMessage(err) {
+  const respErr = err.response?.data?.error;
+  return typeof respErr === 'string' ? respErr : err.message;
+}
+
+function showError(err) {
+  hide(noticeBox);
+  errorBox.textContent = typeof err === 'string' ? err : errorMessage(err);
+  show(errorBox);
+}
+
+function showNotice(msg) {
+  hide(errorBox);
+  noticeBox.textContent = msg;
+  show(noticeBox);
+}
+
+const splitList = val => val.split(',').map(v => v.trim()).filter(Boolean);
+
+let users = [];
+let currentUserId = null;
+
+function renderUsers() {
+  const head = ['Username', 'Email', 'Role', 'Time zone', 'Accounts', 'Queues / Campaigns', 'Last login', 'Status', 'Actions'];
+  const rows = users.map(u => {
+    const scopes = [...u.queues, ...u.campaigns].join(', ');
+    const lastLogin = window.timeZone.format(u.last_login);
+    const self = u.id === currentUserId;
+    const locked = u.locked_until && new Date(u.locked_until).getTime() > Date.now();
+    const status = u.disabled ? 'Disabled' : locked ? 'Locked' : 'Active';
+    return `<tr class="${u.disabled ? 'row-disabled' : ''}">
+      <td>${esc(u.username)}</td>
+      <td>${esc(u.email)}</td>
+      <td>${esc(u.role)}</td>
+      <td>${esc(u.time_zone || 'Account default')}</td>
+      <td>${esc(u.tenants.join(', '))}</td>
+      <td>${esc(scopes)}</td>
+      <td>${lastLogin}</td>
+      <td>${status}</td>
+      <td>
+        <div class="buttons are-small">
+          <button class="button" data-action="edit" data-id="${u.id}">Edit</button>
+          <button class="button" data-action="password" data-id="${u.id}">Reset password</button>
+          ${locked ? `<button class="button is-warning is-light" data-action="unlock" data-id="${u.id}">Unlock</button>` : ''}
+          <button class="button" data-action="toggle" data-id="${u.id}" ${self ? 'disabled' : ''}>${u.disabled ? 'Enable' : 'Disable'}</button>
+          <button class="button is-danger is-light" data-action="delete" data-id="${u.id}" ${self ? 'disabled' : ''}>Delete</button>
+        </div>
+      </td>
+    </tr>`;
+  }).join('');
+  usersTable.innerHTML = `<thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows}</tbody>`;
+}
+
+async function loadUsers() {
+  try {
+    const res = await axios.get('/api/users');
+    users = res.data.data || [];
+    renderUsers();
+  } catch (err) {
+    showError(err);
+  }
+}
+
+function openModal(user) {
+  userForm.reset();
+  document.getElementById('userModalTitle').textContent = user ? `Edit ${user.username}` : 'New user';
+  document.getElementById('userId').value = user?.id ?? '';
+  document.getElementById('username').value = user?.username ?? '';
+  document.getElementById('email').value = user?.email ?? '';
+  document.getElementById('role').value = user?.role ?? 'viewer';
+  document.getElementById('userTimeZone').value = user?.time_zone ?? '';
+  document.getElementById('tenants').value = (user?.tenants ?? ['spc']).join(', ');
+  document.getElementById('queues').value = (user?.queues ?? []).join(', ');
+  document.getElementById('campaigns').value = (user?.campaigns ?? []).join(', ');
+  // Passwords are changed through "Reset password" for existing users
+  const pwField = document.getElementById('passwordField');
+  if (user) hide(pwField); else show(pwField);
+  userModal.classList.add('is-active');
+}
+
+function closeModal() {
+  userModal.classList.remove('is-active');
+}
+
+userModal.querySelectorAll('[data-close], .modal-background').forEach(el => el.addEventListener('click', closeModal));
+document.getElementById('newUserBtn').addEventListener('click', () => openModal(null));
+
+document.getElementById('saveUserBtn').addEventListener('click', async () => {
+  const id = document.getElementById('userId').value;
+  const body = {
+    username: document.getElementById('username').value.trim(),
+    email: document.getElementById('email').value.trim(),
+    role: document.getElementById('role').value,
+    timeZone: document.getElementById('userTimeZone').value.trim() || null,
+    tenants: splitList(document.getElementById('tenants').value),
+    queues: splitList(document.getElementById('queues').value),
+    campaigns: splitList(document.getElementById('campaigns').value)
+  };
+  try {
+    if (id) {
+      await axios.put(`/api/users/${id}`, body);
+      showNotice(`Saved ${body.username}`);
+    } else {
+      body.password = document.getElementById('password').value;
+      await axios.post('/api/users', body);
+      showNotice(`Created ${body.username}`);
+    }
+    closeModal();
+    await loadUsers();
+  } catch (err) {
+    showError(err);
+  }
+});
+
+// Row action buttons (delegated)
+usersTable.addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn || btn.disabled) return;
+  const user = users.find(u => String(u.id) === btn.dataset.id);
+  if (!user) return;
+
+  try {
+    switch (btn.dataset.action) {
+      case 'edit':
+        openModal(user);
+        return;
+      case 'password': {
+        const password = prompt(`New password for ${user.username} (at least 8 characters)`);
+        if (!password) return;
+        await axios.post(`/api/users/${user.id}/reset-password`, { password });
+        showNotice(`Password reset for ${user.username}`);
+        break;
+      }
+      case 'unlock':
+        await axios.post(`/api/users/${user.id}/unlock`);
+        showNotice(`${user.username} unlocked`);
+        break;
+      case 'toggle':
+        await axios.post(`/api/users/${user.id}/disable`, { disabled: !user.disabled });
+        showNotice(`${user.username} ${user.disabled ? 'enabled' : 'disabled'}`);
+        break;
+      case 'delete':
+        if (!confirm(`Delete ${user.username}? This cannot be undone.`)) return;
+        await axios.delete(`/api/users/${user.id}`);
+        showNotice(`Deleted ${user.username}`);
+        break;
+      default:
+        return;
+    }
+    await loadUsers();
+  } catch (err) {
+    showError(err);
+  }
+});
+
+// --- Accounts (tenant registry) ---------------------------------------------
+const tenantsTable = document.getElementById('tenantsTable');
+const tenantForm = document.getElementById('tenantForm');
+const TENANT_FIELDS = ['label', 'baseUrl', 'credentialsRef', 'timeZone'];
+
+async function loadTenants() {
+  try {
+    const res = await axios.get('/api/tenants');
+    const tenants = res.data.data || [];
+    document.getElementById('defaultTimeZone').textContent = res.data.defaultTimeZone;
+    const head = ['Account', 'Label', 'Base URL', 'Credentials', 'Time zone', 'Updated', ''];
+    const field = (t, name, attrs) =>
+      `<input class="input is-small" type="text" data-tenant="${esc(t.tenant)}" data-field="${name}" value="${esc(t[name] ?? '')}" ${attrs} />`;
+    const rows = tenants.map(t => `<tr>
+      <td>${esc(t.tenant)}${t.registered ? '' : ' <span class="tag is-light">not registered</span>'}</td>
+      <td>${field(t, 'label', `placeholder="${esc(t.tenant)}"`)}</td>
+      <td>${field(t, 'baseUrl', 'placeholder="BASE_URL"')}</td>
+      <td>
+        ${field(t, 'credentialsRef', 'placeholder="default"')}
+        ${t.credentialsConfigured ? '' : '<p class="help is-danger">Not set on the server</p>'}
+      </td>
+      <td>${field(t, 'timeZone', `list="timeZoneList" placeholder="${esc(res.data.defaultTimeZone)}"`)}</td>
+      <td>${window.timeZone.format(t.updatedAt)}</td>
+      <td>
+        <div class="buttons are-small">
+          <button class="button" data-action="saveTenant" data-tenant="${esc(t.tenant)}">Save</button>
+          ${t.registered ? `<button class="button is-danger is-light" data-action="removeTenant" data-tenant="${esc(t.tenant)}">Remove</button>` : ''}
+        </div>
+      </td>
+    </tr>`).join('');
+    tenantsTable.innerHTML = `<thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows}</tbody>`;
+  } catch (err) {
+    showError(err);
+  }
+}
+
+tenantsTable.addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const tenant = btn.dataset.tenant;
+  try {
+    if (btn.dataset.action === 'saveTenant') {
+      const body = {};
+      tenantsTable.querySelectorAll('input[data-tenant]').forEach(input => {
+        if (input.dataset.tenant === tenant && TENANT_FIELDS.includes(input.dataset.field)) {
+          body[input.dataset.field] = input.value.trim() || null;
+        }
+      });
+      const res = await axios.put(`/api/tenants/${encodeURIComponent(tenant)}`, body);
+      showNotice(`Saved ${tenant} (${res.data.data.effectiveTimeZone})`);
+    } else if (btn.dataset.action === 'removeTenant') {
+      if (!confirm(`Remove ${tenant} from the registry? Users keep access with the default settings.`)) return;
+      await axios.delete(`/api/tenants/${encodeURIComponent(tenant)}`);
+      showNotice(`Removed ${tenant}`);
+    } else {
+      return;
+    }
+    await loadTenants();
+  } catch (err) {
+    showError(err);
+  }
+});
+
+tenantForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const tenant = document.getElementById('newTenant').value.trim();
+  try {
+    await axios.post('/api/tenants', { tenant, label: document.getElementById('newTenantLabel').value.trim() || null });
+    showNotice(`Added ${tenant}`);
+    tenantForm.reset();
+    await loadTenants();
+  } catch (err) {
+    showError(err);
+  }
+});
+
+// --- Upstream connections (encrypted profiles) --------------------------------
+const connectionsTable = document.getElementById('connectionsTable');
+const connectionForm = document.getElementById('connectionForm');
+let connections = [];
+
+async function loadConnections() {
+  try {
+    const res = await axios.get('/api/connections');
+    connections = res.data.data || [];
+    document.getElementById('connectionKeyMissing').classList.toggle('is-hidden', res.data.keyConfigured);
+    const head = ['Account', 'Base URL', 'Username', 'X-Account-ID', 'TLS', 'Login', 'Last test', ''];
+    const rows = connections.map(c => {
+      const login = c.error
+        ? `<span class="has-text-danger" title="${esc(c.error)}">Unreadable</span>`
+        : `Rotated ${window.timeZone.format(c.rotatedAt)}${c.keyCurrent ? '' : ' <span class="tag is-warning is-light">old key</span>'}`;
+      const test = c.lastTest
+        ? `<span class="${c.lastTest.ok ? 'has-text-success' : 'has-text-danger'}" title="${esc(c.lastTest.error)}">${c.lastTest.ok ? 'OK' : 'Failed'}</span> ${window.timeZone.format(c.lastTest.at)}`
+        : '';
+      return `<tr>
+        <td>${esc(c.tenant)}</td>
+        <td>${esc(c.baseUrl)}</td>
+        <td>${esc(c.username)}</td>
+        <td>${esc(c.accountHeader ?? '')}</td>
+        <td>${esc(c.tlsMode)}</td>
+        <td>${login}</td>
+        <td>${test}</td>
+        <td>
+          <div class="buttons are-small">
+            <button class="button" data-action="editConnection" data-tenant="${esc(c.tenant)}">Edit</button>
+            <button class="button" data-action="testConnection" data-tenant="${esc(c.tenant)}">Test</button>
+            ${c.keyCurrent || c.error ? '' : `<button class="button" data-action="reencryptConnection" data-tenant="${esc(c.tenant)}">Re-encrypt</button>`}
+            <button class="button is-danger is-light" data-action="removeConnection" data-tenant="${esc(c.tenant)}">Remove</button>
+          </div>
+        </td>
+      </tr>`;
+    }).join('');
+    connectionsTable.innerHTML = `<thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows}</tbody>`;
+  } catch (err) {
+    showError(err);
+  }
+}
+
+connectionsTable.addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const tenant = btn.dataset.tenant;
+  const url = `/api/connections/${encodeURIComponent(tenant)}`;
+  try {
+    switch (btn.dataset.action) {
+      case 'editConnection': {
+        const c = connections.find(x => x.tenant === tenant);
+        document.getElementById('connTenant').value = c.tenant;
+        document.getElementById('connBaseUrl').value = c.baseUrl;
+        document.getElementById('connUsername').value = c.username ?? '';
+        document.getElementById('connPassword').value = '';
+        document.getElementById('connAccountHeader').value = c.accountHeader ?? '';
+        document.getElementById('connTlsMode').value = c.tlsMode;
+        document.getElementById('connCaCert').value = c.caCert ?? '';
+        connectionForm.scrollIntoView({ behavior: 'smooth' });
+        return;
+      }
+      case 'testConnection': {
+        btn.classList.add('is-loading');
+        const { data } = await axios.post(`${url}/test`);
+        if (data.ok) showNotice(`${tenant}: logged in at ${data.url} in ${data.latencyMs} ms`);
+        else showError(`${tenant}: ${data.error} ${data.attempts.map(a => `${a.url}: ${a.error}`).join('; ')}`);
+        break;
+      }
+      case 'reencryptConnection':
+        await axios.post(`${url}/rotate`);
+        showNotice(`${tenant}: login re-encrypted with the current key`);
+        break;
+      case 'removeConnection':
+        if (!confirm(`Remove the connection of ${tenant}? It goes back to the server-wide settings.`)) return;
+        await axios.delete(url);
+        showNotice(`Removed the connection of ${tenant}`);
+        break;
+      default:
+        return;
+    }
+    await loadConnections();
+  } catch (err) {
+    showError(err);
+  } finally {
+    btn.classList.remove('is-loading');
+  }
+});
+
+// New connection, or new settings (and, with a password, a new login) for an existing one
+connectionForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const tenant = document.getElementById('connTenant').value.trim();
+  const settings = {
+    baseUrl: document.getElementById('connBaseUrl').value.trim(),
+    accountHeader: document.getElementById('connAccountHeader').value.trim() || null,
+    tlsMode: document.getElementById('connTlsMode').value,
+    caCert: document.getElementById('connCaCert').value.trim() || null
+  };
+  const username = document.getElementById('connUsername').value.trim();
+  const password = document.getElementById('connPassword').value;
+  const url = `/api/connections/${encodeURIComponent(tenant)}`;
+  try {
+    if (connections.some(c => c.tenant === tenant)) {
+      await axios.put(url, settings);
+      if (password) await axios.post(`${url}/rotate`, { username, password });
+      showNotice(`Saved the connection of ${tenant}${password ? ' and rotated its login' : ''}`);
+    } else {
+      await axios.post('/api/connections', { tenant, ...settings, username, password });
+      showNotice(`Added a connection for ${tenant}`);
+    }
+    connectionForm.reset();
+    await loadConnections();
+  } catch (err) {
+    showError(err);
+  }
+});
+
+// Suggestions for the time zone inputs, where the browser can list them
+if (Intl.supportedValuesOf) {
+  document.getElementById('timeZoneList').innerHTML = Intl.supportedValuesOf('timeZone')
+    .map(z => `<option value="${esc(z)}"></option>`).join('');
+}
+
+// --- Login attempts ---------------------------------------------------------
+const attemptsTable = document.getElementById('attemptsTable');
+const attemptsForm = document.getElementById('attemptsForm');
+
+async function loadAttempts() {
+  const params = {};
+  const username = document.getElementById('attemptUser').value.trim();
+  const ip = document.getElementById('attemptIp').value.trim();
+  const success = document.getElementById('attemptResult').value;
+  if (username) params.username = username;
+  if (ip) params.ip = ip;
+  if (success) params.success = success;
+  try {
+    const res = await axios.get('/api/users/login-attempts', { params });
+    const head = ['Time', 'Username', 'IP', 'Result', 'Reason', 'User agent'];
+    const rows = (res.data.data || []).map(a => `<tr>
+      <td>${window.timeZone.format(a.created_at)}</td>
+      <td>${esc(a.username)}</td>
+      <td>${esc(a.ip)}</td>
+      <td>${a.success ? 'Success' : 'Failed'}</td>
+      <td>${esc(a.reason)}</td>
+      <td>${esc(a.user_agent)}</td>
+    </tr>`).join('');
+    attemptsTable.innerHTML = `<thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows}</tbody>`;
+  } catch (err) {
+    showError(err);
+  }
+}
+
+attemptsForm.addEventListener('submit', e => {
+  e.preventDefault();
+  loadAttempts();
+});
+
+// Only admins may stay on this page
+window.authClient.checkAuth().then(auth => {
+  if (!auth.authenticated) {
+    window.location.href = '/login.html';
+    return;
+  }
+  if (!(auth.permissions || []).includes('users:manage')) {
+    window.location.href = '/index.html';
+    return;
+  }
+  currentUserId = auth.user.id;
+  window.timeZone.configure(auth);
+  loadUsers();
+  loadAttempts();
+  if (auth.permissions.includes('tenants:manage')) {
+    show(document.getElementById('tenantsSection'));
+    loadTenants();
+  }
+  if (auth.permissions.includes('connections:manage')) {
+    show(document.getElementById('connectionsSection'));
+    loadConnections();
+  }
+}).catch(showError);
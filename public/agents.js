@@ -0,0 +1,228 @@
+// agents.js
+// Agents page: performance scorecard (GET /api/agents/scorecard) and the agent
+// status & activity report (GET /api/agents/status).
+
+/* global axios */
+const errorBox = document.getElementById('errorBox');
+const statsBox = document.getElementById('stats');
+const scorecardForm = document.getElementById('scorecardForm');
+const scorecardBtn = document.getElementById('scorecardBtn');
+const scorecardTable = document.getElementById('scorecardTable');
+
+// Session handling / token refresh lives in authClient.js.
+
+function show(el) { el.classList.remove('is-hidden'); }
+function hide(el) { el.classList.add('is-hidden'); }
+
+function esc(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Seconds → HH:MM:SS
+function secondsToHMS(sec) {
+  if (sec == null) return '';
+  const total = Math.round(sec);
+  const h = Math.floor(total / 3600).toString().padStart(2, '0');
+  const m = Math.floor((total % 3600) / 60).toString().padStart(2, '0');
+  const s = (total % 60).toString().padStart(2, '0');
+  return `${h}:${m}:${s}`;
+}
+
+function showError(err) {
+  errorBox.textContent = err.response?.data?.error || err.message;
+  show(errorBox);
+}
+
+// ---------------- Tabs ----------------
+document.querySelectorAll('.tabs li').forEach(li => {
+  li.addEventListener('click', () => {
+    document.querySelectorAll('.tabs li').forEach(t => t.classList.toggle('is-active', t === li));
+    document.querySelectorAll('.tab-pane').forEach(p => p.classList.toggle('is-hidden', p.id !== `tab-${li.dataset.tab}`));
+    hide(errorBox);
+    hide(statsBox);
+  });
+});
+
+// ---------------- Scorecard ----------------
+function dispositionTags(dispositions) {
+  return Object.entries(dispositions)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => `<span class="tag is-light">${esc(name)}: ${count}</span>`)
+    .join('');
+}
+
+function renderScorecard(agents) {
+  const head = ['Extension', 'Agent', 'Handled', 'Missed', 'Answer %', 'Inbound', 'Outbound', 'Campaign', 'Talk time', 'Avg handle time', 'Status', 'Dispositions'];
+  const body = agents.map(a => `<tr>
+    <td>${esc(a.extension)}</td>
+    <td>${esc(a.name)}</td>
+    <td class="num">${a.handled}</td>
+    <td class="num">${a.missed}</td>
+    <td class="num">${a.answerRate ?? ''}</td>
+    <td class="num">${a.inbound}</td>
+    <td class="num">${a.outbound}</td>
+    <td class="num">${a.campaign}</td>
+    <td class="num">${secondsToHMS(a.talkTime)}</td>
+    <td class="num">${secondsToHMS(a.averageHandleTime)}</td>
+    <td>${esc(a.status?.status ?? a.status?.state ?? '')}</td>
+    <td>${dispositionTags(a.dispositions)}</td>
+  </tr>`).join('');
+  scorecardTable.innerHTML = `<thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${body}</tbody>`;
+}
+
+scorecardForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  hide(errorBox);
+  hide(statsBox);
+  scorecardBtn.classList.add('is-loading');
+  try {
+    const res = await axios.get('/api/agents/scorecard', {
+      params: {
+        account: document.getElementById('account').value.trim(),
+        start: window.timeZone.inputToIso(document.getElementById('start').value),
+        end: window.timeZone.inputToIso(document.getElementById('end').value)
+      }
+    });
+    const { agents, statusError } = res.data;
+    renderScorecard(agents);
+    const handled = agents.reduce((n, a) => n + a.handled, 0);
+    statsBox.innerHTML = `Agents: <strong>${agents.length}</strong> &nbsp;|&nbsp; Handled calls: <strong>${handled}</strong>` +
+      (statusError ? ` &nbsp;|&nbsp; Agent status unavailable: ${esc(statusError)}` : '');
+    show(statsBox);
+  } catch (err) {
+    showError(err);
+  } finally {
+    scorecardBtn.classList.remove('is-loading');
+  }
+});
+
+// ---------------- Status & activity ----------------
+const statusForm = document.getElementById('statusForm');
+const statusBtn = document.getElementById('statusBtn');
+const statusFilter = document.getElementById('statusFilter');
+const statusCsvBtn = document.getElementById('statusCsvBtn');
+const statusTable = document.getElementById('statusTable');
+
+let statusRows = [];
+let statusColumns = [];
+let statusSort = { column: 'extension', dir: 1 };
+
+// Nested values (objects / arrays) are shown as JSON
+function cellText(v) {
+  if (v == null) return '';
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+
+function compareValues(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && a != null && b != null && Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  return cellText(a).localeCompare(cellText(b), undefined, { numeric: true });
+}
+
+// Rows after the search box and the current sort
+function visibleStatusRows() {
+  const q = statusFilter.value.trim().toLowerCase();
+  const rows = q
+    ? statusRows.filter(r => statusColumns.some(c => cellText(r[c]).toLowerCase().includes(q)))
+    : [...statusRows];
+  return rows.sort((a, b) => compareValues(a[statusSort.column], b[statusSort.column]) * statusSort.dir);
+}
+
+function renderStatus() {
+  const rows = visibleStatusRows();
+  const arrow = c => (c === statusSort.column ? (statusSort.dir > 0 ? ' ▲' : ' ▼') : '');
+  const head = statusColumns.map(c => `<th class="sortable" data-column="${esc(c)}">${esc(c)}${arrow(c)}</th>`).join('');
+  const body = rows.map(r => `<tr>${statusColumns.map(c => `<td>${esc(cellText(r[c]))}</td>`).join('')}</tr>`).join('');
+  statusTable.innerHTML = `<thead><tr>${head}</tr></thead><tbody>${body}</tbody>`;
+  statusCsvBtn.disabled = !rows.length;
+  statsBox.innerHTML = `Agents: <strong>${rows.length}</strong>` + (rows.length < statusRows.length ? ` of ${statusRows.length}` : '');
+  show(statsBox);
+}
+
+statusTable.addEventListener('click', e => {
+  const th = e.target.closest('th[data-column]');
+  if (!th) return;
+  const { column } = th.dataset;
+  statusSort = { column, dir: statusSort.column === column ? -statusSort.dir : 1 };
+  renderStatus();
+});
+
+statusFilter.addEventListener('input', () => {
+  if (statusColumns.length) renderStatus();
+});
+
+statusForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  hide(errorBox);
+  hide(statsBox);
+  statusBtn.classList.add('is-loading');
+  try {
+    const res = await axios.get('/api/agents/status', {
+      params: {
+        account: document.getElementById('account').value.trim(),
+        start: window.timeZone.inputToIso(document.getElementById('statusStart').value),
+        end: window.timeZone.inputToIso(document.getElementById('statusEnd').value),
+        name: document.getElementById('statusName').value.trim() || undefined,
+        extension: document.getElementById('statusExtension').value.trim() || undefined
+      }
+    });
+    statusRows = res.data.data;
+    // Columns = union of keys, extension first
+    const keys = new Set(['extension']);
+    statusRows.forEach(r => Object.keys(r).forEach(k => keys.add(k)));
+    statusColumns = [...keys];
+    if (!statusColumns.includes(statusSort.column)) statusSort = { column: 'extension', dir: 1 };
+    renderStatus();
+  } catch (err) {
+    showError(err);
+  } finally {
+    statusBtn.classList.remove('is-loading');
+  }
+});
+
+// CSV of exactly what the table shows (filtered and sorted)
+statusCsvBtn.addEventListener('click', () => {
+  const quote = v => {
+    const str = cellText(v);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const lines = [statusColumns.map(quote).join(',')]
+    .concat(visibleStatusRows().map(r => statusColumns.map(c => quote(r[c])).join(',')));
+  const blob = new Blob([lines.join('\n')], { type: 'text/csv' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `agent_status_${document.getElementById('statusStart').value.slice(0, 10)}.csv`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(a.href);
+});
+
+window.authClient.checkAuth().then(auth => {
+  if (!auth.authenticated) {
+    window.location.href = '/login.html';
+    return;
+  }
+  // Accounts the user may query; default windows: today so far, on the account's wall clock
+  const accountSelect = document.getElementById('account');
+  window.authClient.fillAccountPicker(accountSelect, auth);
+  window.timeZone.configure(auth, accountSelect.value);
+  accountSelect.addEventListener('change', () => window.timeZone.use(accountSelect.value));
+  const { start, end } = window.timeZone.range('today');
+  for (const [startId, endId] of [['start', 'end'], ['statusStart', 'statusEnd']]) {
+    document.getElementById(startId).value = start;
+    document.getElementById(endId).value = end;
+  }
+
+  const perms = auth.permissions || [];
+  const tabs = { scorecard: 'reports:agentScorecard', status: 'reports:agentStatus' };
+  const allowed = Object.keys(tabs).filter(t => perms.includes(tabs[t]));
+  if (!allowed.length) {
+    window.location.href = '/index.html';
+    return;
+  }
+  // Hide tabs the role cannot use and open the first one it can
+  document.querySelectorAll('.tabs li').forEach(li => li.classList.toggle('is-hidden', !allowed.includes(li.dataset.tab)));
+  document.querySelector(`.tabs li[data-tab="${allowed[0]}"]`).click();
+}).catch(() => {});
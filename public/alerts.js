@@ -0,0 +1,259 @@
+// alerts.js
+// Alert history with acknowledgement (GET /api/alerts/events) and, for
+// alerts:manage, the threshold rules behind it (/api/alerts/rules).
+
+/* global axios */
+const eventsTable = document.getElementById('eventsTable');
+const rulesTable = document.getElementById('rulesTable');
+const errorBox = document.getElementById('errorBox');
+const noticeBox = document.getElementById('noticeBox');
+const ruleModal = document.getElementById('ruleModal');
+const ruleForm = document.getElementById('ruleForm');
+
+// Session handling / token refresh lives in authClient.js.
+
+const METRIC_LABELS = { abandon_rate: 'Abandon rate', max_wait: 'Longest wait' };
+const REFRESH_MS = 30_000;
+
+function show(el) { el.classList.remove('is-hidden'); }
+function hide(el) { el.classList.add('is-hidden'); }
+
+// Escape user-supplied text before putting it into innerHTML
+function esc(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function errorMessage(err) {
+  const respErr = err.response?.data?.error;
+  return typeof respErr === 'string' ? respErr : err.message;
+}
+
+function showError(err) {
+  hide(noticeBox);
+  errorBox.textContent = typeof err === 'string' ? err : errorMessage(err);
+  show(errorBox);
+}
+
+function showNotice(msg) {
+  hide(errorBox);
+  noticeBox.textContent = msg;
+  show(noticeBox);
+}
+
+// Event and rule times are shown in their tenant's zone (timeZone.js)
+const toLocal = (v, account) => window.timeZone.format(v, undefined, account);
+
+// 12.5 % / 95 s
+function formatValue(metric, v) {
+  if (v == null) return '';
+  return metric === 'abandon_rate' ? `${Number(v)} %` : `${Number(v)} s`;
+}
+
+let canManage = false;
+let rules = [];
+
+// ---------------- History ----------------
+async function loadEvents() {
+  const params = {};
+  const status = document.getElementById('eventStatus').value;
+  const ruleId = document.getElementById('eventRule').value;
+  if (status) params.status = status;
+  if (ruleId) params.ruleId = ruleId;
+  try {
+    const res = await axios.get('/api/alerts/events', { params });
+    const head = ['Fired', 'Rule', 'Account', 'Queue', 'Metric', 'Value', 'Threshold', 'Status', 'Webhook', 'Acknowledged', 'Resolved', ''];
+    const rows = (res.data.data || []).map(e => `<tr>
+      <td>${toLocal(e.fired_at, e.tenant)}</td>
+      <td>${esc(e.rule_name)}</td>
+      <td>${esc(e.tenant)}</td>
+      <td>${esc(e.queue_name)}</td>
+      <td>${esc(METRIC_LABELS[e.metric] || e.metric)}</td>
+      <td>${formatValue(e.metric, e.value)}</td>
+      <td>${formatValue(e.metric, e.threshold)}</td>
+      <td><span class="tag ${e.status === 'open' ? 'is-danger' : e.status === 'acknowledged' ? 'is-warning' : 'is-success'} is-light">${esc(e.status)}</span></td>
+      <td title="${esc(e.webhook_error)}">${esc(e.webhook_status)}${e.notifications > 1 ? ` (×${e.notifications})` : ''}</td>
+      <td>${e.acknowledged_at ? `${esc(e.acknowledged_by_name)} ${toLocal(e.acknowledged_at, e.tenant)}` : ''}</td>
+      <td>${toLocal(e.resolved_at, e.tenant)}</td>
+      <td>${e.status === 'open' ? `<button class="button is-small is-warning is-light" data-ack="${e.id}">Acknowledge</button>` : ''}</td>
+    </tr>`).join('');
+    eventsTable.innerHTML = `<thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows}</tbody>`;
+  } catch (err) {
+    showError(err);
+  }
+}
+
+document.getElementById('eventsForm').addEventListener('submit', e => {
+  e.preventDefault();
+  loadEvents();
+});
+
+eventsTable.addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-ack]');
+  if (!btn) return;
+  btn.classList.add('is-loading');
+  try {
+    await axios.post(`/api/alerts/events/${btn.dataset.ack}/ack`);
+    showNotice('Alert acknowledged');
+    await loadEvents();
+  } catch (err) {
+    showError(err);
+    btn.classList.remove('is-loading');
+  }
+});
+
+// ---------------- Rules ----------------
+function renderRules() {
+  const head = ['Name', 'Account', 'Queue', 'Condition', 'Window', 'Cooldown', 'Webhook', 'Last evaluated', 'Actions'];
+  const rows = rules.map(r => `<tr class="${r.enabled ? '' : 'row-disabled'}">
+    <td>${esc(r.name)}</td>
+    <td>${esc(r.account)}</td>
+    <td>${esc(r.queue || 'every queue')}</td>
+    <td>${esc(METRIC_LABELS[r.metric] || r.metric)} &gt; ${formatValue(r.metric, r.threshold)}${r.metric === 'abandon_rate' ? ` (min. ${r.minCalls} calls)` : ''}</td>
+    <td>${r.windowMinutes} min</td>
+    <td>${r.cooldownMinutes} min</td>
+    <td>${esc(r.webhookUrl || '')}</td>
+    <td>${toLocal(r.lastEvaluatedAt, r.account)}</td>
+    <td>
+      <div class="buttons are-small">
+        <button class="button" data-action="edit" data-id="${r.id}">Edit</button>
+        <button class="button" data-action="toggle" data-id="${r.id}">${r.enabled ? 'Disable' : 'Enable'}</button>
+        <button class="button is-danger is-light" data-action="delete" data-id="${r.id}">Delete</button>
+      </div>
+    </td>
+  </tr>`).join('');
+  rulesTable.innerHTML = `<thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows}</tbody>`;
+
+  // Rule filter of the history
+  const select = document.getElementById('eventRule');
+  const selected = select.value;
+  select.innerHTML = '<option value="">All rules</option>' +
+    rules.map(r => `<option value="${r.id}">${esc(r.name)}</option>`).join('');
+  select.value = selected;
+}
+
+async function loadRules() {
+  if (!canManage) return;
+  try {
+    const res = await axios.get('/api/alerts/rules');
+    rules = res.data.data || [];
+    renderRules();
+  } catch (err) {
+    showError(err);
+  }
+}
+
+function openModal(rule) {
+  ruleForm.reset();
+  document.getElementById('ruleModalTitle').textContent = rule ? `Edit ${rule.name}` : 'New rule';
+  document.getElementById('ruleId').value = rule?.id ?? '';
+  document.getElementById('ruleName').value = rule?.name ?? '';
+  document.getElementById('ruleAccount').value = rule?.account ?? 'spc';
+  document.getElementById('ruleQueue').value = rule?.queue ?? '';
+  document.getElementById('ruleMetric').value = rule?.metric ?? 'abandon_rate';
+  document.getElementById('ruleThreshold').value = rule?.threshold ?? 10;
+  document.getElementById('ruleWindow').value = rule?.windowMinutes ?? 30;
+  document.getElementById('ruleMinCalls').value = rule?.minCalls ?? 5;
+  document.getElementById('ruleCooldown').value = rule?.cooldownMinutes ?? 15;
+  document.getElementById('ruleWebhook').value = rule?.webhookUrl ?? '';
+  document.getElementById('ruleEnabled').checked = rule ? rule.enabled : true;
+  ruleModal.classList.add('is-active');
+}
+
+function closeModal() {
+  ruleModal.classList.remove('is-active');
+}
+
+ruleModal.querySelectorAll('[data-close], .modal-background').forEach(el => el.addEventListener('click', closeModal));
+document.getElementById('newRuleBtn').addEventListener('click', () => openModal(null));
+
+document.getElementById('saveRuleBtn').addEventListener('click', async () => {
+  const id = document.getElementById('ruleId').value;
+  const body = {
+    name: document.getElementById('ruleName').value.trim(),
+    account: document.getElementById('ruleAccount').value.trim(),
+    queue: document.getElementById('ruleQueue').value.trim() || null,
+    metric: document.getElementById('ruleMetric').value,
+    threshold: document.getElementById('ruleThreshold').value,
+    windowMinutes: document.getElementById('ruleWindow').value,
+    minCalls: document.getElementById('ruleMinCalls').value,
+    cooldownMinutes: document.getElementById('ruleCooldown').value,
+    webhookUrl: document.getElementById('ruleWebhook').value.trim() || null,
+    enabled: document.getElementById('ruleEnabled').checked
+  };
+  try {
+    if (id) {
+      await axios.put(`/api/alerts/rules/${id}`, body);
+      showNotice(`Saved ${body.name}`);
+    } else {
+      await axios.post('/api/alerts/rules', body);
+      showNotice(`Created ${body.name}`);
+    }
+    closeModal();
+    await loadRules();
+  } catch (err) {
+    showError(err);
+  }
+});
+
+// Row action buttons (delegated)
+rulesTable.addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const rule = rules.find(r => String(r.id) === btn.dataset.id);
+  if (!rule) return;
+
+  try {
+    switch (btn.dataset.action) {
+      case 'edit':
+        openModal(rule);
+        return;
+      case 'toggle':
+        await axios.put(`/api/alerts/rules/${rule.id}`, { enabled: !rule.enabled });
+        showNotice(`${rule.name} ${rule.enabled ? 'disabled' : 'enabled'}`);
+        break;
+      case 'delete':
+        if (!confirm(`Delete ${rule.name} and its alert history?`)) return;
+        await axios.delete(`/api/alerts/rules/${rule.id}`);
+        showNotice(`Deleted ${rule.name}`);
+        break;
+      default:
+        return;
+    }
+    await loadRules();
+  } catch (err) {
+    showError(err);
+  }
+});
+
+document.getElementById('evaluateBtn').addEventListener('click', async () => {
+  try {
+    await axios.post('/api/alerts/evaluate');
+    showNotice('Evaluation started');
+    setTimeout(() => { loadEvents(); loadRules(); }, 3000);
+  } catch (err) {
+    showError(err);
+  }
+});
+
+document.getElementById('refreshBtn').addEventListener('click', () => {
+  loadEvents();
+  loadRules();
+});
+
+window.authClient.checkAuth().then(async auth => {
+  if (!auth.authenticated) {
+    window.location.href = '/login.html';
+    return;
+  }
+  const perms = auth.permissions || [];
+  if (!perms.includes('alerts:view')) {
+    window.location.href = '/index.html';
+    return;
+  }
+  window.timeZone.configure(auth);
+  canManage = perms.includes('alerts:manage');
+  if (canManage) show(document.getElementById('rulesSection'));
+  await loadRules();
+  await loadEvents();
+  setInterval(loadEvents, REFRESH_MS);
+}).catch(() => {});
@@ -0,0 +1,107 @@
+// audit.js
+
+/* global axios */
+const auditForm = document.getElementById('auditForm');
+const auditTable = document.getElementById('auditTable');
+const errorBox = document.getElementById('errorBox');
+const statsBox = document.getElementById('stats');
+
+// Session handling / token refresh lives in authClient.js.
+
+function show(el) { el.classList.remove('is-hidden'); }
+function hide(el) { el.classList.add('is-hidden'); }
+
+function esc(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Shown in the user's time zone (timeZone.js) irrespective of client or server TZ
+function isoToLocal(dateStr) {
+  return window.timeZone.format(dateStr);
+}
+
+function currentParams() {
+  const params = {};
+  const from = window.timeZone.inputToIso(document.getElementById('from').value);
+  const to = window.timeZone.inputToIso(document.getElementById('to').value);
+  if (from) params.from = from;
+  if (to) params.to = to;
+  ['username', 'action', 'tenant', 'recordingId'].forEach(id => {
+    const v = document.getElementById(id).value.trim();
+    if (v) params[id] = v;
+  });
+  return params;
+}
+
+function describeDetails(d) {
+  if (d == null) return '';
+  const obj = typeof d === 'string' ? JSON.parse(d) : d;
+  return Object.entries(obj).map(([k, v]) => `${k}: ${v}`).join(', ');
+}
+
+async function search() {
+  hide(errorBox);
+  try {
+    const res = await axios.get('/api/audit', { params: currentParams() });
+    const rows = res.data.data || [];
+    const head = ['Time', 'User', 'Account', 'Action', 'Report', 'Window start', 'Window end', 'Recording', 'IP', 'Details'];
+    const body = rows.map(r => `<tr>
+      <td>${isoToLocal(r.created_at)}</td>
+      <td>${esc(r.username)}</td>
+      <td>${esc(r.tenant)}</td>
+      <td>${esc(r.action)}</td>
+      <td>${esc(r.report_type)}</td>
+      <td>${isoToLocal(r.window_start)}</td>
+      <td>${isoToLocal(r.window_end)}</td>
+      <td>${esc(r.recording_id)}</td>
+      <td>${esc(r.ip)}</td>
+      <td>${esc(describeDetails(r.details))}</td>
+    </tr>`).join('');
+    auditTable.innerHTML = `<thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${body}</tbody>`;
+    statsBox.innerHTML = `<strong>${rows.length}</strong> audit entries`;
+    show(statsBox);
+  } catch (err) {
+    errorBox.textContent = err.response?.data?.error || err.message;
+    show(errorBox);
+  }
+}
+
+auditForm.addEventListener('submit', e => {
+  e.preventDefault();
+  search();
+});
+
+// Download through axios so the Bearer fallback header is sent as well
+document.getElementById('csvBtn').addEventListener('click', async () => {
+  try {
+    const res = await axios.get('/api/audit', { params: { ...currentParams(), format: 'csv' }, responseType: 'blob' });
+    const url = URL.createObjectURL(res.data);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `audit_${Date.now()}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    errorBox.textContent = err.response?.data?.error || err.message;
+    show(errorBox);
+  }
+});
+
+window.authClient.checkAuth().then(auth => {
+  if (!auth.authenticated) {
+    window.location.href = '/login.html';
+    return;
+  }
+  if (!(auth.permissions || []).includes('audit:view')) {
+    window.location.href = '/index.html';
+    return;
+  }
+  // The trail spans tenants, so it uses the user's own zone
+  window.timeZone.configure(auth);
+  search();
+}).catch(err => {
+  errorBox.textContent = err.message;
+  show(errorBox);
+});
@@ -0,0 +1,157 @@
+// authClient.js
+// Shared axios session handling for every page (load right after axios).
+//
+//   • Bearer-token fallback: when the auth cookie cannot be sent (iframe,
+//     SameSite=Lax) the JWT kept in localStorage goes in the Authorization header.
+//   • Transparent refresh: a 401 triggers one POST /api/auth/refresh (shared by
+//     all requests that failed at the same time) and the request is retried.
+//     If the refresh fails too, the user is sent to the login page.
+//   • Account picker: fillAccountPicker() fills a <select> with the tenants the
+//     user may query (labels from the tenant registry) and remembers the choice.
+
+/* global axios */
+(function () {
+  const NO_RETRY = ['/api/login', '/api/auth/refresh', '/api/logout'];
+
+  function setAccessToken(token) {
+    if (token) {
+      localStorage.setItem('authToken', token);
+      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    } else {
+      localStorage.removeItem('authToken');
+      delete axios.defaults.headers.common['Authorization'];
+    }
+  }
+
+  function storeSession(data) {
+    setAccessToken(data?.token);
+    if (data?.refreshToken) localStorage.setItem('refreshToken', data.refreshToken);
+    else localStorage.removeItem('refreshToken');
+  }
+
+  function clearSession() {
+    setAccessToken(null);
+    localStorage.removeItem('refreshToken');
+  }
+
+  const storedJwt = localStorage.getItem('authToken');
+  if (storedJwt) {
+    axios.defaults.headers.common['Authorization'] = `Bearer ${storedJwt}`;
+  }
+
+  // Single in-flight refresh shared by concurrent 401s
+  let refreshing = null;
+  function refreshSession() {
+    if (!refreshing) {
+      const refreshToken = localStorage.getItem('refreshToken');
+      refreshing = axios.post('/api/auth/refresh', refreshToken ? { refreshToken } : {})
+        .then(res => {
+          storeSession(res.data);
+          return true;
+        })
+        .catch(() => {
+          clearSession();
+          return false;
+        })
+        .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  function toLogin() {
+    if (!window.location.pathname.endsWith('/login.html')) {
+      window.location.href = '/login.html';
+    }
+  }
+
+  axios.interceptors.response.use(
+    res => res,
+    async err => {
+      const cfg = err.config || {};
+      const isAuthCall = NO_RETRY.some(p => (cfg.url || '').startsWith(p));
+      if (err.response?.status !== 401 || isAuthCall || cfg.__retried) {
+        return Promise.reject(err);
+      }
+      if (await refreshSession()) {
+        cfg.__retried = true;
+        cfg.headers = { ...cfg.headers, Authorization: axios.defaults.headers.common['Authorization'] };
+        return axios(cfg);
+      }
+      toLogin();
+      return Promise.reject(err);
+    }
+  );
+
+  /**
+   * GET /api/auth/check, refreshing once if the access token has expired.
+   * Resolves to the check payload ({ authenticated, user, permissions, tenants,
+   * tenantLabels, timeZone, timeZones }).
+   */
+  async function checkAuth() {
+    let res = await axios.get('/api/auth/check');
+    if (!res.data?.authenticated && await refreshSession()) {
+      res = await axios.get('/api/auth/check');
+    }
+    return res.data || { authenticated: false };
+  }
+
+  async function logout() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    try {
+      await axios.post('/api/logout', refreshToken ? { refreshToken } : {});
+    } finally {
+      clearSession();
+      toLogin();
+    }
+  }
+
+  const ACCOUNTS_KEY = 'selectedAccounts';
+
+  /**
+   * Fill an account <select> (single or `multiple`) with the user's tenants,
+   * selecting the accounts picked last time on any page (else the first).
+   * Changes are remembered in localStorage.
+   *
+   * @param {HTMLSelectElement} select
+   * @param {object} auth – /api/auth/check payload.
+   */
+  function fillAccountPicker(select, auth) {
+    const tenants = auth?.tenants || [];
+    const labels = auth?.tenantLabels || {};
+    let stored = [];
+    try { stored = JSON.parse(localStorage.getItem(ACCOUNTS_KEY)) || []; } catch {}
+    let chosen = stored.filter(t => tenants.includes(t));
+    if (!select.multiple) chosen = chosen.slice(0, 1);
+    if (!chosen.length && tenants.length) chosen = [tenants[0]];
+
+    select.innerHTML = '';
+    for (const tenant of tenants) {
+      const opt = new Option(labels[tenant] || tenant, tenant, false, chosen.includes(tenant));
+      if (labels[tenant] && labels[tenant] !== tenant) opt.title = tenant;
+      select.add(opt);
+    }
+    select.disabled = !tenants.length;
+
+    if (!select.dataset.remember) {
+      select.dataset.remember = '1';
+      select.addEventListener('change', () => {
+        localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(selectedAccounts(select)));
+      });
+    }
+  }
+
+  /**
+   * @param {HTMLSelectElement} select
+   * @returns {string[]} the selected accounts, in list order
+   */
+  function selectedAccounts(select) {
+    return Array.from(select.selectedOptions, o => o.value);
+  }
+
+  window.authClient = { checkAuth, refreshSession, storeSession, clearSession, logout, fillAccountPicker, selectedAccounts };
+
+  // Any page with a #logoutBtn gets it wired up
+  document.addEventListener('click', e => {
+    if (e.target.closest('#logoutBtn')) logout();
+  });
+})();
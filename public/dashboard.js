@@ -0,0 +1,170 @@
+// dashboard.js
+// Charts page: call volume, abandon rate per queue, arrivals heatmap and top
+// dispositions from GET /api/aggregates (computed on the server).
+
+/* global axios, Chart */
+const windowForm = document.getElementById('windowForm');
+const loadBtn = document.getElementById('loadBtn');
+const errorBox = document.getElementById('errorBox');
+const statsBox = document.getElementById('stats');
+const chartsEl = document.getElementById('charts');
+const heatmapEl = document.getElementById('heatmap');
+
+// Session handling / token refresh lives in authClient.js.
+
+// Same palette as the Reports page buttons, one colour per Type
+const TYPE_COLORS = {
+  Inbound: '#1976d2',
+  Outbound: '#EF6F53',
+  Campaign: '#48c78e',
+  CDR: '#b5b5b5'
+};
+
+const charts = {};
+
+function show(el) { el.classList.remove('is-hidden'); }
+function hide(el) { el.classList.add('is-hidden'); }
+
+function esc(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Interval start → label on the account's wall clock (timeZone.js)
+function intervalLabel(iso, interval) {
+  const opts = interval === 'day'
+    ? { day: '2-digit', month: 'short' }
+    : { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: false };
+  return window.timeZone.format(iso, opts);
+}
+
+// Replace a chart (Chart.js cannot re-use a canvas)
+function drawChart(id, config) {
+  charts[id]?.destroy();
+  charts[id] = new Chart(document.getElementById(id), config);
+}
+
+function renderVolume(volume, interval) {
+  drawChart('volumeChart', {
+    type: 'bar',
+    data: {
+      labels: volume.map(v => intervalLabel(v.intervalStart, interval)),
+      datasets: Object.entries(TYPE_COLORS).map(([type, color]) => ({
+        label: type,
+        data: volume.map(v => v[type] || 0),
+        backgroundColor: color
+      }))
+    },
+    options: {
+      maintainAspectRatio: false,
+      scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } } }
+    }
+  });
+}
+
+function renderAbandon(queues) {
+  drawChart('abandonChart', {
+    type: 'bar',
+    data: {
+      labels: queues.map(q => q.queue),
+      datasets: [{
+        label: 'Abandon rate %',
+        data: queues.map(q => q.abandonRate ?? 0),
+        backgroundColor: TYPE_COLORS.Outbound
+      }]
+    },
+    options: {
+      indexAxis: 'y',
+      maintainAspectRatio: false,
+      scales: { x: { beginAtZero: true, max: 100 } },
+      plugins: {
+        tooltip: {
+          callbacks: {
+            afterLabel: ctx => `${queues[ctx.dataIndex].abandoned} of ${queues[ctx.dataIndex].offered} calls`
+          }
+        }
+      }
+    }
+  });
+}
+
+function renderDispositions(dispositions) {
+  drawChart('dispositionChart', {
+    type: 'bar',
+    data: {
+      labels: dispositions.map(d => d.disposition),
+      datasets: [{ label: 'Calls', data: dispositions.map(d => d.count), backgroundColor: TYPE_COLORS.Inbound }]
+    },
+    options: {
+      indexAxis: 'y',
+      maintainAspectRatio: false,
+      scales: { x: { beginAtZero: true, ticks: { precision: 0 } } },
+      plugins: { legend: { display: false } }
+    }
+  });
+}
+
+// Day × hour table, cell shade proportional to the busiest hour
+function renderHeatmap(heatmap) {
+  if (!heatmap.length) {
+    heatmapEl.innerHTML = '<tr><td>No inbound calls in this window</td></tr>';
+    return;
+  }
+  const max = Math.max(1, ...heatmap.flatMap(d => d.hours));
+  const head = `<tr><th>Day</th>${Array.from({ length: 24 }, (_, h) => `<th>${String(h).padStart(2, '0')}</th>`).join('')}</tr>`;
+  const body = heatmap.map(d => `<tr><th>${esc(d.day)}</th>${d.hours.map(n => {
+    const alpha = n ? 0.15 + 0.85 * (n / max) : 0;
+    const color = alpha > 0.6 ? '#fff' : '#363636';
+    return `<td style="background: rgba(25, 118, 210, ${alpha.toFixed(2)}); color: ${color}">${n || ''}</td>`;
+  }).join('')}</tr>`).join('');
+  heatmapEl.innerHTML = `<thead>${head}</thead><tbody>${body}</tbody>`;
+}
+
+async function loadCharts() {
+  hide(errorBox);
+  hide(statsBox);
+  loadBtn.classList.add('is-loading');
+  const interval = document.getElementById('interval').value;
+  try {
+    const res = await axios.get('/api/aggregates', {
+      params: {
+        account: document.getElementById('account').value.trim(),
+        start: window.timeZone.inputToIso(document.getElementById('start').value),
+        end: window.timeZone.inputToIso(document.getElementById('end').value),
+        interval
+      }
+    });
+    const data = res.data;
+    show(chartsEl);
+    renderVolume(data.volume, interval);
+    renderAbandon(data.queues);
+    renderDispositions(data.dispositions);
+    renderHeatmap(data.heatmap);
+    statsBox.innerHTML = `Calls: <strong>${data.total}</strong> &nbsp;|&nbsp; Queues: <strong>${data.queues.length}</strong>`;
+    show(statsBox);
+  } catch (err) {
+    errorBox.textContent = err.response?.data?.error || err.message;
+    show(errorBox);
+  } finally {
+    loadBtn.classList.remove('is-loading');
+  }
+}
+
+windowForm.addEventListener('submit', e => {
+  e.preventDefault();
+  loadCharts();
+});
+
+// Accounts the user may query; default window: today so far, on the account's wall clock
+window.authClient.checkAuth().then(auth => {
+  if (!auth.authenticated) {
+    window.location.href = '/login.html';
+    return;
+  }
+  const accountSelect = document.getElementById('account');
+  window.authClient.fillAccountPicker(accountSelect, auth);
+  window.timeZone.configure(auth, accountSelect.value);
+  accountSelect.addEventListener('change', () => window.timeZone.use(accountSelect.value));
+  const { start, end } = window.timeZone.range('today');
+  document.getElementById('start').value = start;
+  document.getElementById('end').value = end;
+}).catch(() => {});
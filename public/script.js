@@ -7,10 +7,50 @@ const errorBox = document.getElementById('errorBox');
 const table = document.getElementById('resultTable');
 const statsBox = document.getElementById('stats');
 const csvBtn = document.getElementById('csvBtn');
+const xlsxBtn = document.getElementById('xlsxBtn');
 const fetchBtn = document.getElementById('fetchBtn');
 
 // Track the selected tenant account globally so we can build recording URLs
+// (rows of a cross-tenant query carry their own Tenant)
 let tenantAccount = '';
+const accountSelect = document.getElementById('account');
+let tenantLabels = {};   // tenant ⇒ display label (tenant registry)
+
+// Permissions granted to the signed-in user's role (see auth.js on the server)
+let permissions = new Set();
+const can = perm => permissions.has(perm);
+
+// Redirect unauthenticated visitors before they try to fetch anything, then
+// hide the controls their role cannot use.
+// Session handling / token refresh lives in authClient.js.
+const authReady = window.authClient.checkAuth().then(auth => {
+  if (!auth.authenticated) {
+    window.location.href = '/login.html';
+    return;
+  }
+  permissions = new Set(auth.permissions || []);
+  tenantLabels = auth.tenantLabels || {};
+  window.authClient.fillAccountPicker(accountSelect, auth);
+  window.timeZone.configure(auth, accountSelect.value);
+  if (!can('export:csv')) { hide(csvBtn); hide(xlsxBtn); }
+  if (can('reports:agentScorecard') || can('reports:agentStatus')) show(document.getElementById('agentsLink'));
+  if (can('wallboard:view')) show(document.getElementById('wallboardLink'));
+  if (can('alerts:view')) show(document.getElementById('alertsLink'));
+  if (can('users:manage')) show(document.getElementById('usersLink'));
+  if (can('audit:view')) show(document.getElementById('auditLink'));
+  if (!can('recordings:play')) {
+    const idx = HEADERS.indexOf('Recording');
+    if (idx !== -1) HEADERS.splice(idx, 1);
+  }
+}).catch(() => {});
+
+// Report type definitions shared with the server (reportTypes/ in the repo,
+// served at /reportTypes): endpoint key, normalizer and filterable columns.
+let reportTypes = [];
+const reportTypesReady = import('/reportTypes/index.js').then(m => {
+  reportTypes = m.REPORT_TYPES;
+});
+// -------------------------------------------------------
 
 // Columns whose raw value should NEVER be interpreted as epoch or duration
 const RAW_COLUMNS = new Set([
@@ -27,25 +67,47 @@ const RAW_COLUMNS = new Set([
   'agent extension'
 ]);
 
-// Columns that should have filter inputs (or dropdown)
-const FILTER_COLUMNS = new Set([
-  'Callee ID / Lead number',
-  'Called Time',
-  'Queue / Campaign Name',
-  'Call ID',
-  'Caller ID Number',
-  'Agent Disposition',
-  'Caller ID / Lead Name',
-  'Disposition',
-  // there is no standalone "Agent Extension" header; the above covers it
-  'Agent name',
-  'Type',
-  'Campaign Type',
-  'Status',
-  'Abandoned',
-  'Extension',
-  'Country'
-]);
+// Columns that should have filter inputs (or dropdown): the union of the
+// filterColumns of every report type the user can view, set once the
+// definitions are loaded.
+let FILTER_COLUMNS = new Set();
+
+// Filter columns the server applies across every page of the window
+// (reportFilters.js); changing one re-runs the query. The rest only filter
+// the rows already loaded.
+const SERVER_FILTERS = {
+  'Caller ID Number': 'callerNumber',
+  'Callee ID / Lead number': 'calleeNumber',
+  'Queue / Campaign Name': 'queue',
+  'Agent name': 'agent',
+  'Extension': 'extension',
+  'Agent Disposition': 'disposition',
+  'Abandoned': 'abandoned',
+  'Country': 'country',
+  'Type': 'type'
+};
+
+// `account`, or `accounts` when several are selected (one query across tenants)
+function accountParams(accounts) {
+  return accounts.length > 1 ? { accounts: accounts.join(',') } : { account: accounts[0] };
+}
+
+// Show the Tenant column right after Type only for cross-tenant results
+function setTenantColumn(visible) {
+  const idx = HEADERS.indexOf('Tenant');
+  if (idx !== -1) HEADERS.splice(idx, 1);
+  if (visible) HEADERS.splice(HEADERS.indexOf('Type') + 1, 0, 'Tenant');
+}
+
+// Query params for the server-side filters currently filled in
+function serverFilterParams() {
+  const params = {};
+  document.querySelectorAll('#filtersGrid [data-col]').forEach(el => {
+    const param = SERVER_FILTERS[el.dataset.col];
+    if (param && el.value.trim()) params[param] = el.value.trim();
+  });
+  return params;
+}
 
 function show(el) { el.classList.remove('is-hidden'); }
 function hide(el) { el.classList.add('is-hidden'); }
@@ -62,21 +124,9 @@ function secondsToHMS(sec) {
   return days ? `${days} day${days > 1 ? 's' : ''} ${h}:${m}:${s}` : `${h}:${m}:${s}`;
 }
 
+// Shown in the account's time zone (timeZone.js) irrespective of client or server TZ
 function isoToLocal(dateStr) {
-  // Always display Dubai Time (Asia/Dubai) irrespective of client or server TZ
-  return new Date(dateStr).toLocaleString('en-GB', { timeZone: 'Asia/Dubai' });
-}
-
-// Convert a <input type="datetime-local"> value assumed to be in Dubai local time
-// into a proper ISO-8601 string (UTC) so the backend receives the right window.
-function inputToDubaiIso(val) {
-  if (!val) return '';
-  const [datePart, timePart = '00:00'] = val.split('T'); // "YYYY-MM-DD" & "HH:MM"
-  const [year, month, day] = datePart.split('-').map(Number);
-  const [hour, minute] = timePart.split(':').map(Number);
-  // Asia/Dubai is UTC+4 with no daylight saving; subtract 4 h to get UTC.
-  const utcMillis = Date.UTC(year, month - 1, day, hour - 4, minute);
-  return new Date(utcMillis).toISOString();
+  return window.timeZone.format(dateStr);
 }
 
 // Required column order for the combined Queue report
@@ -261,161 +311,23 @@ function leadHistoryToHtml(history) {
   return createEyeBtn(tableHtml);
 }
 
-// Determine Abandoned (Yes/No) for inbound calls based on agent_history
-function computeAbandoned(row) {
-  // Only relevant for inbound calls
-  let history = row.agent_history;
-  if (typeof history === 'string') {
-    try { history = JSON.parse(history); } catch { history = []; }
-  }
-  if (!Array.isArray(history) || !history.length) return 'YES';
-
-  let connected = false;
-  let star7 = false;
-  history.forEach(h => {
-    if (h.connected) connected = true;
-    if ((h.event || '').toString().includes('*7')) star7 = true;
-  });
-
-  if (connected) return 'NO';
-  // Abandoned is YES only when not connected AND no *7 event
-  return (!connected && !star7) ? 'YES' : 'NO';
+// Renderers handed to each definition's normalize(): history columns become
+// eye buttons opening an HTML table.
+const HTML_FORMAT = {
+  agentHistory: h => historyToHtml(h ?? []),
+  queueHistory: h => queueHistoryToHtml(h ?? []),
+  leadHistory: h => leadHistoryToHtml(h ?? []),
+  join: parts => parts.join('')
+};
+
+// Normalize an API row of the given report type to the unified schema expected by HEADERS
+function normalizeRow(row, type) {
+  return type.normalize(row, HTML_FORMAT);
 }
 
-// Normalize inbound/outbound API rows to the unified schema expected by HEADERS
-function normalizeRow(row, source) {
-  if (source === 'camp') {
-    // helper to safely extract subdisposition names (supports object or array)
-    const [sub1, sub2] = (() => {
-      let sd = row.agent_subdisposition ?? null;
-      if (Array.isArray(sd)) sd = sd[0];
-      if (!sd || typeof sd !== 'object') return ['', ''];
-      const first = sd.name ?? '';
-      const second = sd.subdisposition?.name ?? '';
-      return [first, second];
-    })();
-
-    return {
-      'Type': 'Campaign',
-      'Call ID': row.call_id ?? row.callid ?? '',
-      'Queue / Campaign Name': row.campaign_name ?? '',
-      'Campaign Type': row.campaign_type ?? '',
-      // 'Lead name': row.lead_name ?? '',
-      // 'Lead first name': row.lead_first_name ?? '',
-      // 'Lead last name': row.lead_last_name ?? '',
-      'Caller ID / Lead Name': row.lead_name ?? '',
-      'Callee ID / Lead number': row.lead_number ?? '',
-      // 'Lead ticket id': row.lead_ticket_id ?? '',
-      // 'Lead type': row.lead_type ?? '',
-      'Agent name': row.agent_name ?? '',
-      'Caller ID Number': row.agent_extension ?? '',
-      'Talk Duration': row.agent_talk_time ?? '',
-      'Agent Disposition': row.agent_disposition ?? '',
-      'Sub_disp_1': sub1,
-      'Sub_disp_2': sub2,
-      'Agent History': `${historyToHtml(row.agent_history ?? [])}${leadHistoryToHtml(row.lead_history ?? [])}`,
-      'Called Time': row.timestamp ?? row.datetime ?? '',
-      'Answered time': '',
-      'Hangup time': '',
-      'Wait Duration': '',
-      'Recording': row.media_recording_id ?? row.recording_filename ?? '',
-      'Status': row.status ?? '',
-      // 'Customer wait time SLA': row.customer_wait_time_sla ?? '',
-      // 'Customer wait time over SLA': row.customer_wait_time_over_sla ?? '',
-      'Disposition': row.disposition ?? '',
-      // 'Hangup cause': row.hangup_cause ?? '',
-      'Lead disposition': row.lead_disposition ?? '',
-      'Abandoned': '',
-      'Extension': row.agent_extension ?? '',
-      'Country': row.Country ?? ''
-    };
-  }
-
-  if (source === 'cdr') {
-    // Use timestamp (seconds or ms) or ISO datetime as Called Time
-    let ts = row.timestamp ?? row.datetime ?? '';
-    if (typeof ts === 'number') {
-      // If value looks like epoch seconds (<1e11) convert to ms
-      const ms = ts < 1_000_000_000_000 ? ts * 1000 : ts; // sec → ms if needed
-      ts = new Date(ms).toISOString();
-    }
-    return {
-      'Type': 'CDR',
-      'Call ID': row.call_id ?? '',
-      'Queue / Campaign Name': '',
-      'Called Time': ts,
-      'Caller ID Number': row.caller_id_number ?? '',
-      'Caller ID / Lead Name': row.caller_id_name ?? '',
-      'Answered time': row.answered_time ?? '',
-      'Hangup time': '',
-      'Wait Duration': '',
-      'Talk Duration': row.duration_seconds ?? '',
-      'Agent Disposition': '',
-      'Sub_disp_1': '',
-      'Sub_disp_2': '',
-      'Callee ID / Lead number': row.callee_id_number ?? row.to ?? '',
-      'Status': '',
-      'Campaign Type': '',
-      'Abandoned': '',
-      'Agent History': '',
-      'Queue History': '',
-      'Agent name': '',
-      'Recording': row.media_recording_id ?? row.recording_filename ?? '',
-      'Extension': '',
-      'Country': row.Country ?? ''
-    };
-  }
-
-  // inbound / outbound queues
-  const isOutbound = source === 'out';
-  // helper to safely extract subdisposition names (supports object or array)
-  const [sub1, sub2] = (() => {
-    let sd = row.agent_subdisposition ?? null;
-    if (Array.isArray(sd)) sd = sd[0];
-    if (!sd || typeof sd !== 'object') return ['', ''];
-    const first = sd.name ?? '';
-    const second = sd.subdisposition?.name ?? '';
-    return [first, second];
-  })();
-
-  // Derive Agent name from first entry in agent_history (if present)
-  let agentName = '';
-  try {
-    let hist = row.agent_history;
-    if (typeof hist === 'string') hist = JSON.parse(hist);
-    if (Array.isArray(hist) && hist.length) {
-      const h0 = hist[0];
-      const fn = h0.first_name ?? '';
-      const ln = h0.last_name ?? '';
-      agentName = `${fn} ${ln}`.trim();
-    }
-  } catch {}
-
-  return {
-    'Type': isOutbound ? 'Outbound' : 'Inbound',
-    'Call ID': row.call_id ?? row.callid ?? '',
-    'Queue / Campaign Name': row.queue_name ?? '',
-    'Called Time': row.called_time ?? '',
-    'Caller ID Number': row.caller_id_number ?? '',
-    'Caller ID / Lead Name': row.caller_id_name ?? '',
-    'Answered time': row.answered_time ?? '',
-    'Hangup time': row.hangup_time ?? '',
-    'Wait Duration': row.wait_duration ?? '',
-    'Talk Duration': row.talked_duration ?? '',
-    'Callee ID / Lead number': isOutbound ? (row.to ?? '') : (row.callee_id_number ?? ''),
-    'Agent Disposition': row.agent_disposition ?? '',
-    'Sub_disp_1': sub1,
-    'Sub_disp_2': sub2,
-    'Queue History': queueHistoryToHtml(row.queue_history ?? []),
-    'Agent History': historyToHtml(row.agent_history ?? []),
-    'Status': '',
-    'Campaign Type': '',
-    'Abandoned': isOutbound ? '' : computeAbandoned(row),
-    'Agent name': agentName,
-    'Recording': row.media_recording_id ?? row.recording_filename ?? '',
-    'Extension': row.Extension ?? '',
-    'Country': row.Country ?? ''
-  };
+// Report types the signed-in user may view, in registry order
+function viewableTypes() {
+  return reportTypes.filter(t => can(`reports:${t.key}`));
 }
 
 // Render table rows in CHUNK_SIZE batches so the UI becomes responsive quickly.
@@ -429,6 +341,7 @@ function renderRowsHtml(rows, startSerial = 1) {
         if (h === 'S.No.') return `<td>${serial}</td>`;
         let v = rec[h];
         if (v == null) v = '';
+        if (h === 'Tenant') return `<td title="${escapeHtml(v)}">${escapeHtml(tenantLabels[v] || v)}</td>`;
 
         // Ensure Talk Duration shows as HH:MM:SS even when stored as string seconds
         if (h === 'Talk Duration' && /^\d+$/.test(String(v))) {
@@ -439,8 +352,9 @@ function renderRowsHtml(rows, startSerial = 1) {
         if (h === 'Recording') {
           if (v) {
             const id = v.replace(/[^\w]/g, '');
-            const src = `/api/recordings/${v}?account=${encodeURIComponent(tenantAccount)}`;
-            const metaUrl = `/api/recordings/${v}/meta?account=${encodeURIComponent(tenantAccount)}`;
+            const account = encodeURIComponent(rec.Tenant || tenantAccount);
+            const src = `/api/recordings/${v}?account=${account}`;
+            const metaUrl = `/api/recordings/${v}/meta?account=${account}`;
             return `<td style="text-align:center"><audio class="recording-audio" controls preload="none" src="${src}" data-meta="${metaUrl}" data-id="${id}" style="max-width:200px"></audio><br><span class="rec-dur" id="dur_${id}"></span></td>`;
           }
           return '<td></td>';
@@ -533,137 +447,38 @@ function afterRowsRendered() {
 let lastRecords = [];
 let currentFiltered = [];
 
-// Number of rows the server returns per endpoint request.
-// Keep this in sync with PAGE_SIZE so each click loads exactly
-// one UI page worth of data without requiring multiple round-trips.
+// Number of rows the server returns per request. Keep this in sync with
+// PAGE_SIZE so each click loads exactly one UI page worth of data.
 const SERVER_PAGE_SIZE = 500;
 
 // Pagination globals – keep it in sync with SERVER_PAGE_SIZE so every
-// UI page corresponds to exactly one server round-trip per endpoint.
+// UI page corresponds to exactly one server round-trip.
 const PAGE_SIZE = 500;
 let currentPage = 1;
 
-// Server-side paging helpers
-let nextTokens = { in: null, out: null, camp: null, cdr: null };
+// Cursor of the combined report (null once everything is loaded)
+let nextCursor = null;
 let baseQuery = {};
-
-// Buffers that hold rows fetched from the server but **not yet revealed**
-const buffers = { in: [], out: [], camp: [], cdr: [] };
-
-// Helper: derive epoch (ms) from a record for date comparisons
-function toEpoch(rec) {
-  const v = rec['Called Time'];
-  if (!v) return 0;
-  if (typeof v === 'number') {
-    // If value looks like epoch seconds (<1e11) convert to ms
-    return v < 1e11 ? v * 1000 : v;
-  }
-  const parsed = Date.parse(v);
-  return Number.isNaN(parsed) ? 0 : parsed;
-}
-
-// Deduplicate records by unique Call ID irrespective of Type
-function dedupRecords(list) {
-  const seen = new Map();
-  list.forEach(rec => {
-    const key = rec['Call ID'] || Symbol();
-    if (!seen.has(key)) {
-      seen.set(key, rec);
-    }
-  });
-  return Array.from(seen.values());
-}
-
-// Pull up to PAGE_SIZE newest rows across the three buffers into lastRecords
-function revealNextBatch() {
-  const startLen = lastRecords.length;
-  while (lastRecords.length - startLen < PAGE_SIZE) {
-    // Pick newest record across buffers
-    let pickKey = null;
-    let pickRec = null;
-    ['in', 'out', 'camp', 'cdr'].forEach(k => {
-      if (!buffers[k].length) return;
-      const candidate = buffers[k][0];
-      if (!pickRec || toEpoch(candidate) > toEpoch(pickRec)) {
-        pickRec = candidate;
-        pickKey = k;
-      }
-    });
-    if (!pickKey) break; // buffers empty
-
-    lastRecords.push(buffers[pickKey].shift());
-
-    // Deduplicate on the fly to avoid counting duplicates toward the quota
-    lastRecords = dedupRecords(lastRecords);
-  }
-
-  // Ensure sort order after possible pushes
-  lastRecords.sort((a, b) => toEpoch(b) - toEpoch(a));
+let accountQuery = null;   // accountParams() of the current query
+
+// GET /api/reports/combined: the server merges every report type the role
+// may view by Called Time and drops duplicate Call IDs (see combined.js).
+// The raw rows come along so the definitions can render the history popups.
+async function fetchCombined(params) {
+  const res = await axios.get('/api/reports/combined', { params: { ...params, include: 'raw' } });
+  const { data = [], next = null } = res.data || {};
+  nextCursor = next;
+  return data.map(item => ({
+    ...normalizeRow(item.raw, reportTypes.find(t => t.key === item.reportType)),
+    Tenant: item.Tenant
+  }));
 }
 
 async function loadNextChunks() {
-  const promises = [];
-  // helper to fetch and append rows
-  const fetchChunk = (endpoint, tokenKey, normalizer) => {
-    const nxt = nextTokens[tokenKey];
-    if (nxt === null) return; // no more on server
-    const params = { ...baseQuery, limit: SERVER_PAGE_SIZE, ...(nxt && { startKey: nxt }) };
-    promises.push(
-      axios.get(endpoint, { params }).then(res => {
-        const { data: rows = [], next } = res.data || {};
-        nextTokens[tokenKey] = next ?? null;
-        const normalized = rows.map(normalizer);
-        buffers[tokenKey].push(...normalized);
-        buffers[tokenKey].sort((a, b) => toEpoch(b) - toEpoch(a));
-      })
-    );
-  };
-
-  fetchChunk('/api/reports/queueCalls', 'in', r => normalizeRow(r, 'in'));
-  fetchChunk('/api/reports/queueOutboundCalls', 'out', r => normalizeRow(r, 'out'));
-  fetchChunk('/api/reports/campaignsActivity', 'camp', r => normalizeRow(r, 'camp'));
-  fetchChunk('/api/reports/cdrs', 'cdr', r => normalizeRow(r, 'cdr'));
-
-  if (promises.length) {
-    await Promise.all(promises);
+  if (nextCursor) {
+    lastRecords.push(...await fetchCombined({ ...accountQuery, cursor: nextCursor }));
   }
 
-  // If none of the endpoints returned a next token but we still got exactly
-  // SERVER_PAGE_SIZE rows on the previous page, attempt time-window paging.
-  const noMoreTokens = Object.values(nextTokens).every(v => v === null);
-  if (noMoreTokens) {
-    // Determine oldest Called Time among currently loaded rows
-    const oldest = lastRecords.reduce((min, r) => {
-      const ts = toEpoch(r);
-      return (min === null || ts < min) ? ts : min;
-    }, null);
-
-    if (oldest) {
-      // oldest may be in seconds (10 digits) or milliseconds (13). Ensure ms.
-      const oldestMs = oldest < 1_000_000_000_000 ? oldest * 1000 : oldest;
-      const newEndIso = new Date(oldestMs - 1000).toISOString();
-      const timeParams = { ...baseQuery, end: newEndIso, limit: SERVER_PAGE_SIZE };
-      const [inRes, outRes, campRes, cdrRes] = await Promise.all([
-        axios.get('/api/reports/queueCalls', { params: timeParams }),
-        axios.get('/api/reports/queueOutboundCalls', { params: timeParams }),
-        axios.get('/api/reports/campaignsActivity', { params: timeParams }),
-        axios.get('/api/reports/cdrs', { params: timeParams })
-      ]);
-
-      [inRes, outRes, campRes, cdrRes].forEach((res, idx) => {
-        const rows = res.data?.data || [];
-        if (!rows.length) return;
-        const type = idx === 0 ? 'in' : idx === 1 ? 'out' : idx === 2 ? 'camp' : 'cdr';
-        const norm = rows.map(r => normalizeRow(r, type));
-        buffers[type].push(...norm);
-        buffers[type].sort((a, b) => toEpoch(b) - toEpoch(a));
-      });
-    }
-  }
-
-  // After network / buffer work, reveal next blended batch and refresh UI
-  revealNextBatch();
-
   // Refresh filters/totals
   const grid = document.getElementById('filtersGrid');
   const anyFilter = grid && Array.from(grid.querySelectorAll('[data-col]')).some(el => el.value.trim() !== '');
@@ -708,12 +523,9 @@ function renderCurrentPage() {
     table.parentNode.insertBefore(nav, table.nextSibling);
   }
 
-  // Determine if more data might exist beyond currentFiltered
-  const buffersEmpty = !buffers.in.length && !buffers.out.length && !buffers.camp.length && !buffers.cdr.length;
-  const noMoreTokens = Object.values(nextTokens).every(v => v === null);
-  // Enable Next as long as we still have buffered records or server pages, even if
-  // the current filtered page shows fewer rows than PAGE_SIZE.
-  const mayHaveMore = !(buffersEmpty && noMoreTokens);
+  // Enable Next as long as the server has more pages, even if the current
+  // filtered page shows fewer rows than PAGE_SIZE.
+  const mayHaveMore = nextCursor !== null;
 
   const prevDisabled = currentPage === 1 ? 'disabled' : '';
   const nextDisabled = (currentPage === totalPages && !mayHaveMore) ? 'disabled' : '';
@@ -771,7 +583,8 @@ function buildFilters() {
     }
     
     if (col === 'Type') {
-      wrapper.innerHTML = `<div class="field"><label class="label is-small">${col}</label><div class="select is-small is-fullwidth"><select data-col="${col}" id="filter_${colId}"><option value="">All</option><option>Inbound</option><option>Outbound</option><option>Campaign</option><option>CDR</option></select></div></div>`;
+      const options = viewableTypes().map(t => `<option>${t.label}</option>`).join('');
+      wrapper.innerHTML = `<div class="field"><label class="label is-small">${col}</label><div class="select is-small is-fullwidth"><select data-col="${col}" id="filter_${colId}"><option value="">All</option>${options}</select></div></div>`;
     } else if (col === 'Status') {
       wrapper.innerHTML = `<div class="field"><label class="label is-small">${col}</label><div class="select is-small is-fullwidth"><select data-col="${col}" id="filter_${colId}"><option value="">All</option><option>Success</option><option>Failed</option><option>Cooloff</option></select></div></div>`;
     } else if (col === 'Campaign Type') {
@@ -784,6 +597,7 @@ function buildFilters() {
     grid.appendChild(wrapper);
   });
   // Attach listeners
+  let refetchTimer = null;
   grid.querySelectorAll('[data-col]').forEach(el => {
     const ev = el.tagName === 'SELECT' ? 'change' : 'input';
     el.addEventListener(ev, () => {
@@ -794,27 +608,29 @@ function buildFilters() {
         el.classList.remove('filter-active');
       }
       applyFilters();
+      // Server-side filters: query again once the user stops typing
+      if (SERVER_FILTERS[el.dataset.col] && accountQuery) {
+        clearTimeout(refetchTimer);
+        refetchTimer = setTimeout(() => form.requestSubmit(), 600);
+      }
     });
   });
 
   // Filters are already visible by default now
 }
 
+// Row count per Type label, in registry order
 function computeTotals(list) {
-  let inCt = 0, outCt = 0, campCt = 0, cdrCt = 0;
-  for (const r of list) {
-    if (r.Type === 'Inbound') inCt++;
-    else if (r.Type === 'Outbound') outCt++;
-    else if (r.Type === 'Campaign') campCt++;
-    else cdrCt++; // CDR
-  }
-  return { inCt, outCt, campCt, cdrCt, total: list.length };
+  const counts = new Map(viewableTypes().map(t => [t.label, 0]));
+  for (const r of list) counts.set(r.Type, (counts.get(r.Type) || 0) + 1);
+  return { counts, total: list.length };
 }
 
 function showTotals(list) {
   if (!statsBox) return;
-  const { inCt, outCt, campCt, cdrCt, total } = computeTotals(list);
-  statsBox.innerHTML = `Inbound: <strong>${inCt}</strong> &nbsp;|&nbsp; Outbound: <strong>${outCt}</strong> &nbsp;|&nbsp; Campaign: <strong>${campCt}</strong> &nbsp;|&nbsp; CDR: <strong>${cdrCt}</strong> &nbsp;|&nbsp; Total: <strong>${total}</strong>`;
+  const { counts, total } = computeTotals(list);
+  const parts = [...counts].map(([label, n]) => `${label}: <strong>${n}</strong>`);
+  statsBox.innerHTML = [...parts, `Total: <strong>${total}</strong>`].join(' &nbsp;|&nbsp; ');
   show(statsBox);
 }
 
@@ -892,37 +708,34 @@ form.addEventListener('submit', async e => {
   table.innerHTML = '';
   hide(statsBox);
   csvBtn.disabled = true;
+  xlsxBtn.disabled = true;
+
+  // Filters follow the report types the role may view
+  await authReady;
+  await reportTypesReady;
+  FILTER_COLUMNS = new Set(viewableTypes().flatMap(t => t.filterColumns));
 
-  const account = document.getElementById('account').value.trim();
+  const accounts = window.authClient.selectedAccounts(accountSelect);
+  if (!accounts.length) {
+    errorBox.textContent = 'Pick at least one account.';
+    show(errorBox);
+    hide(loadingEl);
+    return;
+  }
   // Cache globally for renderReportTable to use when constructing /api/recordings URLs
-  tenantAccount = account;
-  const start = inputToDubaiIso(document.getElementById('start').value);
-  const end = inputToDubaiIso(document.getElementById('end').value);
+  tenantAccount = accounts[0];
+  // A cross-tenant query is shown in the first account's zone (the server
+  // uses the same one for exports)
+  window.timeZone.use(accounts[0]);
+  setTenantColumn(accounts.length > 1);
+  const start = window.timeZone.inputToIso(document.getElementById('start').value);
+  const end = window.timeZone.inputToIso(document.getElementById('end').value);
 
   try {
-    baseQuery = { account, start, end };
-    const firstParams = { ...baseQuery, limit: SERVER_PAGE_SIZE };
-    // Fetch first page for each endpoint in parallel
-    const [inRes, outRes, campRes, cdrRes] = await Promise.all([
-      axios.get('/api/reports/queueCalls', { params: firstParams }),
-      axios.get('/api/reports/queueOutboundCalls', { params: firstParams }),
-      axios.get('/api/reports/campaignsActivity', { params: firstParams }),
-      axios.get('/api/reports/cdrs', { params: firstParams })
-    ]);
-
-    nextTokens.in = inRes.data.next ?? null;
-    nextTokens.out = outRes.data.next ?? null;
-    nextTokens.camp = campRes.data.next ?? null;
-    nextTokens.cdr = cdrRes.data.next ?? null;
-
-    // Buffer the rows but do **not** reveal yet
-    buffers.in   = (inRes.data.data   || []).map(r => normalizeRow(r, 'in'));
-    buffers.out  = (outRes.data.data  || []).map(r => normalizeRow(r, 'out'));
-    buffers.camp = (campRes.data.data || []).map(r => normalizeRow(r, 'camp'));
-    buffers.cdr  = (cdrRes.data.data  || []).map(r => normalizeRow(r, 'cdr'));
-
-    lastRecords = [];
-    revealNextBatch();
+    accountQuery = accountParams(accounts);
+    baseQuery = { ...accountQuery, start, end, ...serverFilterParams() };
+    nextCursor = null;
+    lastRecords = await fetchCombined({ ...baseQuery, limit: SERVER_PAGE_SIZE });
 
     // Initialize filtered list and UI after first batch
     currentFiltered = [...lastRecords];
@@ -933,6 +746,7 @@ form.addEventListener('submit', async e => {
     renderCurrentPage();
 
     csvBtn.disabled = false;
+    xlsxBtn.disabled = false;
   } catch (err) {
     // Extract meaningful message from server or axios error.
     const respErr = err.response?.data?.error;
@@ -951,37 +765,132 @@ form.addEventListener('submit', async e => {
   }
 });
 
-// Convert current records to CSV and trigger download
-function recordsToCsv(recs) {
-  if (!recs.length) return '';
-  const header = HEADERS.join(',');
-  const rows = recs.map(r => HEADERS.map(h => {
-    let v = r[h] ?? '';
-    // Exclude history columns that hold HTML
-    if (h === 'Agent History' || h === 'Queue History' || h === 'Lead History') {
-      v = '';
-    }
-    if (typeof v === 'object') v = JSON.stringify(v);
-    // Escape double quotes and wrap if value contains comma/newline
-    const s = String(v).replace(/"/g, '""');
-    return s.includes(',') || s.includes('\n') ? `"${s}"` : s;
-  }).join(','));
-  return [header, ...rows].join('\n');
-}
-
-csvBtn.addEventListener('click', () => {
-  const list = (currentFiltered && currentFiltered.length) ? currentFiltered : lastRecords;
-  const csv = recordsToCsv(list);
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
+// Follow a download link; the server answers with Content-Disposition
+function triggerDownload(href) {
   const a = document.createElement('a');
-  a.href = url;
-  a.download = `queue_report_${Date.now()}.csv`;
+  a.href = href;
   a.style.display = 'none';
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+}
+
+// Server-side export of the whole window (every page, not just what is loaded).
+// The server streams the file, so a plain link download keeps memory flat.
+async function downloadExport(format) {
+  if (!can('export:csv') || !accountQuery) return;
+  // Make sure the auth cookie is fresh before the browser follows the link
+  await window.authClient.checkAuth();
+  const qs = new URLSearchParams({ ...baseQuery, format });
+  triggerDownload(`/api/exports/combined?${qs}`);
+}
+
+csvBtn.addEventListener('click', () => downloadExport('csv'));
+xlsxBtn.addEventListener('click', () => downloadExport('xlsx'));
+
+// ---------------- Background export jobs ----------------
+// Very large windows are exported by the server in the background; the panel
+// lists the user's jobs and polls while any of them is still running.
+const jobsPanel = document.getElementById('jobsPanel');
+const jobsTable = document.getElementById('jobsTable');
+const jobsEmpty = document.getElementById('jobsEmpty');
+const jobBtn = document.getElementById('jobBtn');
+const JOB_POLL_MS = 3000;
+let jobPollTimer = null;
+
+function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatEta(sec) {
+  if (sec == null) return '';
+  if (sec < 60) return `${sec}s left`;
+  return `${Math.round(sec / 60)} min left`;
+}
+
+function renderJobs(jobs) {
+  const tbody = jobsTable.querySelector('tbody');
+  tbody.innerHTML = jobs.map(j => {
+    const active = j.status === 'queued' || j.status === 'running';
+    const progress = j.status === 'running' && j.progress != null
+      ? `<progress class="progress is-small is-link mb-0" value="${j.progress}" max="1"></progress> ${formatEta(j.eta)}`
+      : '';
+    const actions = [
+      j.downloadUrl ? `<button class="button is-small is-link is-light" data-download="${j.id}">Download</button>` : '',
+      `<button class="button is-small is-light" data-remove="${j.id}">${active ? 'Cancel' : 'Remove'}</button>`
+    ].join(' ');
+    return `<tr>
+      <td>${isoToLocal(j.createdAt)}</td>
+      <td>${escapeHtml(j.account)}: ${j.start ? isoToLocal(j.start) : ''} → ${j.end ? isoToLocal(j.end) : ''}</td>
+      <td>${escapeHtml(j.format.toUpperCase())}</td>
+      <td title="${escapeHtml(j.error)}">${escapeHtml(j.status)}</td>
+      <td>${j.rows} <span class="has-text-grey">(${j.pages} pages)</span></td>
+      <td>${progress}</td>
+      <td class="has-text-right">${actions}</td>
+    </tr>`;
+  }).join('');
+  jobsTable.classList.toggle('is-hidden', !jobs.length);
+  jobsEmpty.classList.toggle('is-hidden', jobs.length > 0);
+}
+
+async function loadJobs() {
+  clearTimeout(jobPollTimer);
+  try {
+    const { data } = await axios.get('/api/export-jobs');
+    const jobs = data.data || [];
+    renderJobs(jobs);
+    if (jobs.some(j => j.status === 'queued' || j.status === 'running')) {
+      jobPollTimer = setTimeout(loadJobs, JOB_POLL_MS);
+    }
+  } catch (err) {
+    console.error('Failed to load export jobs', err);
+  }
+}
+
+jobBtn.addEventListener('click', async () => {
+  const accounts = window.authClient.selectedAccounts(accountSelect);
+  const startVal = document.getElementById('start').value;
+  const endVal = document.getElementById('end').value;
+  if (!accounts.length || !startVal || !endVal) {
+    errorBox.textContent = 'Pick an account and a date range before starting an export.';
+    show(errorBox);
+    return;
+  }
+  hide(errorBox);
+  jobBtn.classList.add('is-loading');
+  try {
+    await axios.post('/api/export-jobs', {
+      ...(accounts.length > 1 ? { accounts } : { account: accounts[0] }),
+      start: window.timeZone.inputToIso(startVal),
+      end: window.timeZone.inputToIso(endVal),
+      type: 'combined',
+      format: document.getElementById('jobFormat').value
+    });
+    await loadJobs();
+  } catch (err) {
+    errorBox.textContent = err.response?.data?.error || err.message;
+    show(errorBox);
+  } finally {
+    jobBtn.classList.remove('is-loading');
+  }
+});
+
+jobsTable.addEventListener('click', async e => {
+  const downloadBtn = e.target.closest('[data-download]');
+  const removeBtn = e.target.closest('[data-remove]');
+  if (downloadBtn) {
+    await window.authClient.checkAuth();
+    triggerDownload(`/api/export-jobs/${downloadBtn.dataset.download}/download`);
+  } else if (removeBtn) {
+    await axios.delete(`/api/export-jobs/${removeBtn.dataset.remove}`).catch(() => {});
+    loadJobs();
+  }
+});
+
+authReady.then(() => {
+  if (!can('export:csv')) return;
+  show(jobsPanel);
+  loadJobs();
 });
 
 // Build filters immediately on page load so they are visible by default
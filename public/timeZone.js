@@ -0,0 +1,155 @@
+// timeZone.js
+// Time zone handling shared by every page (load right after authClient.js).
+//
+// The server resolves one IANA zone per tenant (the user's own zone, else the
+// tenant's, else the default – see tenantRegistry.js) and returns them from
+// /api/auth/check. Everything a page shows or sends goes through this zone,
+// never the browser's:
+//
+//   • configure(auth, account) – pick the zone after checkAuth()
+//   • inputToIso(val)          – <input type="datetime-local"> value ⇒ UTC ISO,
+//                                DST included
+//   • toInput(date)            – instant ⇒ datetime-local value
+//   • format(v, opts, account) – ISO / epoch / Date ⇒ en-GB text in the zone
+//   • range(name)              – today | yesterday | last_7_days as input values
+// Elements with class "tz-label" show the zone name; a <select class="tz-range">
+// fills its start / end inputs with a range.
+
+(function () {
+  let zone = 'Asia/Dubai';
+  let zones = {};   // tenant ⇒ zone
+  let fallback = zone;
+
+  const formatters = new Map();
+  function partsFormatter(timeZone) {
+    let fmt = formatters.get(timeZone);
+    if (!fmt) {
+      fmt = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+      });
+      formatters.set(timeZone, fmt);
+    }
+    return fmt;
+  }
+
+  // Wall-clock fields of an instant in the current zone
+  function wallClock(date) {
+    const p = {};
+    for (const { type, value } of partsFormatter(zone).formatToParts(date)) p[type] = Number(value);
+    return p;
+  }
+
+  // Zone offset from UTC at an instant, in ms
+  function offsetAt(ms) {
+    const p = wallClock(new Date(ms));
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+  }
+
+  // Wall-clock time in the zone ⇒ epoch ms (same two-step lookup as
+  // zonedTime() in timeZones.js on the server)
+  function wallToEpoch(year, month, day, hour = 0, minute = 0) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = offsetAt(wall);
+    const guess = wall - offset;
+    const guessOffset = offsetAt(guess);
+    if (guessOffset === offset) return guess;
+    const alt = wall - guessOffset;
+    if (offsetAt(alt) === guessOffset) return alt;
+    return Math.max(guess, alt);
+  }
+
+  const pad = n => String(n).padStart(2, '0');
+
+  /**
+   * Use the zone the server resolved for `account`.
+   *
+   * @param {object} auth – /api/auth/check payload.
+   * @param {string} [account]
+   */
+  function configure(auth, account) {
+    zones = auth?.timeZones || {};
+    fallback = auth?.timeZone || fallback;
+    use(account);
+  }
+
+  /**
+   * Switch to the zone of another account (e.g. after the account changed).
+   *
+   * @param {string} [account]
+   */
+  function use(account) {
+    zone = (account && zones[account]) || fallback;
+    document.querySelectorAll('.tz-label').forEach(el => { el.textContent = zone; });
+  }
+
+  /**
+   * @param {string} val – "YYYY-MM-DDTHH:MM" on the zone's wall clock.
+   * @returns {string} ISO-8601 UTC, '' for an empty value
+   */
+  function inputToIso(val) {
+    if (!val) return '';
+    const [datePart, timePart = '00:00'] = val.split('T');
+    const [year, month, day] = datePart.split('-').map(Number);
+    const [hour, minute] = timePart.split(':').map(Number);
+    return new Date(wallToEpoch(year, month, day, hour, minute)).toISOString();
+  }
+
+  /**
+   * @param {Date|number} date
+   * @returns {string} "YYYY-MM-DDTHH:MM" on the zone's wall clock
+   */
+  function toInput(date) {
+    const p = wallClock(new Date(date));
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+  }
+
+  /**
+   * @param {string|number|Date} v
+   * @param {object} [opts] – extra Intl options (e.g. { hour: '2-digit' }).
+   * @param {string} [account] – format in this account's zone instead (lists
+   *                 mixing tenants, e.g. alert events).
+   * @returns {string} '' for empty values
+   */
+  function format(v, opts, account) {
+    if (v === null || v === undefined || v === '') return '';
+    const timeZone = account ? zones[account] || fallback : zone;
+    return new Date(v).toLocaleString('en-GB', { ...opts, timeZone });
+  }
+
+  /**
+   * Relative window as datetime-local values; end is now for today.
+   *
+   * @param {'today'|'yesterday'|'last_7_days'} name
+   * @returns {{start:string, end:string}}
+   */
+  function range(name) {
+    const now = Date.now();
+    const today = wallClock(new Date(now));
+    const day = offset => new Date(Date.UTC(today.year, today.month - 1, today.day + offset)).toISOString().slice(0, 10);
+    switch (name) {
+      case 'yesterday':
+        return { start: `${day(-1)}T00:00`, end: `${day(-1)}T23:59` };
+      case 'last_7_days':
+        return { start: `${day(-7)}T00:00`, end: `${day(-1)}T23:59` };
+      default:
+        return { start: `${day(0)}T00:00`, end: toInput(now) };
+    }
+  }
+
+  // <select class="tz-range" data-start="<input id>" data-end="<input id>">
+  // fills the two inputs with the chosen range
+  document.addEventListener('change', e => {
+    const select = e.target.closest('select.tz-range');
+    if (!select || !select.value) return;
+    const { start, end } = range(select.value);
+    for (const [id, value] of [[select.dataset.start, start], [select.dataset.end, end]]) {
+      const input = document.getElementById(id);
+      input.value = value;
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  });
+
+  window.timeZone = { configure, use, inputToIso, toInput, format, range, current: () => zone };
+})();
@@ -0,0 +1,185 @@
+// wallboard.js
+// Live wallboard: reads the Server-Sent Events stream from
+// GET /api/wallboard/stream, applies snapshot / delta messages to the local
+// board and re-renders. Waiting times and agent state durations tick locally
+// every second between messages.
+//
+// The stream is read with fetch() rather than EventSource so the bearer-token
+// fallback from authClient.js is sent too; a 401 refreshes the session once
+// before reconnecting.
+
+/* global axios */
+const ACCOUNT = new URLSearchParams(window.location.search).get('account') || 'spc';
+const RECONNECT_DELAY = 5000;
+const WAIT_WARN = 60;     // seconds – longest-wait tile turns yellow, then red
+const WAIT_ALERT = 120;
+const STATE_LABELS = { available: 'Available', onCall: 'On call', paused: 'Paused', offline: 'Offline' };
+
+const errorBox = document.getElementById('errorBox');
+const conn = document.getElementById('conn');
+const connText = document.getElementById('connText');
+
+let board = null;   // { at, error, totals, queues, agents }
+
+function esc(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Seconds since an ISO timestamp, formatted M:SS or H:MM:SS
+function elapsed(iso) {
+  if (!iso) return '–';
+  const total = Math.max(0, Math.floor((Date.now() - Date.parse(iso)) / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function setConnection(state, text) {
+  conn.classList.toggle('live', state === 'live');
+  conn.classList.toggle('down', state === 'down');
+  connText.textContent = text;
+}
+
+// ---------------- Board state ----------------
+function applyDelta(delta) {
+  board.at = delta.at;
+  if ('totals' in delta) board.totals = delta.totals;
+  if ('error' in delta) board.error = delta.error;
+  for (const key of ['queues', 'agents']) {
+    for (const [k, v] of Object.entries(delta[key] || {})) {
+      if (v === null) delete board[key][k];
+      else board[key][k] = v;
+    }
+  }
+}
+
+function renderClock() {
+  if (!board) return;
+  const waitSec = board.totals.oldestWaitingSince ? (Date.now() - Date.parse(board.totals.oldestWaitingSince)) / 1000 : 0;
+  document.getElementById('longestWait').textContent = board.totals.oldestWaitingSince ? elapsed(board.totals.oldestWaitingSince) : '0:00';
+  const tile = document.getElementById('tileLongest');
+  tile.classList.toggle('warn', waitSec >= WAIT_WARN && waitSec < WAIT_ALERT);
+  tile.classList.toggle('alert', waitSec >= WAIT_ALERT);
+  document.querySelectorAll('[data-since]').forEach(el => { el.textContent = elapsed(el.dataset.since); });
+}
+
+function render() {
+  if (!board) return;
+  const { totals } = board;
+  for (const id of ['waiting', 'available', 'onCall', 'paused', 'answered', 'abandoned']) {
+    document.getElementById(id).textContent = totals[id];
+  }
+  document.getElementById('tileWaiting').classList.toggle('alert', totals.waiting > 0 && totals.available === 0);
+
+  document.getElementById('queueRows').innerHTML = Object.values(board.queues)
+    .sort((a, b) => b.waiting - a.waiting || a.queue.localeCompare(b.queue))
+    .map(q => `<tr>
+      <td>${esc(q.queue)}</td>
+      <td class="num">${q.waiting}</td>
+      <td class="num">${q.oldestWaitingSince ? `<span data-since="${esc(q.oldestWaitingSince)}"></span>` : '–'}</td>
+      <td class="num">${q.offered}</td>
+      <td class="num">${q.answered}</td>
+      <td class="num">${q.abandoned}</td>
+    </tr>`).join('');
+
+  const order = ['onCall', 'available', 'paused', 'offline'];
+  document.getElementById('agentTiles').innerHTML = Object.values(board.agents)
+    .sort((a, b) => order.indexOf(a.state) - order.indexOf(b.state) || a.extension.localeCompare(b.extension, undefined, { numeric: true }))
+    .map(a => `<div class="agent ${esc(a.state)}">
+      <div class="name">${esc(a.name || a.extension)}</div>
+      <div class="meta">${esc(a.extension)} · ${STATE_LABELS[a.state] || esc(a.state)}${a.since ? ` · <span data-since="${esc(a.since)}"></span>` : ''}</div>
+    </div>`).join('');
+
+  if (board.error) {
+    errorBox.textContent = `Upstream problem, showing last known state: ${board.error}`;
+    errorBox.classList.remove('is-hidden');
+  } else {
+    errorBox.classList.add('is-hidden');
+  }
+  renderClock();
+}
+
+function handleMessage(event, data) {
+  if (event === 'snapshot') {
+    board = data;
+  } else if (event === 'delta' && board) {
+    applyDelta(data);
+  } else {
+    return;
+  }
+  render();
+  setConnection('live', `Live · ${window.timeZone.format(board.at, { hour: '2-digit', minute: '2-digit', second: '2-digit' })}`);
+}
+
+// ---------------- Stream ----------------
+// Parse text/event-stream blocks ("event: x\ndata: {...}\n\n"); comment lines are keep-alives
+function parseBlock(block) {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  }
+  if (data.length) handleMessage(event, JSON.parse(data.join('\n')));
+}
+
+async function connect() {
+  const headers = {};
+  const auth = axios.defaults.headers.common['Authorization'];
+  if (auth) headers.Authorization = auth;
+
+  const res = await fetch(`/api/wallboard/stream?account=${encodeURIComponent(ACCOUNT)}`, { headers, credentials: 'same-origin' });
+  if (res.status === 401) {
+    if (await window.authClient.refreshSession()) return 'refreshed';   // reconnect with the new token
+    window.location.href = '/login.html';
+    return new Promise(() => {});
+  }
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || `HTTP ${res.status}`);
+  }
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    let idx;
+    while ((idx = buffer.indexOf('\n\n')) !== -1) {
+      parseBlock(buffer.slice(0, idx));
+      buffer = buffer.slice(idx + 2);
+    }
+  }
+}
+
+async function run() {
+  for (;;) {
+    try {
+      if (await connect() === 'refreshed') continue;
+      setConnection('down', 'Reconnecting…');
+    } catch (err) {
+      setConnection('down', `Disconnected: ${err.message}`);
+    }
+    await new Promise(r => setTimeout(r, RECONNECT_DELAY));
+  }
+}
+
+document.getElementById('fullscreenBtn').addEventListener('click', () => {
+  if (document.fullscreenElement) document.exitFullscreen();
+  else document.documentElement.requestFullscreen().catch(() => {});
+});
+
+setInterval(renderClock, 1000);
+
+window.authClient.checkAuth().then(auth => {
+  if (!auth.authenticated) {
+    window.location.href = '/login.html';
+  } else if (!(auth.permissions || []).includes('wallboard:view')) {
+    window.location.href = '/index.html';
+  } else {
+    window.timeZone.configure(auth, ACCOUNT);
+    run();
+  }
+}).catch(() => {});
@@ -1,54 +1,73 @@
 // reportFetcher.js
 // Generic report fetcher for call-center portal tables.
-// Supports the following endpoints:
-//   – /portal/reports/cdrs                         (CDRs)
-//   – /portal/callcenter/reports/queues-calls      (Queue Calls)
-//   – /portal/callcenter/reports/queues-outbound-calls (Queue Outbound Calls)
-//   – /portal/callcenter/reports/campaigns-activity    (Campaigns Activity)
+// Endpoints, requested fields and per-type post-processing come from the
+// report definitions in reportTypes/ (queue calls, outbound queue calls,
+// campaign activity, CDRs).
 //
 // Like agentStatus.js this module handles:
-//   • Portal authentication via tokenService.getPortalToken
+//   • Portal authentication via tokenService.withPortalToken (one retry with
+//     a renewed token on 401)
 //   – Automatic pagination via next_start_key when provided
 //   • Exponential-backoff retry logic (up to 3 attempts)
 //   • Optional CSV serialization helper
+//   • onRowsFetched() hook so other modules can observe fresh upstream pages
 //   • A minimal CLI for ad-hoc usage
 
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
-import { getPortalToken, httpsAgent } from './tokenService.js';
+import { withPortalToken } from './tokenService.js';
+import { getUpstream } from './tenantRegistry.js';
 import { parsePhoneNumber, getCountries } from 'libphonenumber-js';
 import ms from 'ms';
+import { REPORT_TYPE_KEYS, getReportType } from './reportTypes/index.js';
 
 const MAX_RETRIES = 3;
 
-const ENDPOINTS = {
-  // Raw CDRs
-  cdrs: '/api/v2/reports/cdrs',
-
-  // Queue-specific CDR summaries
-  queueCalls: '/api/v2/reports/queues_cdrs',                 // inbound queues
-  queueOutboundCalls: '/api/v2/reports/queues_outbound_cdrs', // outbound queues
-
-  // Campaign dialer lead activity
-  campaignsActivity: '/api/v2/reports/campaigns/leads/history'
-};
-
 // Simple in-memory cache (per Node process). In production replace with Redis.
 const CACHE_TTL = ms('5m');          // 5 minutes
-const reportCache = new Map();       // Map<cacheKey,{expires:number,data:object[]}>
+const reportCache = new Map();       // Map<cacheKey,{expires:number,rows:object[],next:string|null}>
 
-// Generate a unique key from report + tenant + window params.
+// Generate a unique key from report + tenant + window + page params.
+// start_key / maxRows and any upstream filters are part of the key so each
+// page is cached separately.
 function makeCacheKey(report, tenant, params) {
-  const { startDate = '', endDate = '' } = params || {};
-  return `${report}|${tenant}|${startDate}|${endDate}`;
+  const { startDate = '', endDate = '', start_key = '', maxRows = '', ...rest } = params || {};
+  const extra = Object.keys(rest).sort().map(k => `${k}=${rest[k]}`).join('&');
+  return `${report}|${tenant}|${startDate}|${endDate}|${start_key}|${maxRows}|${extra}`;
+}
+
+// Observers of every page fetched from upstream (cache hits excluded), e.g.
+// webhooks.js turning new call records into outbound events.
+const rowListeners = new Set();
+
+/**
+ * Register a listener called with (report, tenant, rows) after each upstream
+ * fetch. Listeners must not block or mutate the rows.
+ *
+ * @param {function(string, string, object[]):void} listener
+ * @returns {function():void} unsubscribe
+ */
+export function onRowsFetched(listener) {
+  rowListeners.add(listener);
+  return () => rowListeners.delete(listener);
+}
+
+function emitRows(report, tenant, rows) {
+  for (const listener of rowListeners) {
+    try {
+      listener(report, tenant, rows);
+    } catch (err) {
+      console.error(`❌ Row listener failed for ${report}:`, err.message);
+    }
+  }
 }
 
 /**
  * Convert an array of plain objects to a CSV string.
  * Borrowed from agentStatus.js to avoid new deps.
  */
-function toCsv(records, delimiter = ',') {
+export function toCsv(records, delimiter = ',') {
   if (!records.length) return '';
   const header = Object.keys(records[0]).join(delimiter);
   const rows = records.map(r =>
@@ -298,25 +317,31 @@ function extractCountryFromPhoneNumber(phoneNumber) {
 /**
  * Generic report fetcher with pagination + retries.
  *
- * @param {string} report   – one of keys in ENDPOINTS.
+ * @param {string} report   – report type key (see reportTypes/index.js).
  * @param {string} tenant   – domain / account id.
  * @param {object} params   – query params (startDate/endDate etc).
- * @returns {Promise<object[]>}
+ * @param {object} [options]
+ * @param {boolean} [options.cache=true] – use / fill reportCache. Bulk
+ *                  consumers (exports) pass false so pages are not kept in memory.
+ * @returns {Promise<{rows:object[], next:string|null}>} next – upstream paging
+ *          token (`start_key`) of the following page, null on the last one
  */
-export async function fetchReport(report, tenant, params = {}) {
-  if (!ENDPOINTS[report]) throw new Error(`Unknown report type: ${report}`);
+export async function fetchReport(report, tenant, params = {}, { cache = true } = {}) {
+  const def = getReportType(report);
+  if (!def) throw new Error(`Unknown report type: ${report}`);
 
   // ---------------- Cache lookup ----------------
   const cacheKey = makeCacheKey(report, tenant, params);
-  const cached = reportCache.get(cacheKey);
+  const cached = cache && reportCache.get(cacheKey);
   if (cached && Date.now() < cached.expires) {
-    // Return a shallow copy so callers can mutate safely
-    return Array.isArray(cached.data) ? [...cached.data] : cached.data;
+    // Return a shallow copy so callers can mutate safely; the paging token is
+    // cached with the rows so a repeated page can still be continued
+    return { rows: [...cached.rows], next: cached.next };
   }
   // ------------------------------------------------
 
-  const url = `${process.env.BASE_URL}${ENDPOINTS[report]}`;
-  let token;
+  const upstream = await getUpstream(tenant);
+  const url = `${upstream.baseUrl}${def.endpoint}`;
   const out = [];
   let startKey;
   let nextStartKey = null;
@@ -327,149 +352,20 @@ export async function fetchReport(report, tenant, params = {}) {
       while (true) {
         const qs = {
           ...params,
-          // Request full set of columns for queue reports so duration, abandon etc. are returned
-          ...(report === 'queueOutboundCalls' && {
-            fields: [
-              'called_time',
-              'agent_name',
-              'agent_ext',
-              'destination',
-              'answered_time',
-              'hangup_time',
-              'wait_duration',
-              'talked_duration',
-              'queue_name',
-              'queue_history',
-              'agent_history',
-              'agent_hangup',
-              'call_id',
-              'bleg_call_id',
-              'event_timestamp',
-              'agent_first_name',
-              'agent_last_name',
-              'agent_extension',
-              'agent_email',
-              'agent_talk_time',
-              'agent_connect_time',
-              'agent_action',
-              'agent_transfer',
-              'csat',
-              'media_recording_id',
-              'recording_filename',
-              'caller_id_name',
-              'caller_id_number',
-              'a_leg',
-              'interaction_id',
-              'agent_disposition',
-              'agent_subdisposition'
-            ].join(',')
-          }),
-          // Same for inbound queue calls (queues_cdrs) so we get talked_duration & abandoned columns
-          ...(report === 'queueCalls' && {
-            fields: [
-              'called_time',
-              'caller_id_number',
-              'caller_id_name',
-              'answered_time',
-              'hangup_time',
-              'wait_duration',
-              'talked_duration',
-              'queue_name',
-              'abandoned',
-              'queue_history',
-              'agent_history',
-              'agent_attempts',
-              'agent_hangup',
-              'call_id',
-              'bleg_call_id',
-              'event_timestamp',
-              'agent_first_name',
-              'agent_last_name',
-              'agent_extension',
-              'agent_email',
-              'agent_talk_time',
-              'agent_connect_time',
-              'agent_action',
-              'agent_transfer',
-              'csat',
-              'media_recording_id',
-              'recording_filename',
-              'callee_id_number',
-              'a_leg',
-              'interaction_id',
-              'agent_disposition',
-              'agent_subdisposition'
-            ].join(',')
-          }),
-          // Request all relevant columns for campaign activity
-          ...(report === 'campaignsActivity' && {
-            fields: [
-              'datetime',
-              'timestamp',
-              'campaign_name',
-              'campaign_type',
-              'lead_name',
-              'lead_first_name',
-              'lead_last_name',
-              'lead_number',
-              'lead_ticket_id',
-              'lead_type',
-              'agent_name',
-              'agent_extension',
-              'agent_talk_time',
-              'lead_history',
-              'call_id',
-              'campaign_timestamps',
-              'media_recording_id',
-              'recording_filename',
-              'status',
-              'customer_wait_time_sla',
-              'customer_wait_time_over_sla',
-              'disposition',
-              'hangup_cause',
-              'lead_disposition',
-              'agent_subdisposition',
-              'answered_time'
-            ].join(',')
-          }),
-          // Same for CDRS calls (cdrs) so we get talked_duration & abandoned columns
-          ...(report === 'cdrs' && {
-            fields: [
-              'call_id',
-              'datetime',
-              'timestamp',
-              'caller_id_name',
-              'caller_id_number',
-              'callee_id_name',
-              'callee_id_number',
-              'to',
-              'from',
-              'duration_seconds',
-              'billing_seconds',
-              'ringing_seconds',
-              'hangup_cause',
-              'media_recording_id',
-              'recording_filename',
-              'a_leg',
-              'interaction_id',
-              'answered_time',
-            ].join(',')
-          }),
+          fields: def.fields.join(','),
           ...(startKey && { start_key: startKey })
         };
 
         // Acquire/refresh token for every loop iteration (cheap due to cache)
-        token = await getPortalToken(tenant);
-
-        const resp = await axios.get(url, {
+        const resp = await withPortalToken(tenant, token => axios.get(url, {
           params: qs,
           headers: {
             Authorization: `Bearer ${token}`,
             'X-User-Agent': 'portal',
-            'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? tenant
+            'X-Account-ID': upstream.accountHeader
           },
-          httpsAgent
-        });
+          httpsAgent: upstream.httpsAgent
+        }));
 
         const payload = resp.data;
 
@@ -520,142 +416,21 @@ export async function fetchReport(report, tenant, params = {}) {
   }
 
   // ---------------------------------------------------------------------------
-  // Post-processing helpers
-  // Add Extension column logic for all report types
-  out.forEach(record => {
-    let extension = '';
-    
-    if (report === 'campaignsActivity') {
-      // For Campaign: use agent_extension from main JSON response
-      extension = record.agent_extension || '';
-    } else if (report === 'queueCalls' || report === 'queueOutboundCalls') {
-      // For Inbound/Outbound: get ext from first agent_history record
-      if (Array.isArray(record.agent_history) && record.agent_history.length > 0) {
-        const firstAgentHistory = record.agent_history[0];
-        extension = firstAgentHistory.ext || '';
-      }
-    } else if (report === 'cdrs') {
-      // For CDRs: leave blank
-      extension = '';
-    }
-    
-    // Add Extension column to the record
-    record.Extension = extension;
-  });
-
-  // Add Country column logic for all report types
+  // Post-processing: Extension / Country columns, then the type's own steps
   out.forEach(record => {
-    let country = '';
-    
-    if (report === 'campaignsActivity') {
-      // For Campaign: use lead_number from main JSON response
-      country = extractCountryFromPhoneNumber(record.lead_number) || '';
-    } else if (report === 'queueCalls') {
-      // For Inbound calls: get country from caller_id_number (the person calling in)
-      country = extractCountryFromPhoneNumber(record.caller_id_number) || '';
-    } else if (report === 'queueOutboundCalls') {
-      // For Outbound calls: get country from 'to' field (the person being called)
-      console.log(`DEBUG: Outbound call - to: "${record.to}"`);
-      console.log(`DEBUG: Outbound call - destination: "${record.destination}"`);
-      console.log(`DEBUG: Outbound call - callee_id_number: "${record.callee_id_number}"`);
-      console.log(`DEBUG: Record keys:`, Object.keys(record));
-      
-      // Try 'to' field first, then fallback to destination or callee_id_number
-      const phoneNumber = record.to || record.destination || record.callee_id_number;
-      console.log(`DEBUG: Using phone number: "${phoneNumber}"`);
-      
-      country = extractCountryFromPhoneNumber(phoneNumber) || '';
-      console.log(`DEBUG: Extracted country: "${country}"`);
-    } else if (report === 'cdrs') {
-      // For CDRs: get country from caller_id_number or callee_id_number
-      country = extractCountryFromPhoneNumber(record.caller_id_number) || extractCountryFromPhoneNumber(record.callee_id_number) || '';
+    record.Extension = def.extension(record);
+    record.Country = '';
+    for (const number of def.countryNumbers(record)) {
+      record.Country = extractCountryFromPhoneNumber(number);
+      if (record.Country) break;
     }
-    
-    // Add Country column to the record
-    record.Country = country;
   });
+  const rows = def.postProcess.reduce((acc, step) => step(acc), out);
 
-  if (report === 'queueCalls' || report === 'queueOutboundCalls') {
-    // Derive durations if the backend omitted them (older Talkdesk tenants)
-    out.forEach(record => {
-      // Talked duration
-      if (!record.talked_duration && record.hangup_time && record.answered_time) {
-        record.talked_duration = record.hangup_time - record.answered_time;
-      }
-      // Wait / queue duration
-      if (!record.wait_duration && record.called_time) {
-        if (record.answered_time) {
-          record.wait_duration = record.answered_time - record.called_time;
-        } else if (record.hangup_time) {
-          record.wait_duration = record.hangup_time - record.called_time;
-        }
-      }
-    });
-  }
-
-  // For inbound queue reports Talkdesk returns one row per agent leg.
-  // When the consumer only needs a single row per call we keep the *first*
-  // occurrence for each call_id (usually the initial `dial` leg) and drop the rest.
-  if (report === 'queueCalls') {
-    const seen = new Set();
-    const firstRows = [];
-    for (const rec of out) {
-      // If the row is missing a call_id we cannot group it – keep it.
-      if (!rec.call_id) {
-        firstRows.push(rec);
-        continue;
-      }
-      if (!seen.has(rec.call_id)) {
-        seen.add(rec.call_id);
-        firstRows.push(rec);
-      }
-    }
-
-    // Derive `abandoned` flag when Talkdesk omits it
-    // Business rule: if agent_history missing/empty, OR
-    //                answered_time is falsy (not set), OR
-    //                all agent_history entries lack answered_time
-    firstRows.forEach(r => {
-      const hist = r.agent_history;
-      const histMissing =
-        hist == null ||
-        (Array.isArray(hist) && hist.length === 0) ||
-        // Handle cases where API returns array with empty objects [{}]
-        (Array.isArray(hist) && hist.every(h => h && Object.keys(h).length === 0));
-
-      let histNoAnswer = false;
-      if (Array.isArray(hist) && hist.length > 0) {
-        histNoAnswer = hist.every(h => !h?.answered_time && !h?.agent_action?.includes("transfer"));
-      }
-
-      const isAbandoned = histMissing || !r.answered_time || histNoAnswer;
-
-      // Always override to ensure consistency
-      r.abandoned = isAbandoned ? "YES" : "NO";
-    });
-
-    // Cache result BEFORE returning
-    reportCache.set(cacheKey, { expires: Date.now() + CACHE_TTL, data: firstRows });
-    return { rows: firstRows, next: nextStartKey };
-  }
-
-  // For outbound queue reports the API returns one row but embeds full
-  // queue history as an array.  Keep only the first queue_history element
-  // (oldest) while leaving the full agent_history intact.
-  if (report === 'queueOutboundCalls') {
-    out.forEach(rec => {
-      if (Array.isArray(rec.queue_history) && rec.queue_history.length > 1) {
-        rec.queue_history = [rec.queue_history[0]];
-      }
-    });
-    // Cache result BEFORE returning
-    reportCache.set(cacheKey, { expires: Date.now() + CACHE_TTL, data: out });
-    return { rows: out, next: nextStartKey };
-  }
-
+  emitRows(report, tenant, rows);
   // Cache result BEFORE returning
-  reportCache.set(cacheKey, { expires: Date.now() + CACHE_TTL, data: out });
-  return { rows: out, next: nextStartKey };
+  if (cache) reportCache.set(cacheKey, { expires: Date.now() + CACHE_TTL, rows, next: nextStartKey });
+  return { rows, next: nextStartKey };
 }
 
 // Convenience wrappers
@@ -671,7 +446,7 @@ async function cli() {
   const [,, report, tenant, startIso, endIso, outFile] = process.argv;
   if (!report || !tenant) {
     console.error('Usage: node -r dotenv/config reportFetcher.js <report> <tenant> [startISO] [endISO] [outfile.{csv|json}]');
-    console.error(`report = ${Object.keys(ENDPOINTS).join(' | ')}`);
+    console.error(`report = ${REPORT_TYPE_KEYS.join(' | ')}`);
     process.exit(1);
   }
   const params = {};
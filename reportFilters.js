@@ -0,0 +1,190 @@
+// reportFilters.js
+// Filter and sort parameters shared by /api/reports/:type and
+// /api/reports/combined (combined.js).
+//
+//   callerNumber, calleeNumber, queue, agent, extension, disposition,
+//   country  – "contains any of" (comma separated), case-insensitive,
+//              punctuation ignored so "+971 50" finds "0097150…"
+//   abandoned – yes | no
+//   type      – Type labels or report keys, comma separated
+//   sort      – one of SORT_FIELDS (default calledTime), order=asc|desc (default desc)
+//
+// A report definition may list `upstreamFilters` (filter ⇒ upstream query
+// param). A single value for one of those is sent upstream, which narrows the
+// pages before they reach us and matches by its own rules (the whole value);
+// the record filter is not applied to it again. Lists, the other filters and
+// warehouse reads are matched here on the normalized record (normalize.js).
+
+import { toDate } from './normalize.js';
+import { REPORT_TYPES } from './reportTypes/index.js';
+
+// filter param ⇒ unified columns it searches
+export const FILTER_PARAMS = {
+  callerNumber: ['Caller ID Number'],
+  calleeNumber: ['Callee ID / Lead number'],
+  queue: ['Queue / Campaign Name'],
+  agent: ['Agent name'],
+  extension: ['Extension'],
+  disposition: ['Agent Disposition', 'Disposition'],
+  abandoned: ['Abandoned'],
+  country: ['Country'],
+  type: ['Type']
+};
+
+// sort param ⇒ unified column
+export const SORT_FIELDS = {
+  calledTime: 'Called Time',
+  answeredTime: 'Answered time',
+  hangupTime: 'Hangup time',
+  waitDuration: 'Wait Duration',
+  talkDuration: 'Talk Duration',
+  callId: 'Call ID',
+  callerNumber: 'Caller ID Number',
+  calleeNumber: 'Callee ID / Lead number',
+  queue: 'Queue / Campaign Name',
+  agent: 'Agent name',
+  extension: 'Extension',
+  disposition: 'Agent Disposition',
+  country: 'Country',
+  type: 'Type',
+  tenant: 'Tenant'
+};
+
+const TIME_COLUMNS = new Set(['Called Time', 'Answered time', 'Hangup time']);
+const DURATION_COLUMNS = new Set(['Wait Duration', 'Talk Duration']);
+
+export class ReportQueryError extends Error {}
+
+/**
+ * Whether a query string asks for any filter or sort.
+ *
+ * @param {object} query – req.query.
+ * @returns {boolean}
+ */
+export function hasReportQuery(query) {
+  return ['sort', 'order', ...Object.keys(FILTER_PARAMS)].some(p => query[p]);
+}
+
+const squash = s => String(s ?? '').toLowerCase().replace(/[^0-9a-z]/g, '');
+
+/**
+ * Read filter / sort params from a query string.
+ *
+ * @param {object} query – req.query.
+ * @returns {{filters:object, sort:{field:string, column:string, order:'asc'|'desc'}, custom:boolean}}
+ *          `filters` maps param ⇒ values; `custom` is false for the natural
+ *          order (Called Time, newest first).
+ * @throws {ReportQueryError}
+ */
+export function parseReportQuery(query) {
+  const filters = {};
+  for (const param of Object.keys(FILTER_PARAMS)) {
+    const values = String(query[param] ?? '').split(',').map(v => v.trim()).filter(Boolean);
+    if (values.length) filters[param] = values;
+  }
+  if (filters.abandoned) {
+    filters.abandoned = filters.abandoned.map(v => v.toUpperCase());
+    if (filters.abandoned.some(v => v !== 'YES' && v !== 'NO')) {
+      throw new ReportQueryError('abandoned must be yes or no');
+    }
+  }
+  if (filters.type) {
+    // Accept report keys as well as labels
+    filters.type = filters.type.map(v => REPORT_TYPES.find(t => t.key === v)?.label ?? v);
+    const unknown = filters.type.filter(v => !REPORT_TYPES.some(t => t.label.toLowerCase() === v.toLowerCase()));
+    if (unknown.length) throw new ReportQueryError(`Unknown type: ${unknown.join(', ')}`);
+  }
+
+  const field = query.sort || 'calledTime';
+  if (!SORT_FIELDS[field]) {
+    throw new ReportQueryError(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  const order = String(query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') throw new ReportQueryError('order must be asc or desc');
+
+  return {
+    filters,
+    sort: { field, column: SORT_FIELDS[field], order },
+    custom: field !== 'calledTime' || order !== 'desc'
+  };
+}
+
+/**
+ * Whether a report type can produce rows at all under a `type` filter.
+ *
+ * @param {object} def – report definition.
+ * @param {object} filters – from parseReportQuery().
+ * @returns {boolean}
+ */
+export function typeMatches(def, filters) {
+  return !filters.type || filters.type.some(v => v.toLowerCase() === def.label.toLowerCase());
+}
+
+/**
+ * Split filters into upstream query params and the ones left to the record
+ * filter. Only single-valued filters the definition lists are passed on.
+ *
+ * @param {object} def – report definition.
+ * @param {object} filters – from parseReportQuery().
+ * @returns {{upstream:object, local:object}} `upstream` maps upstream param ⇒
+ *          value; `local` is a filters object for makeRecordMatcher().
+ */
+export function splitFilters(def, filters) {
+  const upstream = {};
+  const local = { ...filters };
+  for (const [param, name] of Object.entries(def.upstreamFilters || {})) {
+    if (filters[param]?.length !== 1) continue;
+    upstream[name] = filters[param][0];
+    delete local[param];
+  }
+  return { upstream, local };
+}
+
+/**
+ * Build a predicate over normalized records; every filter must match.
+ *
+ * @param {object} filters – from parseReportQuery().
+ * @returns {function(object):boolean}
+ */
+export function makeRecordMatcher(filters) {
+  const entries = Object.entries(filters);
+  if (!entries.length) return () => true;
+  return rec => entries.every(([param, values]) => {
+    const cells = FILTER_PARAMS[param].map(col => rec[col]);
+    if (param === 'abandoned' || param === 'type') {
+      return cells.some(c => values.some(v => String(c ?? '').toLowerCase() === v.toLowerCase()));
+    }
+    return cells.some(c => {
+      const cell = squash(c);
+      return cell && values.some(v => cell.includes(squash(v)));
+    });
+  });
+}
+
+// Sort key of one cell: epoch ms for times, seconds for durations, else text
+function sortValue(column, v) {
+  if (TIME_COLUMNS.has(column)) return toDate(v)?.getTime() ?? null;
+  if (DURATION_COLUMNS.has(column)) {
+    const n = Number(v);
+    return v === '' || v == null || Number.isNaN(n) ? null : n;
+  }
+  return v == null || v === '' ? null : String(v).toLowerCase();
+}
+
+/**
+ * Comparator for normalized records; empty values sort last either way.
+ *
+ * @param {{column:string, order:'asc'|'desc'}} sort
+ * @returns {function(object, object):number}
+ */
+export function compareRecords({ column, order }) {
+  const dir = order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const va = sortValue(column, a[column]);
+    const vb = sortValue(column, b[column]);
+    if (va === vb) return 0;
+    if (va === null) return 1;
+    if (vb === null) return -1;
+    return (va < vb ? -1 : 1) * dir;
+  };
+}
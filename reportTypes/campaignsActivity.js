@@ -0,0 +1,84 @@
+// reportTypes/campaignsActivity.js
+// Campaign dialer lead activity (campaigns/leads/history).
+
+import { subDispositions } from './helpers.js';
+
+export default {
+  key: 'campaignsActivity',
+  source: 'camp',
+  label: 'Campaign',
+  endpoint: '/api/v2/reports/campaigns/leads/history',
+  fields: [
+    'datetime',
+    'timestamp',
+    'campaign_name',
+    'campaign_type',
+    'lead_name',
+    'lead_first_name',
+    'lead_last_name',
+    'lead_number',
+    'lead_ticket_id',
+    'lead_type',
+    'agent_name',
+    'agent_extension',
+    'agent_talk_time',
+    'lead_history',
+    'call_id',
+    'campaign_timestamps',
+    'media_recording_id',
+    'recording_filename',
+    'status',
+    'customer_wait_time_sla',
+    'customer_wait_time_over_sla',
+    'disposition',
+    'hangup_cause',
+    'lead_disposition',
+    'agent_subdisposition',
+    'answered_time'
+  ],
+  roles: ['admin', 'supervisor', 'viewer'],
+  scope: { list: 'campaigns', field: 'campaign_name' },
+  calledAt: row => row.timestamp ?? row.datetime,
+  extension: row => row.agent_extension || '',
+  countryNumbers: row => [row.lead_number],
+  postProcess: [],
+
+  normalize(row, fmt) {
+    const [sub1, sub2] = subDispositions(row);
+    return {
+      'Type': 'Campaign',
+      'Call ID': row.call_id ?? row.callid ?? '',
+      'Queue / Campaign Name': row.campaign_name ?? '',
+      'Campaign Type': row.campaign_type ?? '',
+      'Caller ID / Lead Name': row.lead_name ?? '',
+      'Callee ID / Lead number': row.lead_number ?? '',
+      'Agent name': row.agent_name ?? '',
+      'Caller ID Number': row.agent_extension ?? '',
+      'Talk Duration': row.agent_talk_time ?? '',
+      'Agent Disposition': row.agent_disposition ?? '',
+      'Sub_disp_1': sub1,
+      'Sub_disp_2': sub2,
+      'Agent History': fmt.join([fmt.agentHistory(row.agent_history), fmt.leadHistory(row.lead_history)]),
+      'Queue History': '',
+      'Called Time': row.timestamp ?? row.datetime ?? '',
+      'Answered time': '',
+      'Hangup time': '',
+      'Wait Duration': '',
+      'Recording': row.media_recording_id ?? row.recording_filename ?? '',
+      'Status': row.status ?? '',
+      'Disposition': row.disposition ?? '',
+      'Lead disposition': row.lead_disposition ?? '',
+      'Abandoned': '',
+      'Extension': row.agent_extension ?? '',
+      'Country': row.Country ?? ''
+    };
+  },
+
+  // Filters (reportFilters.js) the upstream accepts as query params
+  upstreamFilters: { queue: 'campaign_name', calleeNumber: 'lead_number' },
+  filterColumns: [
+    'Type', 'Call ID', 'Queue / Campaign Name', 'Called Time', 'Caller ID Number',
+    'Caller ID / Lead Name', 'Callee ID / Lead number', 'Agent Disposition',
+    'Disposition', 'Agent name', 'Campaign Type', 'Status', 'Extension', 'Country'
+  ]
+};
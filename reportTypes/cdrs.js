@@ -0,0 +1,72 @@
+// reportTypes/cdrs.js
+// Raw CDRs. Not tied to a queue or campaign, so supervisors never see them.
+
+import { toIso } from './helpers.js';
+
+export default {
+  key: 'cdrs',
+  source: 'cdr',
+  label: 'CDR',
+  endpoint: '/api/v2/reports/cdrs',
+  fields: [
+    'call_id',
+    'datetime',
+    'timestamp',
+    'caller_id_name',
+    'caller_id_number',
+    'callee_id_name',
+    'callee_id_number',
+    'to',
+    'from',
+    'duration_seconds',
+    'billing_seconds',
+    'ringing_seconds',
+    'hangup_cause',
+    'media_recording_id',
+    'recording_filename',
+    'a_leg',
+    'interaction_id',
+    'answered_time'
+  ],
+  roles: ['admin'],
+  scope: null,
+  calledAt: row => row.timestamp ?? row.datetime,
+  extension: () => '',
+  countryNumbers: row => [row.caller_id_number, row.callee_id_number],
+  postProcess: [],
+
+  normalize(row) {
+    return {
+      'Type': 'CDR',
+      'Call ID': row.call_id ?? '',
+      'Queue / Campaign Name': '',
+      'Called Time': toIso(row.timestamp ?? row.datetime),
+      'Caller ID Number': row.caller_id_number ?? '',
+      'Caller ID / Lead Name': row.caller_id_name ?? '',
+      'Answered time': row.answered_time ?? '',
+      'Hangup time': '',
+      'Wait Duration': '',
+      'Talk Duration': row.duration_seconds ?? '',
+      'Agent Disposition': '',
+      'Sub_disp_1': '',
+      'Sub_disp_2': '',
+      'Callee ID / Lead number': row.callee_id_number ?? row.to ?? '',
+      'Status': '',
+      'Campaign Type': '',
+      'Abandoned': '',
+      'Agent History': '',
+      'Queue History': '',
+      'Agent name': '',
+      'Recording': row.media_recording_id ?? row.recording_filename ?? '',
+      'Extension': '',
+      'Country': row.Country ?? ''
+    };
+  },
+
+  // Filters (reportFilters.js) the upstream accepts as query params
+  upstreamFilters: { callerNumber: 'caller_id_number', calleeNumber: 'callee_id_number' },
+  filterColumns: [
+    'Type', 'Call ID', 'Called Time', 'Caller ID Number', 'Caller ID / Lead Name',
+    'Callee ID / Lead number', 'Country'
+  ]
+};
@@ -0,0 +1,131 @@
+// reportTypes/helpers.js
+// Row helpers shared by the report definitions. Loaded by Node and by the
+// browser alike, so nothing here may import Node-only modules.
+//
+//   • parseHistory / subDispositions / firstAgentName / computeAbandoned /
+//     toIso – used by the normalize() functions
+//   • deriveDurations / firstRowPerCall / flagAbandoned / firstQueueHistory –
+//     post-processors run by fetchReport() on every fetched page
+
+/**
+ * History columns may arrive as JSON strings; always return an array.
+ *
+ * @param {*} hist
+ * @returns {object[]}
+ */
+export function parseHistory(hist) {
+  if (typeof hist === 'string') {
+    try { return JSON.parse(hist); } catch { return []; }
+  }
+  return Array.isArray(hist) ? hist : [];
+}
+
+// Subdisposition names (supports object or array)
+export function subDispositions(row) {
+  let sd = row.agent_subdisposition ?? null;
+  if (Array.isArray(sd)) sd = sd[0];
+  if (!sd || typeof sd !== 'object') return ['', ''];
+  return [sd.name ?? '', sd.subdisposition?.name ?? ''];
+}
+
+// "First Last" of the first agent_history leg
+export function firstAgentName(row) {
+  const hist = parseHistory(row.agent_history);
+  return hist.length ? `${hist[0].first_name ?? ''} ${hist[0].last_name ?? ''}`.trim() : '';
+}
+
+/**
+ * Abandoned (YES/NO) for inbound calls: YES when no leg connected and no
+ * leg was a *7 transfer.
+ *
+ * @param {object} row
+ * @returns {'YES'|'NO'}
+ */
+export function computeAbandoned(row) {
+  const history = parseHistory(row.agent_history);
+  if (!history.length) return 'YES';
+  let connected = false;
+  let star7 = false;
+  history.forEach(h => {
+    if (h.connected) connected = true;
+    if ((h.event || '').toString().includes('*7')) star7 = true;
+  });
+  if (connected) return 'NO';
+  return star7 ? 'NO' : 'YES';
+}
+
+// Epoch seconds / ms → ISO string; anything else is returned unchanged
+export function toIso(v) {
+  if (typeof v !== 'number') return v ?? '';
+  return new Date(v < 1_000_000_000_000 ? v * 1000 : v).toISOString();
+}
+
+// ---------------- Post-processors ----------------
+// Each takes the rows of one fetched page and returns the rows to keep.
+
+// Derive durations if the backend omitted them (older Talkdesk tenants)
+export function deriveDurations(rows) {
+  rows.forEach(record => {
+    // Talked duration
+    if (!record.talked_duration && record.hangup_time && record.answered_time) {
+      record.talked_duration = record.hangup_time - record.answered_time;
+    }
+    // Wait / queue duration
+    if (!record.wait_duration && record.called_time) {
+      if (record.answered_time) {
+        record.wait_duration = record.answered_time - record.called_time;
+      } else if (record.hangup_time) {
+        record.wait_duration = record.hangup_time - record.called_time;
+      }
+    }
+  });
+  return rows;
+}
+
+// Talkdesk returns one row per agent leg for inbound queues. Keep the *first*
+// occurrence for each call_id (usually the initial `dial` leg); rows without
+// a call_id cannot be grouped and are kept.
+export function firstRowPerCall(rows) {
+  const seen = new Set();
+  return rows.filter(rec => {
+    if (!rec.call_id) return true;
+    if (seen.has(rec.call_id)) return false;
+    seen.add(rec.call_id);
+    return true;
+  });
+}
+
+// Derive the `abandoned` flag when Talkdesk omits it
+// Business rule: if agent_history missing/empty, OR
+//                answered_time is falsy (not set), OR
+//                all agent_history entries lack answered_time
+export function flagAbandoned(rows) {
+  rows.forEach(r => {
+    const hist = r.agent_history;
+    const histMissing =
+      hist == null ||
+      (Array.isArray(hist) && hist.length === 0) ||
+      // Handle cases where API returns array with empty objects [{}]
+      (Array.isArray(hist) && hist.every(h => h && Object.keys(h).length === 0));
+
+    let histNoAnswer = false;
+    if (Array.isArray(hist) && hist.length > 0) {
+      histNoAnswer = hist.every(h => !h?.answered_time && !h?.agent_action?.includes('transfer'));
+    }
+
+    // Always override to ensure consistency
+    r.abandoned = histMissing || !r.answered_time || histNoAnswer ? 'YES' : 'NO';
+  });
+  return rows;
+}
+
+// Outbound queue rows embed the full queue history; keep only the first
+// (oldest) element while leaving agent_history intact.
+export function firstQueueHistory(rows) {
+  rows.forEach(rec => {
+    if (Array.isArray(rec.queue_history) && rec.queue_history.length > 1) {
+      rec.queue_history = [rec.queue_history[0]];
+    }
+  });
+  return rows;
+}
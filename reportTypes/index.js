@@ -0,0 +1,63 @@
+// reportTypes/index.js
+// Registry of upstream report types. Each type is one declarative module in
+// this directory; the server (reportFetcher.js, normalize.js, auth.js, …)
+// and the dashboard (public/script.js, via /reportTypes/index.js) both read
+// it, so adding a report such as voicemail or callbacks means adding a file
+// here and listing it below.
+//
+// A definition is:
+//   key            – report type used in URLs and `reports:<key>` permissions
+//   source         – short key used by normalizeRow() ('in', 'out', …)
+//   label          – value of the unified "Type" column
+//   endpoint       – upstream path, fetched with `fields` joined by commas
+//   fields         – columns requested from the upstream
+//   roles          – roles granted `reports:<key>`
+//   scope          – { list: 'queues' | 'campaigns', field } – the row field
+//                    matched against that list of a supervisor's access;
+//                    null when the report cannot be scoped
+//   calledAt(row)  – raw call start (epoch or ISO)
+//   extension(row) – value of the added Extension column
+//   countryNumbers(row) – phone numbers tried in order for the Country column
+//   postProcess    – functions run on every fetched page, rows ⇒ rows
+//   normalize(row, fmt) – map a row onto the unified columns; `fmt` renders
+//                    history columns (text on the server, HTML in the browser):
+//                    { agentHistory, queueHistory, leadHistory, join }
+//   upstreamFilters – optional, filter param ⇒ upstream query param
+//                    (see reportFilters.js)
+//   filterColumns  – unified columns the dashboard offers filters for
+//
+// Browser-loaded: imports must stay relative and free of Node-only modules.
+
+import queueCalls from './queueCalls.js';
+import queueOutboundCalls from './queueOutboundCalls.js';
+import campaignsActivity from './campaignsActivity.js';
+import cdrs from './cdrs.js';
+
+const REQUIRED = ['key', 'source', 'label', 'endpoint', 'fields', 'roles', 'calledAt', 'extension', 'countryNumbers', 'postProcess', 'normalize', 'filterColumns'];
+
+function check(def) {
+  const missing = REQUIRED.filter(k => def[k] === undefined);
+  if (missing.length) throw new Error(`Report type ${def.key ?? '?'} is missing ${missing.join(', ')}`);
+  return Object.freeze(def);
+}
+
+// Order of sources in combined views and exports
+export const REPORT_TYPES = [queueCalls, queueOutboundCalls, campaignsActivity, cdrs].map(check);
+
+export const REPORT_TYPE_KEYS = REPORT_TYPES.map(t => t.key);
+
+/**
+ * @param {string} key – report type key.
+ * @returns {object|undefined}
+ */
+export function getReportType(key) {
+  return REPORT_TYPES.find(t => t.key === key);
+}
+
+/**
+ * @param {string} source – short source key ('in', 'out', …).
+ * @returns {object|undefined}
+ */
+export function getReportTypeBySource(source) {
+  return REPORT_TYPES.find(t => t.source === source);
+}
@@ -0,0 +1,91 @@
+// reportTypes/queueCalls.js
+// Inbound queue calls (queues_cdrs), one row per call.
+
+import { computeAbandoned, deriveDurations, firstAgentName, firstRowPerCall, flagAbandoned, subDispositions } from './helpers.js';
+
+export default {
+  key: 'queueCalls',
+  source: 'in',
+  label: 'Inbound',
+  endpoint: '/api/v2/reports/queues_cdrs',
+  // Full column set so we get talked_duration & abandoned columns
+  fields: [
+    'called_time',
+    'caller_id_number',
+    'caller_id_name',
+    'answered_time',
+    'hangup_time',
+    'wait_duration',
+    'talked_duration',
+    'queue_name',
+    'abandoned',
+    'queue_history',
+    'agent_history',
+    'agent_attempts',
+    'agent_hangup',
+    'call_id',
+    'bleg_call_id',
+    'event_timestamp',
+    'agent_first_name',
+    'agent_last_name',
+    'agent_extension',
+    'agent_email',
+    'agent_talk_time',
+    'agent_connect_time',
+    'agent_action',
+    'agent_transfer',
+    'csat',
+    'media_recording_id',
+    'recording_filename',
+    'callee_id_number',
+    'a_leg',
+    'interaction_id',
+    'agent_disposition',
+    'agent_subdisposition'
+  ],
+  roles: ['admin', 'supervisor', 'viewer'],
+  scope: { list: 'queues', field: 'queue_name' },
+  calledAt: row => row.called_time,
+  // ext of the first agent_history leg
+  extension: row => (Array.isArray(row.agent_history) && row.agent_history[0]?.ext) || '',
+  // The person calling in
+  countryNumbers: row => [row.caller_id_number],
+  postProcess: [deriveDurations, firstRowPerCall, flagAbandoned],
+
+  normalize(row, fmt) {
+    const [sub1, sub2] = subDispositions(row);
+    return {
+      'Type': 'Inbound',
+      'Call ID': row.call_id ?? row.callid ?? '',
+      'Queue / Campaign Name': row.queue_name ?? '',
+      'Called Time': row.called_time ?? '',
+      'Caller ID Number': row.caller_id_number ?? '',
+      'Caller ID / Lead Name': row.caller_id_name ?? '',
+      'Answered time': row.answered_time ?? '',
+      'Hangup time': row.hangup_time ?? '',
+      'Wait Duration': row.wait_duration ?? '',
+      'Talk Duration': row.talked_duration ?? '',
+      'Callee ID / Lead number': row.callee_id_number ?? '',
+      'Agent Disposition': row.agent_disposition ?? '',
+      'Sub_disp_1': sub1,
+      'Sub_disp_2': sub2,
+      'Queue History': fmt.queueHistory(row.queue_history),
+      'Agent History': fmt.agentHistory(row.agent_history),
+      'Status': '',
+      'Campaign Type': '',
+      'Abandoned': computeAbandoned(row),
+      'Agent name': firstAgentName(row),
+      'Recording': row.media_recording_id ?? row.recording_filename ?? '',
+      'Extension': row.Extension ?? '',
+      'Country': row.Country ?? ''
+    };
+  },
+
+  // Filters (reportFilters.js) the upstream accepts as query params
+  upstreamFilters: { queue: 'queue_name', callerNumber: 'caller_id_number' },
+  filterColumns: [
+    'Type', 'Call ID', 'Queue / Campaign Name', 'Called Time', 'Caller ID Number',
+    'Caller ID / Lead Name', 'Callee ID / Lead number', 'Agent Disposition',
+    'Agent name', 'Abandoned', 'Extension', 'Country'
+  ]
+};
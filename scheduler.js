@@ -0,0 +1,487 @@
+// scheduler.js
+// Scheduled report delivery: saved report definitions run on a cron
+// expression and the file lands in a drop folder or goes out through SMTP.
+//
+// Every route only sees schedules of the caller's tenants (user_tenants);
+// others answer 404 as if missing.
+//
+//   GET    /api/schedules              – list saved schedules
+//   POST   /api/schedules              – create one
+//   GET    /api/schedules/runs         – run history (?scheduleId=&status=&limit=)
+//   GET    /api/schedules/:id          – one schedule
+//   PUT    /api/schedules/:id          – update (fields not sent are kept)
+//   DELETE /api/schedules/:id          – delete it and its history
+//   POST   /api/schedules/:id/run      – run now (202, poll the history for the result)
+//   GET    /api/schedules/:id/runs     – history of one schedule
+//
+// A schedule is { name, account, reportTypes, window, timeZone, filters,
+// format, cron, delivery, recipients, enabled }. `window` is relative to the
+// moment the run starts ("yesterday" in the schedule's time zone, …);
+// `timeZone` defaults to the tenant's (tenantRegistry.js) when the schedule is created.
+// `filters` takes the filter params of the report endpoints (reportFilters.js),
+// e.g. { "queue": "Sales", "abandoned": "yes" }, and means the same as there.
+//
+// Delivery targets are configured in .env:
+//   REPORT_DROP_DIR                       – folder delivery
+//   SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS / SMTP_FROM
+//
+// The router is mounted in server.js behind requireAuth + requirePermission('schedules:manage');
+// startScheduler() is called once the HTTP server is listening.
+
+import express from 'express';
+import cron from 'node-cron';
+import nodemailer from 'nodemailer';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pool } from './db.js';
+import { bodyWithAccount, getUserTenants, requireTenantAccess } from './auth.js';
+import { recordAudit } from './audit.js';
+import { EXPORT_FORMATS, COMBINED_TYPES, exportToFile } from './exporter.js';
+import { FILTER_PARAMS, ReportQueryError, parseReportQuery } from './reportFilters.js';
+import { isValidTimeZone, localDate, zonedMidnight, zonedParts } from './timeZones.js';
+import { getTenantTimeZone } from './tenantRegistry.js';
+
+export const RELATIVE_WINDOWS = ['today', 'yesterday', 'last_7_days', 'last_week', 'last_month'];
+const DELIVERY_METHODS = ['folder', 'smtp'];
+
+const DROP_DIR = process.env.REPORT_DROP_DIR;
+const EMAIL_RE = /^[^\s@,]+@[^\s@,]+$/;
+
+const tasks = new Map();     // schedule id ⇒ node-cron task
+const running = new Set();   // schedule ids with a run in progress
+
+// Validation failures are reported to the client as 400s
+class ValidationError extends Error {}
+
+// ---------------- Time windows ----------------
+
+/**
+ * Resolve a relative window to absolute instants. `end` is the last second
+ * of the window (inclusive), matching how the dashboard sends its range.
+ *
+ * @param {string} window   – one of RELATIVE_WINDOWS.
+ * @param {string} timeZone – IANA zone the days are counted in.
+ * @param {Date}   [now]
+ * @returns {{start:Date, end:Date}}
+ */
+export function resolveWindow(window, timeZone, now = new Date()) {
+  const today = zonedParts(now, timeZone);
+  // Date.UTC normalises day / month overflow (day 0 = last day of previous month)
+  const day = offset => {
+    const d = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    return zonedMidnight(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), timeZone);
+  };
+
+  let start;
+  let endExclusive;
+  switch (window) {
+    case 'today':
+      start = day(0);
+      endExclusive = day(1);
+      break;
+    case 'yesterday':
+      start = day(-1);
+      endExclusive = day(0);
+      break;
+    case 'last_7_days':
+      start = day(-7);
+      endExclusive = day(0);
+      break;
+    case 'last_week': {
+      // Monday → Sunday of the previous calendar week
+      const sinceMonday = (today.weekday + 6) % 7;
+      start = day(-sinceMonday - 7);
+      endExclusive = day(-sinceMonday);
+      break;
+    }
+    case 'last_month':
+      start = zonedMidnight(today.month === 1 ? today.year - 1 : today.year, today.month === 1 ? 12 : today.month - 1, 1, timeZone);
+      endExclusive = zonedMidnight(today.year, today.month, 1, timeZone);
+      break;
+    default:
+      throw new ValidationError(`Unknown window: ${window}`);
+  }
+  return { start, end: new Date(endExclusive.getTime() - 1000) };
+}
+
+// ---------------- Validation / mapping ----------------
+
+// { param: "a,b" | ["a", "b"] } with the filter params of the report
+// endpoints (reportFilters.js FILTER_PARAMS) ⇒ param ⇒ values
+function cleanFilters(filters) {
+  if (filters == null || filters === '') return null;
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new ValidationError('filters must be an object of filter param → value');
+  }
+  const unknown = Object.keys(filters).filter(param => !FILTER_PARAMS[param]);
+  if (unknown.length) {
+    throw new ValidationError(`Unknown filter: ${unknown.join(', ')} (one of ${Object.keys(FILTER_PARAMS).join(', ')})`);
+  }
+  const query = {};
+  for (const [param, value] of Object.entries(filters)) {
+    query[param] = (Array.isArray(value) ? value : [value]).map(v => String(v ?? '')).join(',');
+  }
+  try {
+    const { filters: out } = parseReportQuery(query);
+    return Object.keys(out).length ? out : null;
+  } catch (err) {
+    if (err instanceof ReportQueryError) throw new ValidationError(err.message);
+    throw err;
+  }
+}
+
+function parseJson(v) {
+  if (v == null || typeof v !== 'string') return v ?? null;
+  try { return JSON.parse(v); } catch { return null; }
+}
+
+function splitList(v) {
+  return String(v ?? '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// DB row → API shape
+function toPublic(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    account: row.tenant,
+    reportTypes: splitList(row.report_types),
+    window: row.relative_window,
+    timeZone: row.time_zone,
+    filters: parseJson(row.filters),
+    format: row.format,
+    cron: row.cron_expr,
+    delivery: row.delivery,
+    recipients: splitList(row.recipients),
+    enabled: Boolean(row.enabled),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    nextRun: tasks.get(row.id)?.getNextRun?.() ?? null
+  };
+}
+
+// Validate an API body (merged over `current` for updates) into DB columns;
+// `defaultTimeZone` applies when neither gives a zone
+function toColumns(body, current = {}, defaultTimeZone) {
+  const s = { ...current, ...body };
+
+  if (!s.name || !String(s.name).trim()) throw new ValidationError('Name required');
+  if (!s.account) throw new ValidationError('Account required');
+
+  const reportTypes = Array.isArray(s.reportTypes) ? s.reportTypes : splitList(s.reportTypes);
+  if (!reportTypes.length) throw new ValidationError('Select at least one report type');
+  const unknown = reportTypes.filter(t => !COMBINED_TYPES.includes(t));
+  if (unknown.length) throw new ValidationError(`Unknown report type: ${unknown.join(', ')}`);
+
+  const window = s.window || 'yesterday';
+  if (!RELATIVE_WINDOWS.includes(window)) {
+    throw new ValidationError(`Window must be one of: ${RELATIVE_WINDOWS.join(', ')}`);
+  }
+  const timeZone = s.timeZone || defaultTimeZone;
+  if (!isValidTimeZone(timeZone)) throw new ValidationError(`Unknown time zone: ${timeZone}`);
+
+  const format = s.format || 'xlsx';
+  if (!EXPORT_FORMATS.includes(format)) throw new ValidationError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  if (!s.cron || !cron.validate(s.cron)) throw new ValidationError('Invalid cron expression');
+
+  const delivery = s.delivery || 'folder';
+  if (!DELIVERY_METHODS.includes(delivery)) throw new ValidationError(`Delivery must be one of: ${DELIVERY_METHODS.join(', ')}`);
+  const recipients = Array.isArray(s.recipients) ? s.recipients.map(r => String(r).trim()).filter(Boolean) : splitList(s.recipients);
+  if (delivery === 'smtp') {
+    if (!recipients.length) throw new ValidationError('At least one recipient is required for SMTP delivery');
+    const bad = recipients.find(r => !EMAIL_RE.test(r));
+    if (bad) throw new ValidationError(`Invalid email address: ${bad}`);
+  }
+
+  const filters = cleanFilters(s.filters);
+  return {
+    name: String(s.name).trim(),
+    tenant: s.account,
+    report_types: [...new Set(reportTypes)].join(','),
+    relative_window: window,
+    time_zone: timeZone,
+    filters: filters ? JSON.stringify(filters) : null,
+    format,
+    cron_expr: s.cron,
+    delivery,
+    recipients: recipients.length ? recipients.join(',') : null,
+    enabled: s.enabled === undefined ? 1 : (s.enabled ? 1 : 0)
+  };
+}
+
+async function loadSchedule(id) {
+  const [rows] = await pool.query('SELECT * FROM report_schedules WHERE id = ?', [id]);
+  return rows[0] ?? null;
+}
+
+// A schedule of one of the user's tenants; null for others, as if missing
+async function loadUserSchedule(user, id) {
+  const schedule = await loadSchedule(id);
+  if (!schedule || !(await getUserTenants(user.id)).includes(schedule.tenant)) return null;
+  return schedule;
+}
+
+// ---------------- Running ----------------
+
+let transport = null;
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 25,
+      secure: process.env.SMTP_SECURE === 'true',
+      ...(process.env.SMTP_USER && { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } }),
+      // Local relays commonly present a self-signed certificate
+      tls: { rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false' }
+    });
+  }
+  return transport;
+}
+
+function slug(str) {
+  return String(str).replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'report';
+}
+
+async function deliver(schedule, filePath, fileName, win) {
+  if (schedule.delivery === 'smtp') {
+    const recipients = splitList(schedule.recipients);
+    const period = `${localDate(win.start, schedule.time_zone)} – ${localDate(win.end, schedule.time_zone)}`;
+    await getTransport().sendMail({
+      from: process.env.SMTP_FROM || 'reports@localhost',
+      to: recipients,
+      subject: `${schedule.name} (${schedule.tenant}) ${period}`,
+      text: `Attached: ${schedule.name} for ${schedule.tenant}, ${period} (${schedule.time_zone}).`,
+      attachments: [{ filename: fileName, path: filePath }]
+    });
+    return recipients.join(', ');
+  }
+  return filePath;
+}
+
+async function executeRun(schedule, runId, win) {
+  const fileName = `${slug(schedule.name)}_${slug(schedule.tenant)}_${localDate(win.start, schedule.time_zone)}.${schedule.format}`;
+  const filePath = schedule.delivery === 'folder'
+    ? path.join(DROP_DIR, slug(schedule.tenant), fileName)
+    : path.join(os.tmpdir(), 'report-schedules', `${runId}_${fileName}`);
+
+  try {
+    const { rows, pages } = await exportToFile(filePath, {
+      format: schedule.format,
+      types: splitList(schedule.report_types),
+      tenants: [schedule.tenant],
+      params: { startDate: Math.floor(win.start.getTime() / 1000), endDate: Math.floor(win.end.getTime() / 1000) },
+      filters: cleanFilters(parseJson(schedule.filters)) ?? {},
+      timeZone: schedule.time_zone
+    });
+    const deliveredTo = await deliver(schedule, filePath, fileName, win);
+
+    await pool.query(
+      "UPDATE report_schedule_runs SET status = 'success', rows_exported = ?, file_name = ?, delivered_to = ?, finished_at = NOW() WHERE id = ?",
+      [rows, fileName, deliveredTo, runId]
+    );
+    console.log(`📬 Schedule "${schedule.name}" delivered ${rows} rows (${pages} pages) to ${deliveredTo}`);
+    recordAudit({ user: { id: schedule.created_by, username: 'scheduler' }, ip: null }, {
+      action: 'report.scheduled',
+      tenant: schedule.tenant,
+      reportType: schedule.report_types,
+      start: win.start,
+      end: win.end,
+      details: { scheduleId: schedule.id, runId, rows, pages, format: schedule.format, delivery: schedule.delivery }
+    });
+  } catch (err) {
+    const upstreamErr = err.response?.data?.error;
+    const msg = (typeof upstreamErr === 'string') ? upstreamErr : upstreamErr?.message || err.message;
+    console.error(`❌ Schedule "${schedule.name}" failed:`, err.response?.data || err.message);
+    await pool.query(
+      "UPDATE report_schedule_runs SET status = 'failed', error = ?, finished_at = NOW() WHERE id = ?",
+      [msg, runId]
+    ).catch(dbErr => console.error('❌ Could not record schedule failure:', dbErr.message));
+  } finally {
+    // The mailed copy is only a temporary file
+    if (schedule.delivery === 'smtp') await fs.promises.rm(filePath, { force: true });
+  }
+}
+
+/**
+ * Run a schedule now. Resolves once the run is recorded (not when it ends).
+ *
+ * @param {number} id
+ * @param {'cron'|'manual'} triggeredBy
+ * @returns {Promise<{runId:number, done:Promise<void>}>}
+ */
+export async function runSchedule(id, triggeredBy) {
+  const schedule = await loadSchedule(id);
+  if (!schedule) throw new ValidationError('Schedule not found');
+  if (schedule.delivery === 'folder' && !DROP_DIR) throw new ValidationError('REPORT_DROP_DIR is not configured');
+  if (running.has(schedule.id)) throw new ValidationError('This schedule is already running');
+
+  const win = resolveWindow(schedule.relative_window, schedule.time_zone);
+  running.add(schedule.id);
+  let runId;
+  try {
+    const [result] = await pool.query(
+      'INSERT INTO report_schedule_runs (schedule_id, triggered_by, window_start, window_end) VALUES (?, ?, ?, ?)',
+      [schedule.id, triggeredBy, win.start, win.end]
+    );
+    runId = result.insertId;
+  } catch (err) {
+    running.delete(schedule.id);
+    throw err;
+  }
+  const done = executeRun(schedule, runId, win).finally(() => running.delete(schedule.id));
+  return { runId, done };
+}
+
+// (Re)register the cron task of one schedule; disabled or deleted ones are dropped
+function scheduleTask(schedule) {
+  const existing = tasks.get(schedule.id);
+  if (existing) {
+    existing.destroy();
+    tasks.delete(schedule.id);
+  }
+  if (!schedule.enabled) return;
+
+  const task = cron.schedule(schedule.cron_expr, async () => {
+    try {
+      const { done } = await runSchedule(schedule.id, 'cron');
+      await done;
+    } catch (err) {
+      console.error(`❌ Schedule ${schedule.id} could not start:`, err.message);
+    }
+  }, { timezone: schedule.time_zone, name: `report-schedule-${schedule.id}`, noOverlap: true });
+  tasks.set(schedule.id, task);
+}
+
+/**
+ * Register every enabled schedule. Safe to call again (tasks are replaced).
+ *
+ * @returns {Promise<void>}
+ */
+export async function startScheduler() {
+  try {
+    const [rows] = await pool.query('SELECT * FROM report_schedules WHERE enabled = 1');
+    rows.forEach(scheduleTask);
+    console.log(`⏰ Scheduler started with ${rows.length} schedule(s)`);
+  } catch (err) {
+    console.error('❌ Scheduler failed to start:', err.message);
+  }
+}
+
+// ---------------- Routes ----------------
+
+// Map known errors to HTTP responses
+function sendError(res, err) {
+  if (err instanceof ValidationError) return res.status(400).json({ error: err.message });
+  console.error(err);
+  res.status(500).json({ error: 'Server error' });
+}
+
+async function listRuns({ tenants, scheduleId, status, limit }) {
+  if (!tenants.length) return [];
+  const where = ['s.tenant IN (?)'];
+  const vals = [tenants];
+  if (scheduleId) { where.push('r.schedule_id = ?'); vals.push(scheduleId); }
+  if (status) { where.push('r.status = ?'); vals.push(status); }
+  const [rows] = await pool.query(
+    `SELECT r.*, s.name AS schedule_name, s.tenant
+     FROM report_schedule_runs r JOIN report_schedules s ON s.id = r.schedule_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY r.id DESC LIMIT ?`,
+    [...vals, Math.min(Number(limit) || 100, 1000)]
+  );
+  return rows;
+}
+
+export const schedulesRouter = express.Router();
+
+schedulesRouter.get('/', async (req, res) => {
+  try {
+    const tenants = await getUserTenants(req.user.id);
+    if (!tenants.length) return res.json({ data: [] });
+    const [rows] = await pool.query('SELECT * FROM report_schedules WHERE tenant IN (?) ORDER BY name', [tenants]);
+    res.json({ data: rows.map(toPublic) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+schedulesRouter.post('/', requireTenantAccess, async (req, res) => {
+  try {
+    const cols = toColumns(bodyWithAccount(req), {}, await getTenantTimeZone(req.account));
+    const [result] = await pool.query('INSERT INTO report_schedules SET ?', [{ ...cols, created_by: req.user.id }]);
+    const schedule = await loadSchedule(result.insertId);
+    scheduleTask(schedule);
+    res.status(201).json({ schedule: toPublic(schedule) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+schedulesRouter.get('/runs', async (req, res) => {
+  try {
+    res.json({ data: await listRuns({ ...req.query, tenants: await getUserTenants(req.user.id) }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+schedulesRouter.get('/:id', async (req, res) => {
+  try {
+    const schedule = await loadUserSchedule(req.user, req.params.id);
+    if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+    res.json({ schedule: toPublic(schedule) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+schedulesRouter.put('/:id', requireTenantAccess, async (req, res) => {
+  try {
+    const current = await loadUserSchedule(req.user, req.params.id);
+    if (!current) return res.status(404).json({ error: 'Schedule not found' });
+    const { id, createdBy, createdAt, updatedAt, nextRun, ...editable } = toPublic(current);
+    const cols = toColumns(bodyWithAccount(req), editable, await getTenantTimeZone(req.account ?? current.tenant));
+    await pool.query('UPDATE report_schedules SET ? WHERE id = ?', [cols, current.id]);
+    const schedule = await loadSchedule(current.id);
+    scheduleTask(schedule);
+    res.json({ schedule: toPublic(schedule) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+schedulesRouter.delete('/:id', async (req, res) => {
+  try {
+    const tenants = await getUserTenants(req.user.id);
+    if (!tenants.length) return res.status(404).json({ error: 'Schedule not found' });
+    const [result] = await pool.query('DELETE FROM report_schedules WHERE id = ? AND tenant IN (?)', [req.params.id, tenants]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'Schedule not found' });
+    scheduleTask({ id: Number(req.params.id), enabled: false });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+schedulesRouter.post('/:id/run', async (req, res) => {
+  try {
+    if (!(await loadUserSchedule(req.user, req.params.id))) return res.status(404).json({ error: 'Schedule not found' });
+    const { runId, done } = await runSchedule(Number(req.params.id), 'manual');
+    done.catch(() => {});
+    res.status(202).json({ runId });
+  } catch (err) {
+    if (err.message === 'Schedule not found') return res.status(404).json({ error: err.message });
+    sendError(res, err);
+  }
+});
+
+schedulesRouter.get('/:id/runs', async (req, res) => {
+  try {
+    if (!(await loadUserSchedule(req.user, req.params.id))) return res.status(404).json({ error: 'Schedule not found' });
+    res.json({ data: await listRuns({ ...req.query, tenants: await getUserTenants(req.user.id), scheduleId: req.params.id }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
@@ -6,7 +6,308 @@ CREATE TABLE IF NOT EXISTS users (
     username VARCHAR(50) NOT NULL UNIQUE,
     email VARCHAR(100) NOT NULL UNIQUE,
     password VARCHAR(255) NOT NULL,
+    role ENUM('admin', 'supervisor', 'viewer') NOT NULL DEFAULT 'viewer',
+    disabled TINYINT(1) NOT NULL DEFAULT 0,
+    failed_attempts INT NOT NULL DEFAULT 0,
+    locked_until DATETIME NULL,
+    time_zone VARCHAR(64) NULL,                      -- NULL ⇒ the tenant's zone
     last_login TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
+
+-- tenants (upstream `account` values) each user may query
+CREATE TABLE IF NOT EXISTS user_tenants (
+    user_id INT NOT NULL,
+    tenant VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, tenant),
+    CONSTRAINT fk_user_tenants_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- tenant registry (tenantRegistry.js); a tenant without a row uses BASE_URL,
+-- API_USERNAME / API_PASSWORD and DEFAULT_TIME_ZONE
+CREATE TABLE IF NOT EXISTS tenants (
+    tenant VARCHAR(100) PRIMARY KEY,
+    label VARCHAR(100) NULL,                         -- shown in the account picker
+    base_url VARCHAR(255) NULL,                      -- NULL ⇒ BASE_URL
+    credentials_ref VARCHAR(50) NULL,                -- API_USERNAME_<ref> / API_PASSWORD_<ref>
+    time_zone VARCHAR(64) NULL,                      -- IANA zone, e.g. Asia/Dubai
+    updated_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_tenants_user FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- encrypted upstream connection profiles (connectionStore.js / connections.js);
+-- a tenant with a row is reached with these instead of the registry / env settings
+CREATE TABLE IF NOT EXISTS tenant_connections (
+    tenant VARCHAR(100) PRIMARY KEY,
+    base_url VARCHAR(255) NOT NULL,
+    credentials TEXT NOT NULL,                       -- AES-256-GCM "v1:<key id>:…" of the portal login
+    account_header VARCHAR(100) NULL,                -- X-Account-ID value; NULL ⇒ ACCOUNT_ID_HEADER or the tenant
+    tls_mode ENUM('verify', 'ca', 'insecure') NOT NULL DEFAULT 'verify',
+    ca_cert TEXT NULL,                               -- PEM, for tls_mode 'ca'
+    rotated_at DATETIME NULL,
+    last_test_at DATETIME NULL,
+    last_test_ok TINYINT(1) NULL,
+    last_test_error VARCHAR(500) NULL,
+    updated_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_tenant_connections_user FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- existing installs: ALTER TABLE tenants ADD COLUMN label VARCHAR(100) NULL AFTER tenant,
+--   ADD COLUMN base_url VARCHAR(255) NULL AFTER label, ADD COLUMN credentials_ref VARCHAR(50) NULL AFTER base_url;
+
+-- existing installs: ALTER TABLE users ADD COLUMN time_zone VARCHAR(64) NULL AFTER locked_until;
+
+-- existing installs: ALTER TABLE users ADD COLUMN role ENUM('admin', 'supervisor', 'viewer') NOT NULL DEFAULT 'viewer' AFTER password;
+
+-- queues / campaigns a supervisor is responsible for (rows outside are hidden)
+CREATE TABLE IF NOT EXISTS user_scopes (
+    user_id INT NOT NULL,
+    scope_type ENUM('queue', 'campaign') NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, scope_type, name),
+    CONSTRAINT fk_user_scopes_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- existing installs: ALTER TABLE users ADD COLUMN disabled TINYINT(1) NOT NULL DEFAULT 0 AFTER role;
+
+-- rotating refresh tokens for dashboard sessions (only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    replaced_by BIGINT NULL,
+    user_agent VARCHAR(255) NULL,
+    ip VARCHAR(45) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_refresh_tokens_user (user_id),
+    CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- existing installs:
+--   ALTER TABLE users ADD COLUMN failed_attempts INT NOT NULL DEFAULT 0 AFTER disabled,
+--                     ADD COLUMN locked_until DATETIME NULL AFTER failed_attempts;
+
+-- every login attempt, successful or not (brute-force tracking + investigation)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    username VARCHAR(100) NOT NULL,
+    user_id INT NULL,
+    ip VARCHAR(45) NOT NULL,
+    user_agent VARCHAR(255) NULL,
+    success TINYINT(1) NOT NULL,
+    reason VARCHAR(50) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_login_attempts_username (username, created_at),
+    INDEX idx_login_attempts_ip (ip, created_at),
+    INDEX idx_login_attempts_user (user_id, created_at)
+);
+
+-- compliance audit trail: report queries, recording playback, exports
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NULL,
+    username VARCHAR(50) NULL,
+    tenant VARCHAR(100) NULL,
+    action VARCHAR(50) NOT NULL,
+    report_type VARCHAR(100) NULL,
+    window_start DATETIME NULL,
+    window_end DATETIME NULL,
+    recording_id VARCHAR(255) NULL,
+    ip VARCHAR(45) NULL,
+    details JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_audit_created (created_at),
+    INDEX idx_audit_user (username, created_at),
+    INDEX idx_audit_recording (recording_id),
+    INDEX idx_audit_tenant_action (tenant, action, created_at)
+);
+
+-- saved report definitions delivered on a cron expression (see scheduler.js)
+CREATE TABLE IF NOT EXISTS report_schedules (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    tenant VARCHAR(100) NOT NULL,
+    report_types VARCHAR(255) NOT NULL,              -- comma separated report keys
+    relative_window VARCHAR(20) NOT NULL DEFAULT 'yesterday',
+    time_zone VARCHAR(64) NOT NULL DEFAULT 'Asia/Dubai',
+    filters JSON NULL,                               -- { "<filter param>": "a,b" | ["a","b"] } (reportFilters.js)
+    format ENUM('csv','xlsx') NOT NULL DEFAULT 'xlsx',
+    cron_expr VARCHAR(100) NOT NULL,
+    delivery ENUM('folder','smtp') NOT NULL DEFAULT 'folder',
+    recipients TEXT NULL,                            -- comma separated, smtp only
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_report_schedules_user FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS report_schedule_runs (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    schedule_id INT NOT NULL,
+    triggered_by VARCHAR(20) NOT NULL,               -- cron | manual
+    status ENUM('running','success','failed') NOT NULL DEFAULT 'running',
+    window_start DATETIME NULL,
+    window_end DATETIME NULL,
+    rows_exported INT NULL,
+    file_name VARCHAR(255) NULL,
+    delivered_to TEXT NULL,
+    error TEXT NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME NULL,
+    INDEX idx_schedule_runs_schedule (schedule_id, started_at),
+    CONSTRAINT fk_schedule_runs_schedule FOREIGN KEY (schedule_id) REFERENCES report_schedules(id) ON DELETE CASCADE
+);
+
+-- local warehouse of upstream report rows, upserted by (tenant, call_id) (see warehouse.js)
+
+CREATE TABLE IF NOT EXISTS wh_cdrs (
+    tenant VARCHAR(100) NOT NULL,
+    call_id VARCHAR(100) NOT NULL,
+    called_at DATETIME NULL,
+    scope_name VARCHAR(255) NULL,
+    data JSON NOT NULL,
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant, call_id),
+    INDEX idx_wh_cdrs_called (tenant, called_at)
+);
+
+CREATE TABLE IF NOT EXISTS wh_queue_calls (
+    tenant VARCHAR(100) NOT NULL,
+    call_id VARCHAR(100) NOT NULL,
+    called_at DATETIME NULL,
+    scope_name VARCHAR(255) NULL,                    -- queue_name
+    data JSON NOT NULL,
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant, call_id),
+    INDEX idx_wh_queue_calls_called (tenant, called_at),
+    INDEX idx_wh_queue_calls_scope (tenant, scope_name, called_at)
+);
+
+CREATE TABLE IF NOT EXISTS wh_queue_outbound_calls (
+    tenant VARCHAR(100) NOT NULL,
+    call_id VARCHAR(100) NOT NULL,
+    called_at DATETIME NULL,
+    scope_name VARCHAR(255) NULL,                    -- queue_name
+    data JSON NOT NULL,
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant, call_id),
+    INDEX idx_wh_queue_outbound_calls_called (tenant, called_at),
+    INDEX idx_wh_queue_outbound_calls_scope (tenant, scope_name, called_at)
+);
+
+CREATE TABLE IF NOT EXISTS wh_campaign_activity (
+    tenant VARCHAR(100) NOT NULL,
+    call_id VARCHAR(100) NOT NULL,
+    called_at DATETIME NULL,
+    scope_name VARCHAR(255) NULL,                    -- campaign_name
+    data JSON NOT NULL,
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant, call_id),
+    INDEX idx_wh_campaign_activity_called (tenant, called_at),
+    INDEX idx_wh_campaign_activity_scope (tenant, scope_name, called_at)
+);
+
+-- high-water mark per tenant / report for the incremental sync (see syncWorker.js)
+CREATE TABLE IF NOT EXISTS warehouse_sync_state (
+    tenant VARCHAR(100) NOT NULL,
+    report_type VARCHAR(50) NOT NULL,
+    high_water DATETIME NULL,                        -- newest called_at stored
+    last_run_at DATETIME NULL,
+    last_success_at DATETIME NULL,
+    rows_last_run INT NULL,
+    last_error TEXT NULL,
+    PRIMARY KEY (tenant, report_type)
+);
+
+-- threshold alerts on queue metrics (see alerts.js)
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    tenant VARCHAR(100) NOT NULL,
+    metric ENUM('abandon_rate','max_wait') NOT NULL,
+    queue_name VARCHAR(255) NULL,                    -- NULL = every queue separately
+    threshold DECIMAL(10,2) NOT NULL,                -- percent or seconds, by metric
+    window_minutes INT NOT NULL DEFAULT 30,
+    min_calls INT NOT NULL DEFAULT 5,                -- abandon_rate only
+    cooldown_minutes INT NOT NULL DEFAULT 15,
+    webhook_url VARCHAR(1000) NULL,
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    last_evaluated_at DATETIME NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_alert_rules_tenant (tenant),
+    CONSTRAINT fk_alert_rules_user FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS alert_events (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    rule_id INT NOT NULL,
+    tenant VARCHAR(100) NOT NULL,
+    queue_name VARCHAR(255) NOT NULL,
+    metric VARCHAR(20) NOT NULL,
+    value DECIMAL(10,2) NOT NULL,                    -- worst value seen while active
+    threshold DECIMAL(10,2) NOT NULL,
+    details JSON NULL,
+    status ENUM('open','acknowledged','resolved') NOT NULL DEFAULT 'open',
+    webhook_status ENUM('pending','sent','failed') NOT NULL DEFAULT 'pending',
+    webhook_error TEXT NULL,
+    notifications INT NOT NULL DEFAULT 0,
+    last_notified_at DATETIME NULL,
+    fired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_by INT NULL,
+    acknowledged_at DATETIME NULL,
+    resolved_at DATETIME NULL,
+    INDEX idx_alert_events_rule (rule_id, status),
+    INDEX idx_alert_events_tenant (tenant, fired_at),
+    CONSTRAINT fk_alert_events_rule FOREIGN KEY (rule_id) REFERENCES alert_rules(id) ON DELETE CASCADE,
+    CONSTRAINT fk_alert_events_user FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- outbound webhook subscriptions and their delivery queue / dead letters (see webhooks.js)
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    tenant VARCHAR(100) NOT NULL,
+    url VARCHAR(1000) NOT NULL,
+    secret VARCHAR(255) NOT NULL,                    -- HMAC-SHA256 signing key
+    event_types VARCHAR(255) NOT NULL,               -- comma separated WEBHOOK_EVENTS keys
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_webhook_subscriptions_tenant (tenant),
+    CONSTRAINT fk_webhook_subscriptions_user FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    subscription_id INT NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    event_id VARCHAR(100) NOT NULL,                  -- call id (uuid for pings)
+    payload JSON NOT NULL,
+    status ENUM('pending','delivering','delivered','dead') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME NOT NULL,
+    last_status_code INT NULL,
+    last_error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME NULL,
+    UNIQUE KEY uq_webhook_deliveries_event (subscription_id, event_type, event_id),
+    INDEX idx_webhook_deliveries_due (status, next_attempt_at),
+    CONSTRAINT fk_webhook_deliveries_subscription FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE
+);
@@ -6,15 +6,46 @@ import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import https from 'https';
 import fs from 'fs';
-// import { fetchAgentStatus } from './agentStatus.js';
 import { fetchReport } from './reportFetcher.js';
-import { getPortalToken, httpsAgent } from './tokenService.js';
+import { withPortalToken } from './tokenService.js';
 import axios from 'axios';
 import { parseBuffer } from 'music-metadata';
 import cookieParser from 'cookie-parser';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
-import mysql from 'mysql2/promise';
+import { pool } from './db.js';
+import {
+  JWT_SECRET,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getRequestToken,
+  getUserTenants,
+  requireAuth,
+  requireTenantAccess,
+  requirePermission,
+  applyUserScope
+} from './auth.js';
+import { usersRouter } from './users.js';
+import { tenantsRouter } from './tenants.js';
+import { connectionsRouter } from './connections.js';
+import { describeUserTenants, resolveTimeZone, getUpstream } from './tenantRegistry.js';
+import { SessionError, issueSession, rotateSession, revokeSession } from './sessions.js';
+import { auditRouter, recordAudit } from './audit.js';
+import { exportJobsRouter } from './exportJobs.js';
+import { schedulesRouter, startScheduler } from './scheduler.js';
+import { warehouseRouter, queryWarehouse, captureRows, WarehouseQueryError } from './warehouse.js';
+import { syncRouter, startSyncWorker } from './syncWorker.js';
+import { kpisRouter } from './kpis.js';
+import { aggregatesRouter } from './aggregates.js';
+import { agentsRouter } from './agents.js';
+import { wallboardRouter } from './wallboard.js';
+import { alertsRouter, startAlerting } from './alerts.js';
+import { webhooksRouter, startWebhooks } from './webhooks.js';
+import { combinedRouter, handleReportQuery } from './combined.js';
+import { hasReportQuery } from './reportFilters.js';
+import { prepareRow } from './normalize.js';
+import { CONTENT_TYPES, ExportRequestError, parseExportRequest, createExportWriter, exportHeaders, exportReports } from './exporter.js';
+import { checkLoginThrottle, failureDelay, lockedFor, recordLoginAttempt, registerFailure, resetFailures } from './loginGuard.js';
 
 dotenv.config();
 
@@ -38,91 +69,167 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 app.use(express.static(path.join(__dirname, 'public')));
+// Report type definitions are shared with the dashboard (public/script.js)
+app.use('/reportTypes', express.static(path.join(__dirname, 'reportTypes')));
 
-// --- Authentication setup ---
-const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_key';
-
-// const pool = mysql.createPool({
-//   host: 'localhost',
-//   user: 'root',
-//   password: 'Ayan@1012',
-//   database: 'shams',
-//   port: 3306,
-//   waitForConnections: true,
-//   connectionLimit: 5,
-// });
-
-const pool = mysql.createPool({
-  host:"0.0.0.0",
-  user: 'root',
-  password: 'WELcome@123',
-  database: 'spc',
-  port: 3306,
-  waitForConnections: true,
-  connectionLimit: 5,
-});
+// --- Authentication ---
+// Session checks, roles and per-tenant entitlements live in auth.js; every
+// data route below is guarded by requireAuth + requireTenantAccess and the
+// permission its role needs.
 
 // Login
 app.post('/api/login', async (req, res) => {
   const { username, password } = req.body || {};
   if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
+  const attempt = { username, ip: req.ip, userAgent: req.get('user-agent') || '' };
   try {
+    // Brute-force protection: IP block + progressive delay (see loginGuard.js)
+    const throttle = await checkLoginThrottle(req.ip);
+    if (throttle.blocked) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'ip_blocked' });
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({ error: 'Too many failed attempts. Try again later.' });
+    }
+
     const [rows] = await pool.query(
-      'SELECT id, username, email, password FROM users WHERE username = ? OR email = ? LIMIT 1',
+      'SELECT id, username, email, password, role, disabled, failed_attempts, locked_until FROM users WHERE username = ? OR email = ? LIMIT 1',
       [username, username]
     );
-    if (!rows.length) return res.status(401).json({ error: 'Invalid credentials' });
+    const delayMs = failureDelay(Math.max(throttle.ipFailures, rows[0]?.failed_attempts || 0));
+    if (delayMs) await new Promise(r => setTimeout(r, delayMs));
+
+    if (!rows.length) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'unknown_user' });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
     const user = rows[0];
+
+    const lockSeconds = lockedFor(user);
+    if (lockSeconds) {
+      await recordLoginAttempt({ ...attempt, userId: user.id, success: false, reason: 'locked' });
+      res.set('Retry-After', String(lockSeconds));
+      return res.status(429).json({ error: `Account temporarily locked. Try again in ${Math.ceil(lockSeconds / 60)} minute(s).` });
+    }
+
     const ok = await bcrypt.compare(password, user.password);
-    if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
+    if (!ok) {
+      const nowLocked = await registerFailure(user.id);
+      await recordLoginAttempt({ ...attempt, userId: user.id, success: false, reason: nowLocked ? 'bad_password_locked' : 'bad_password' });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    if (user.disabled) {
+      await recordLoginAttempt({ ...attempt, userId: user.id, success: false, reason: 'disabled' });
+      return res.status(403).json({ error: 'Account disabled' });
+    }
 
+    await resetFailures(user.id);
+    await recordLoginAttempt({ ...attempt, userId: user.id, success: true });
     await pool.query('UPDATE users SET last_login = NOW() WHERE id = ?', [user.id]);
 
-    const token = jwt.sign({ id: user.id, username: user.username, email: user.email }, JWT_SECRET, { expiresIn: '2h' });
-    res.cookie('token', token, { httpOnly: true, sameSite: 'lax', maxAge: 2 * 60 * 60 * 1000 });
-    res.json({ success: true, token }); // Include token in response body for iframe scenarios
+    // Short-lived access JWT + rotating refresh token (see sessions.js)
+    res.json(await issueSession(req, res, user)); // Tokens in body too for iframe scenarios
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Refresh: trade a refresh token for a new access/refresh pair (sliding session)
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    res.json(await rotateSession(req, res));
+  } catch (err) {
+    if (err instanceof SessionError) {
+      return res.status(401).json({ error: 'Session expired, please log in again' });
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Auth check
-app.get('/api/auth/check', (req, res) => {
-  // Check for token in cookie first
-  const cookieToken = req.cookies?.token;
-  
-  // Then check for Authorization header (Bearer token)
-  const authHeader = req.headers.authorization;
-  const bearerToken = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
-  
-  // Use either token source
-  const token = cookieToken || bearerToken;
+app.get('/api/auth/check', async (req, res) => {
+  // Cookie first, then Authorization header (Bearer token)
+  const token = getRequestToken(req);
   
   if (!token) return res.json({ authenticated: false });
   
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    res.json({ authenticated: true, user: { id: decoded.id, username: decoded.username } });
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch {
-    res.json({ authenticated: false });
+    return res.json({ authenticated: false });
+  }
+
+  try {
+    // Expose the tenants this user may query so the UI can pick a valid account,
+    // with the label and time zone (tenantRegistry.js) each one is shown with
+    const tenants = await getUserTenants(decoded.id);
+    const { timeZone, timeZones, tenantLabels } = await describeUserTenants(decoded.id);
+    res.json({
+      authenticated: true,
+      user: { id: decoded.id, username: decoded.username, role: decoded.role },
+      permissions: ROLE_PERMISSIONS[decoded.role] || [],
+      tenants,
+      timeZone,
+      timeZones,
+      tenantLabels
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Logout
-app.post('/api/logout', (req, res) => {
-  res.clearCookie('token');
-  res.json({ success: true });
+app.post('/api/logout', async (req, res) => {
+  try {
+    await revokeSession(req, res);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
 });
 
+// User management (admin only) – see users.js
+app.use('/api/users', requireAuth, requirePermission('users:manage'), usersRouter);
+
+// Tenant registry: labels, upstream URL / credentials, time zone (admin only) – see tenants.js
+app.use('/api/tenants', requireAuth, requirePermission('tenants:manage'), tenantsRouter);
+
+// Encrypted upstream connection profiles per tenant (admin only) – see connections.js
+app.use('/api/connections', requireAuth, requirePermission('connections:manage'), connectionsRouter);
+
+// Audit trail search / CSV export (admin only) – see audit.js
+app.use('/api/audit', requireAuth, requirePermission('audit:view'), auditRouter);
+
+// Merged, de-duplicated view of all report types with one cursor – see combined.js
+// (registered before /api/reports/:type so `combined` is not taken as a type)
+app.use('/api/reports/combined', requireAuth, combinedRouter);
+
 // GET /api/reports/:type?account=<tenant>&start=<ISO>&end=<ISO>
-app.get('/api/reports/:type', async (req, res) => {
+// With filter / sort params (reportFilters.js) or `accounts=a,b` (several
+// tenants) the pages are scanned server-side and `next` is a cursor to pass
+// back as `cursor` (combined.js); otherwise `next` is the upstream key to
+// pass back as `startKey`.
+app.get('/api/reports/:type', requireAuth, requireTenantAccess, requirePermission(req => `reports:${req.params.type}`), async (req, res) => {
   const { type } = req.params;
-  const { account, start, end, limit: limitStr, startKey } = req.query;
+  if (req.query.cursor || req.query.accounts || hasReportQuery(req.query)) {
+    return handleReportQuery(req, res, { type });
+  }
+  // Checked by requireTenantAccess
+  const { account } = req;
+  const { start, end, limit: limitStr, startKey } = req.query;
+  // 'upstream' (portal API) or 'warehouse' (local copy, see warehouse.js)
+  const source = req.query.source || process.env.REPORT_SOURCE || 'upstream';
 
   if (!account) {
     return res.status(400).json({ error: 'Missing account query param' });
   }
+  if (!['upstream', 'warehouse'].includes(source)) {
+    return res.status(400).json({ error: `Unknown source: ${source}` });
+  }
 
   const params = {};
   if (start) {
@@ -142,42 +249,30 @@ app.get('/api/reports/:type', async (req, res) => {
 
   const limit = Math.min(Number(limitStr) || 1000, 1000);
 
-  // Debug: log exactly what we are about to request
-  console.log('fetchReport payload', {
-    type,
-    account,
-    startDate: params.startDate,
-    endDate: params.endDate,
-    startKey,
-    limit
-  });
-
   try {
-    const result = await fetchReport(type, account, { ...params, ...(startKey && { start_key: startKey }), maxRows: limit });
-
-    const rows = Array.isArray(result) ? result : result.rows;
+    const pageParams = { ...params, ...(startKey && { start_key: startKey }), maxRows: limit };
+    const result = source === 'warehouse'
+      ? await queryWarehouse(type, account, pageParams)
+      : await fetchReport(type, account, pageParams);
+    if (source !== 'warehouse') captureRows(type, account, Array.isArray(result) ? result : result.rows);
+
+    // Supervisors only receive rows for their assigned queues / campaigns
+    const rows = await applyUserScope(req.user, type, Array.isArray(result) ? result : result.rows);
     const nextToken = Array.isArray(result) ? null : result.next;
 
-    const processedData = rows.map(row => {
-      // Ensure agent_history is an array
-      let history = row.agent_history;
-      if (typeof history === 'string') {
-        try { history = JSON.parse(history); } catch { history = []; }
-      }
-
-      let ts = row.answered_time;
-      if (!ts && Array.isArray(history)) {
-        const answerEvt = history.find(e => e.event === 'answer' || e.connected);
-        if (answerEvt?.last_attempt) {
-          const ms = answerEvt.last_attempt > 10_000_000_000 ? answerEvt.last_attempt : answerEvt.last_attempt * 1000;
-          ts = new Date(ms).toISOString();
-        }
-      }
-      // Preserve all original row properties including Extension column
-      return { ...row, answered_time: ts ?? '--', agent_history: history };
+    // Parse agent_history and derive answered_time (see normalize.js)
+    const processedData = rows.map(prepareRow);
+    recordAudit(req, {
+      action: 'report.query',
+      tenant: account,
+      reportType: type,
+      start,
+      end,
+      details: { rows: processedData.length, source, ...(startKey && { startKey }) }
     });
     res.json({ data: processedData, next: nextToken });
   } catch (err) {
+    if (err instanceof WarehouseQueryError) return res.status(400).json({ error: err.message });
     const upstreamErr = err.response?.data?.error;
     // Prefer specific message from upstream if present
     const msg = (typeof upstreamErr === 'string') ? upstreamErr : upstreamErr?.message || err.message;
@@ -186,45 +281,134 @@ app.get('/api/reports/:type', async (req, res) => {
   }
 });
 
+// Service level / ASA / abandon rate per queue and interval – see kpis.js
+app.use('/api/kpis', requireAuth, kpisRouter);
+
+// Chart datasets for public/dashboard.html – see aggregates.js
+app.use('/api/aggregates', requireAuth, aggregatesRouter);
+
+// Agent scorecard and status report – see agents.js
+app.use('/api/agents', requireAuth, agentsRouter);
+
+// Live wallboard stream (Server-Sent Events) – see wallboard.js
+app.use('/api/wallboard', requireAuth, wallboardRouter);
+
+// Threshold alert rules and history – see alerts.js
+app.use('/api/alerts', requireAuth, alertsRouter);
+
+// Outbound webhook subscriptions, deliveries and replay – see webhooks.js
+app.use('/api/webhooks', requireAuth, requirePermission('webhooks:manage'), webhooksRouter);
+
+// GET /api/exports/:type?account=<tenant>&start=<ISO>&end=<ISO>&format=csv|xlsx
+// Streams every page of the window as a file. `type` is a report key or
+// `combined` (all report types the role may view, de-duplicated by Call ID).
+// `accounts=a,b` exports several tenants into one file with a Tenant column,
+// in the user's zone or else the first tenant's.
+app.get('/api/exports/:type', requireAuth, requireTenantAccess, requirePermission('export:csv'), async (req, res) => {
+  const { type } = req.params;
+  const { start, end } = req.query;
+  const { accounts } = req;   // checked by requireTenantAccess
+
+  if (!accounts.length) {
+    return res.status(400).json({ error: 'Missing account query param' });
+  }
+
+  let types, format, params;
+  try {
+    ({ types, format, params } = parseExportRequest(
+      { type, format: req.query.format, start, end },
+      t => hasPermission(req.user.role, `reports:${t}`)
+    ));
+  } catch (err) {
+    if (err instanceof ExportRequestError) return res.status(err.status).json({ error: err.message });
+    throw err;
+  }
+
+  const filename = `${type}_${accounts.join('+')}_${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    const writer = createExportWriter(format, res, exportHeaders(accounts));
+    const { rows, pages } = await exportReports({
+      types,
+      tenants: accounts,
+      params,
+      writer,
+      filterRows: (reportType, pageRows) => applyUserScope(req.user, reportType, pageRows),
+      timeZone: await resolveTimeZone(req.user, accounts[0])
+    });
+    console.log(`📤 Export ${filename}: ${rows} rows from ${pages} pages`);
+    for (const account of accounts) {
+      recordAudit(req, {
+        action: `export.${format}`,
+        tenant: account,
+        reportType: types.join(','),
+        start,
+        end,
+        details: { rows, pages, format, source: 'server', ...(accounts.length > 1 && { accounts }) }
+      });
+    }
+  } catch (err) {
+    console.error('❌ Export failed:', err.response?.data || err.message);
+    // Once bytes are on the wire the only way to signal failure is to cut the stream
+    if (res.headersSent) return res.destroy(err);
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Background exports for very large windows – see exportJobs.js
+app.use('/api/export-jobs', requireAuth, requirePermission('export:csv'), exportJobsRouter);
+
+// Scheduled report delivery (admin only) – see scheduler.js
+app.use('/api/schedules', requireAuth, requirePermission('schedules:manage'), schedulesRouter);
+
+// Local report warehouse and its incremental sync (admin only) – see warehouse.js, syncWorker.js
+app.use('/api/warehouse/sync', requireAuth, requirePermission('warehouse:manage'), syncRouter);
+app.use('/api/warehouse', requireAuth, requirePermission('warehouse:manage'), warehouseRouter);
+
 // Simple in-memory cache: recordingId ⇒ duration (seconds)
 const durationCache = new Map();
 
 // Lightweight endpoint to expose recording duration without downloading full file
-app.get('/api/recordings/:id/meta', async (req, res) => {
+app.get('/api/recordings/:id/meta', requireAuth, requireTenantAccess, requirePermission('recordings:play'), async (req, res) => {
   const { id } = req.params;
-  const { account } = req.query;
+  const { account } = req;   // checked by requireTenantAccess
 
   if (!account) {
     return res.status(400).json({ error: 'Missing account query param' });
   }
 
   // Return cached value if present
-  if (durationCache.has(id)) {
-    return res.json({ duration: durationCache.get(id) });
+  // Recording ids are only unique per tenant
+  const cacheKey = `${account}:${id}`;
+  if (durationCache.has(cacheKey)) {
+    return res.json({ duration: durationCache.get(cacheKey) });
   }
 
   try {
-    const token = await getPortalToken(account);
-    const url = `${process.env.BASE_URL}/api/v2/reports/recordings/${id}`;
+    const upstream = await getUpstream(account);
+    const url = `${upstream.baseUrl}/api/v2/reports/recordings/${id}`;
 
     // Fetch first 128 KB – enough for metadata / VBR TOC
-    const upstreamRes = await axios.get(url, {
+    const upstreamRes = await withPortalToken(account, token => axios.get(url, {
       responseType: 'arraybuffer',
-      httpsAgent,
+      httpsAgent: upstream.httpsAgent,
       headers: {
         Authorization: `Bearer ${token}`,
         'X-User-Agent': 'portal',
-        'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? account,
+        'X-Account-ID': upstream.accountHeader,
         Range: 'bytes=0-131071',
         'Accept-Encoding': 'identity'
       },
       decompress: false
-    });
+    }));
 
     const { format } = await parseBuffer(Buffer.from(upstreamRes.data), 'audio/mpeg');
     if (!format.duration) throw new Error('Unable to determine duration');
 
-    durationCache.set(id, format.duration);
+    durationCache.set(cacheKey, format.duration);
     res.json({ duration: format.duration });
   } catch (err) {
     const status = err.response?.status || 500;
@@ -237,38 +421,37 @@ app.get('/api/recordings/:id/meta', async (req, res) => {
 
 // Proxy: GET /api/recordings/:id?account=<tenant>
 // Streams the MP3 recording from the upstream UC backend while adding the required auth token.
-app.get('/api/recordings/:id', async (req, res) => {
+app.get('/api/recordings/:id', requireAuth, requireTenantAccess, requirePermission('recordings:play'), async (req, res) => {
   const { id } = req.params;
-  const { account } = req.query;
+  const { account } = req;   // checked by requireTenantAccess
 
   if (!account) {
     return res.status(400).json({ error: 'Missing account query param' });
   }
 
   try {
-    // Obtain (cached) JWT for this tenant
-    const token = await getPortalToken(account);
-
-    const upstreamUrl = `${process.env.BASE_URL}/api/v2/reports/recordings/${id}`;
+    const upstream = await getUpstream(account);
+    const upstreamUrl = `${upstream.baseUrl}/api/v2/reports/recordings/${id}`;
     // Ensure we get Content-Range/Length: if browser didn't request a range, request the full file starting from byte 0
     let rangeHdr = req.headers.range;
     if (!rangeHdr) {
       rangeHdr = 'bytes=0-';
     }
 
-    const upstreamRes = await axios.get(upstreamUrl, {
+    // (Cached) JWT for this tenant, renewed once if upstream answers 401
+    const upstreamRes = await withPortalToken(account, token => axios.get(upstreamUrl, {
       responseType: 'stream',
-      httpsAgent,
+      httpsAgent: upstream.httpsAgent,
       headers: {
         Authorization: `Bearer ${token}`,
         'X-User-Agent': 'portal',
-        'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? account,
+        'X-Account-ID': upstream.accountHeader,
         Range: rangeHdr,
         'Accept-Encoding': 'identity'
       },
       // Ensure axios does not decompress so byte positions stay intact
       decompress: false
-    });
+    }));
 
     // Mirror upstream status (200 or 206 for range requests) and critical headers
     res.status(upstreamRes.status);
@@ -289,14 +472,20 @@ app.get('/api/recordings/:id', async (req, res) => {
     });
 
     // If we have cached duration, advertise it so browsers can show timeline immediately
-    if (durationCache.has(id)) {
-      const dur = durationCache.get(id);
+    if (durationCache.has(`${account}:${id}`)) {
+      const dur = durationCache.get(`${account}:${id}`);
       // Non-standard but understood by Chrome/Firefox
       res.setHeader('X-Content-Duration', dur.toFixed(3));
       // RFC 3803 (used by QuickTime / Safari)
       res.setHeader('Content-Duration', dur.toFixed(3));
     }
 
+    // Audit playback once per listen: the initial request starts at byte 0,
+    // later seeks ask for other ranges and are not recorded again.
+    if (/^bytes=0-/.test(rangeHdr)) {
+      recordAudit(req, { action: 'recording.play', tenant: account, recordingId: id });
+    }
+
     // Stream data
     upstreamRes.data.pipe(res);
   } catch (err) {
@@ -375,3 +564,15 @@ if (sslOptions && useHTTPS) {
     process.exit(1);
   });
 }
+
+// Cron-driven report delivery (see scheduler.js)
+startScheduler();
+
+// Queue threshold alerts (see alerts.js)
+startAlerting();
+
+// Signed webhook events for new call records (see webhooks.js)
+startWebhooks();
+
+// Incremental warehouse sync in-process; can also run standalone with `npm run sync`
+if (process.env.SYNC_ENABLED === 'true') startSyncWorker();
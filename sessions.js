@@ -0,0 +1,151 @@
+// sessions.js
+// Dashboard login sessions: a short-lived access JWT plus a rotating refresh
+// token stored (hashed) in the `refresh_tokens` table.
+//
+//   • issueSession        – after a successful password login
+//   • rotateSession       – POST /api/auth/refresh; old token revoked, new one
+//                           issued with a fresh idle window (sliding session)
+//   • revokeSession       – POST /api/logout
+//   • revokeUserSessions  – user disabled / deleted / password reset
+//
+// Presenting a refresh token that was already rotated is treated as theft and
+// revokes every session of that user.
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import ms from 'ms';
+import { pool } from './db.js';
+import { JWT_SECRET } from './auth.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+// Idle timeout: a session survives as long as it is refreshed within this window
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '12h';
+
+// Refresh cookie is never needed by static pages; keep it to the API (refresh + logout)
+const REFRESH_COOKIE = 'refresh_token';
+const REFRESH_COOKIE_PATH = '/api';
+
+// Thrown when a refresh token cannot be used; routes answer 401
+export class SessionError extends Error {}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { id: user.id, username: user.username, email: user.email, role: user.role },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function storeRefreshToken(conn, userId, req) {
+  const token = crypto.randomBytes(48).toString('hex');
+  const [result] = await conn.query(
+    'INSERT INTO refresh_tokens (user_id, token_hash, expires_at, user_agent, ip) VALUES (?, ?, ?, ?, ?)',
+    [userId, hashToken(token), new Date(Date.now() + ms(REFRESH_TOKEN_TTL)), (req.get('user-agent') || '').slice(0, 255), req.ip]
+  );
+  return { token, id: result.insertId };
+}
+
+// Set both cookies and return the body shared by login and refresh
+function sendTokens(res, accessToken, refreshToken) {
+  res.cookie('token', accessToken, { httpOnly: true, sameSite: 'lax', maxAge: ms(ACCESS_TOKEN_TTL) });
+  res.cookie(REFRESH_COOKIE, refreshToken, { httpOnly: true, sameSite: 'lax', path: REFRESH_COOKIE_PATH, maxAge: ms(REFRESH_TOKEN_TTL) });
+  // Tokens also go in the body for iframe scenarios where cookies are not sent
+  return { success: true, token: accessToken, refreshToken };
+}
+
+/**
+ * Read the refresh token from its cookie or, as a fallback, the JSON body.
+ *
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+export function getRefreshToken(req) {
+  return req.cookies?.[REFRESH_COOKIE] || req.body?.refreshToken || null;
+}
+
+/**
+ * Start a new session for an authenticated user.
+ *
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ * @param {{id:number, username:string, email:string, role:string}} user
+ * @returns {Promise<object>} response body `{ success, token, refreshToken }`
+ */
+export async function issueSession(req, res, user) {
+  const { token } = await storeRefreshToken(pool, user.id, req);
+  return sendTokens(res, signAccessToken(user), token);
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ * The user row is re-read so role changes and disabling take effect.
+ *
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ * @returns {Promise<object>} response body `{ success, token, refreshToken }`
+ * @throws {SessionError}
+ */
+export async function rotateSession(req, res) {
+  const presented = getRefreshToken(req);
+  if (!presented) throw new SessionError('No refresh token');
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query(
+      'SELECT id, user_id, expires_at, revoked_at FROM refresh_tokens WHERE token_hash = ? FOR UPDATE',
+      [hashToken(presented)]
+    );
+    const stored = rows[0];
+    if (!stored) throw new SessionError('Unknown refresh token');
+
+    if (stored.revoked_at) {
+      // Reuse of a rotated token – assume it leaked and end every session
+      await conn.query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [stored.user_id]);
+      await conn.commit();
+      throw new SessionError('Refresh token already used');
+    }
+    if (new Date(stored.expires_at).getTime() <= Date.now()) throw new SessionError('Refresh token expired');
+
+    const [users] = await conn.query('SELECT id, username, email, role, disabled FROM users WHERE id = ?', [stored.user_id]);
+    const user = users[0];
+    if (!user || user.disabled) throw new SessionError('Account unavailable');
+
+    const next = await storeRefreshToken(conn, user.id, req);
+    await conn.query('UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = ? WHERE id = ?', [next.id, stored.id]);
+    await conn.commit();
+    return sendTokens(res, signAccessToken(user), next.token);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Revoke the refresh token presented with the request and clear cookies.
+ *
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ */
+export async function revokeSession(req, res) {
+  const presented = getRefreshToken(req);
+  res.clearCookie('token');
+  res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+  if (presented) {
+    await pool.query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL', [hashToken(presented)]);
+  }
+}
+
+/**
+ * Revoke every active refresh token of a user (access tokens still expire
+ * on their own within ACCESS_TOKEN_TTL).
+ *
+ * @param {number} userId
+ */
+export async function revokeUserSessions(userId) {
+  await pool.query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [userId]);
+}
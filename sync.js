@@ -0,0 +1,33 @@
+// sync.js
+// Standalone incremental sync daemon for the report warehouse (see syncWorker.js).
+//
+// Usage:
+//   node -r dotenv/config sync.js          – poll forever, delivering webhooks too (Ctrl-C to stop)
+//   node -r dotenv/config sync.js --once   – a single pass, then exit
+
+import { pool } from './db.js';
+import { runSyncPass, startSyncWorker, stopSyncWorker } from './syncWorker.js';
+import { startWebhooks, stopWebhooks } from './webhooks.js';
+
+async function shutdown() {
+  console.log('🛑 Stopping sync worker…');
+  await stopSyncWorker();
+  stopWebhooks();
+  await pool.end();
+  process.exit(0);
+}
+
+if (process.argv.includes('--once')) {
+  runSyncPass()
+    .catch(err => {
+      console.error('❌ Sync failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+} else {
+  // Synced pages also feed webhook subscriptions
+  startWebhooks();
+  startSyncWorker();
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,193 @@
+// syncWorker.js
+// Incremental sync of the report warehouse (warehouse.js): every
+// SYNC_INTERVAL each tenant / report pair is polled for rows newer than its
+// high-water mark and the pages are upserted.
+//
+//   • The high-water mark is the newest called_at stored so far, kept in
+//     `warehouse_sync_state` so a restart resumes where it stopped.
+//   • Each poll starts SYNC_LOOKBACK before the mark, so rows the upstream
+//     updates after hangup (dispositions, recordings, late legs) are fetched
+//     again and refreshed in place.
+//   • A pair that has never been synced starts SYNC_INITIAL_WINDOW ago; older
+//     history is loaded with ingest.js.
+//
+//   GET  /api/warehouse/sync      – status and lag per tenant / report
+//   POST /api/warehouse/sync/run  – start a pass now (202)
+//
+// Runs inside the server when SYNC_ENABLED=true, or standalone via sync.js.
+// Tenants come from SYNC_TENANTS (comma separated) or else every tenant in
+// user_tenants.
+
+import express from 'express';
+import ms from 'ms';
+import { pool } from './db.js';
+import { iterateReport } from './exporter.js';
+import { WAREHOUSE_TABLES, upsertRows } from './warehouse.js';
+
+const INTERVAL = ms(process.env.SYNC_INTERVAL || '5m');
+const LOOKBACK = ms(process.env.SYNC_LOOKBACK || '2h');
+const INITIAL_WINDOW = ms(process.env.SYNC_INITIAL_WINDOW || '1d');
+const SYNC_TYPES = Object.keys(WAREHOUSE_TABLES);
+
+let timer = null;
+let currentPass = null;   // Promise of the pass in progress
+let lastPass = null;      // { startedAt, finishedAt, tenants }
+
+async function syncTenants() {
+  if (process.env.SYNC_TENANTS) {
+    return process.env.SYNC_TENANTS.split(',').map(t => t.trim()).filter(Boolean);
+  }
+  const [rows] = await pool.query('SELECT DISTINCT tenant FROM user_tenants ORDER BY tenant');
+  return rows.map(r => r.tenant);
+}
+
+async function loadState(tenant, type) {
+  const [rows] = await pool.query(
+    'SELECT high_water FROM warehouse_sync_state WHERE tenant = ? AND report_type = ?',
+    [tenant, type]
+  );
+  return rows[0] ?? null;
+}
+
+async function saveState(tenant, type, fields) {
+  await pool.query(
+    `INSERT INTO warehouse_sync_state (tenant, report_type, ${Object.keys(fields).join(', ')})
+     VALUES (?, ?, ${Object.keys(fields).map(() => '?').join(', ')})
+     ON DUPLICATE KEY UPDATE ${Object.keys(fields).map(k => `${k} = VALUES(${k})`).join(', ')}`,
+    [tenant, type, ...Object.values(fields)]
+  );
+}
+
+/**
+ * Pull one tenant / report pair from its high-water mark up to now.
+ *
+ * @param {string} tenant
+ * @param {string} type
+ * @returns {Promise<{pages:number, stored:number, highWater:Date|null}>}
+ */
+export async function syncReport(tenant, type) {
+  const state = await loadState(tenant, type);
+  const now = Date.now();
+  let highWater = state?.high_water ? new Date(state.high_water) : null;
+  const from = highWater ? highWater.getTime() - LOOKBACK : now - INITIAL_WINDOW;
+  const params = { startDate: Math.floor(from / 1000), endDate: Math.floor(now / 1000) };
+
+  await saveState(tenant, type, { last_run_at: new Date(now) });
+  let pages = 0;
+  let stored = 0;
+  try {
+    for await (const page of iterateReport(type, tenant, params)) {
+      const result = await upsertRows(type, tenant, page);
+      pages++;
+      stored += result.stored;
+      // Never move the mark past "now" (clock skew / future-dated rows)
+      if (result.latest && result.latest.getTime() <= now && (!highWater || result.latest > highWater)) {
+        highWater = result.latest;
+      }
+    }
+    await saveState(tenant, type, {
+      high_water: highWater,
+      last_success_at: new Date(),
+      rows_last_run: stored,
+      last_error: null
+    });
+    return { pages, stored, highWater };
+  } catch (err) {
+    const upstreamErr = err.response?.data?.error;
+    const msg = (typeof upstreamErr === 'string') ? upstreamErr : upstreamErr?.message || err.message;
+    await saveState(tenant, type, { last_error: msg.slice(0, 1000) })
+      .catch(dbErr => console.error('❌ Could not record sync error:', dbErr.message));
+    throw err;
+  }
+}
+
+/**
+ * One pass over every tenant and report type. Concurrent callers share the
+ * pass already running.
+ *
+ * @returns {Promise<void>}
+ */
+export function runSyncPass() {
+  if (currentPass) return currentPass;
+  currentPass = (async () => {
+    const startedAt = new Date();
+    const tenants = await syncTenants();
+    for (const tenant of tenants) {
+      for (const type of SYNC_TYPES) {
+        try {
+          const { stored, pages } = await syncReport(tenant, type);
+          if (stored) console.log(`🔄 Sync ${tenant}/${type}: ${stored} rows from ${pages} pages`);
+        } catch (err) {
+          console.error(`❌ Sync ${tenant}/${type} failed:`, err.response?.data || err.message);
+        }
+      }
+    }
+    lastPass = { startedAt, finishedAt: new Date(), tenants };
+  })().finally(() => { currentPass = null; });
+  return currentPass;
+}
+
+/**
+ * Start polling: one pass now, the next INTERVAL after each pass ends.
+ */
+export function startSyncWorker() {
+  if (timer !== null) return;
+  console.log(`🔄 Sync worker started (every ${ms(INTERVAL, { long: true })}, lookback ${ms(LOOKBACK, { long: true })})`);
+  const tick = () => {
+    runSyncPass()
+      .catch(err => console.error('❌ Sync pass failed:', err.message))
+      .finally(() => {
+        if (timer !== null) timer = setTimeout(tick, INTERVAL);
+      });
+  };
+  timer = setTimeout(tick, 0);
+}
+
+/**
+ * Stop polling and wait for a pass in progress to finish.
+ *
+ * @returns {Promise<void>}
+ */
+export async function stopSyncWorker() {
+  clearTimeout(timer);
+  timer = null;
+  await currentPass?.catch(() => {});
+}
+
+// ---------------- Routes ----------------
+
+export const syncRouter = express.Router();
+
+syncRouter.get('/', async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT tenant, report_type, high_water, last_run_at, last_success_at, rows_last_run, last_error
+       FROM warehouse_sync_state ORDER BY tenant, report_type`
+    );
+    const now = Date.now();
+    const lag = d => (d ? Math.round((now - new Date(d).getTime()) / 1000) : null);
+    res.json({
+      running: Boolean(currentPass),
+      polling: timer !== null,
+      intervalSeconds: INTERVAL / 1000,
+      lookbackSeconds: LOOKBACK / 1000,
+      lastPass,
+      data: rows.map(r => ({
+        ...r,
+        // How far behind the newest stored call is, and how stale the last good sync is
+        lagSeconds: lag(r.high_water),
+        sinceSuccessSeconds: lag(r.last_success_at),
+        healthy: !r.last_error && r.last_success_at != null && lag(r.last_success_at) < (INTERVAL * 3) / 1000
+      }))
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+syncRouter.post('/run', (req, res) => {
+  const alreadyRunning = Boolean(currentPass);
+  runSyncPass().catch(err => console.error('❌ Sync pass failed:', err.message));
+  res.status(202).json({ started: !alreadyRunning, running: true });
+});
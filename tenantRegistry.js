@@ -0,0 +1,182 @@
+// tenantRegistry.js
+// Registry of tenant accounts (the `tenants` table), read by the upstream
+// clients, the report routes and /api/auth/check. Admins edit it through
+// tenants.js.
+//
+// A tenant entry is:
+//   tenant         – upstream `account` / domain, e.g. spc
+//   label          – name shown in the account picker (defaults to tenant)
+//   baseUrl        – upstream base URL, overriding BASE_URL
+//   credentialsRef – suffix of the env vars holding its portal login:
+//                    API_USERNAME_<ref> / API_PASSWORD_<ref>; without one the
+//                    tenant logs in with API_USERNAME / API_PASSWORD
+//   timeZone       – zone its reports are shown in (else DEFAULT_TIME_ZONE)
+//
+// Tenants granted to users but not registered behave as before the
+// registry: BASE_URL, the default credentials and DEFAULT_TIME_ZONE.
+//
+// A tenant with an encrypted connection profile (connectionStore.js) is
+// reached with that instead: its base URL, login, X-Account-ID value and TLS
+// mode win over baseUrl / credentialsRef / ACCOUNT_ID_HEADER.
+
+import ms from 'ms';
+import { pool } from './db.js';
+import { getUserAccess } from './auth.js';
+import { DEFAULT_TIME_ZONE } from './timeZones.js';
+import { getConnection, insecureAgent } from './connectionStore.js';
+
+const REGISTRY_TTL = ms('1m');
+const RETRY_AFTER = ms('10s');
+let registryCache = { expires: 0, tenants: new Map() };   // tenant ⇒ entry
+
+// DB row → entry
+function toEntry(row) {
+  return {
+    tenant: row.tenant,
+    label: row.label,
+    baseUrl: row.base_url,
+    credentialsRef: row.credentials_ref,
+    timeZone: row.time_zone,
+    updatedAt: row.updated_at
+  };
+}
+
+// A failed reload keeps the last registry (empty before the first load, e.g.
+// the reportFetcher CLI without a database) and retries after RETRY_AFTER
+async function loadRegistry() {
+  if (Date.now() < registryCache.expires) return registryCache.tenants;
+  try {
+    const [rows] = await pool.query('SELECT tenant, label, base_url, credentials_ref, time_zone, updated_at FROM tenants');
+    registryCache = {
+      expires: Date.now() + REGISTRY_TTL,
+      tenants: new Map(rows.map(r => [r.tenant, toEntry(r)]))
+    };
+  } catch (err) {
+    console.warn(`⚠️  Tenant registry not loaded: ${err.code || err.message}`);
+    registryCache.expires = Date.now() + RETRY_AFTER;
+  }
+  return registryCache.tenants;
+}
+
+/**
+ * Drop the cached registry after an edit.
+ */
+export function invalidateRegistry() {
+  registryCache.expires = 0;
+}
+
+/**
+ * Registry entry of a tenant.
+ *
+ * @param {string} tenant
+ * @returns {Promise<object|null>} null when the tenant is not registered
+ */
+export async function getTenant(tenant) {
+  return (await loadRegistry()).get(tenant) ?? null;
+}
+
+/**
+ * Every registered tenant, by name.
+ *
+ * @returns {Promise<object[]>}
+ */
+export async function listTenants() {
+  return [...(await loadRegistry()).values()].sort((a, b) => a.tenant.localeCompare(b.tenant));
+}
+
+/**
+ * Whether the env vars named by a credentials reference are set.
+ *
+ * @param {string|null} ref
+ * @returns {boolean}
+ */
+export function credentialsConfigured(ref) {
+  return ref
+    ? Boolean(process.env[`API_USERNAME_${ref}`] && process.env[`API_PASSWORD_${ref}`])
+    : Boolean(process.env.API_USERNAME && process.env.API_PASSWORD);
+}
+
+/**
+ * Where and as whom to call the upstream for a tenant.
+ *
+ * @param {string} tenant
+ * @returns {Promise<{baseUrl:string, username:string, password:string, accountHeader:string,
+ *                    httpsAgent:import('https').Agent, source:'connection'|'registry'|'default'}>}
+ *          accountHeader is the X-Account-ID value.
+ * @throws {Error} when the tenant's connection profile cannot be decrypted or
+ *                 its credentials reference is not configured
+ */
+export async function getUpstream(tenant) {
+  const connection = await getConnection(tenant);
+  if (connection) {
+    // Never fall back to other credentials for a tenant that has its own
+    if (connection.error) throw new Error(`Connection profile of ${tenant} is unusable: ${connection.error}`);
+    return {
+      baseUrl: connection.baseUrl,
+      username: connection.username,
+      password: connection.password,
+      accountHeader: connection.accountHeader || process.env.ACCOUNT_ID_HEADER || tenant,
+      httpsAgent: connection.httpsAgent,
+      source: 'connection'
+    };
+  }
+
+  const entry = await getTenant(tenant);
+  const ref = entry?.credentialsRef;
+  if (ref && !credentialsConfigured(ref)) {
+    throw new Error(`Credentials "${ref}" for ${tenant} are not configured (API_USERNAME_${ref} / API_PASSWORD_${ref})`);
+  }
+  return {
+    baseUrl: entry?.baseUrl || process.env.BASE_URL,
+    username: ref ? process.env[`API_USERNAME_${ref}`] : process.env.API_USERNAME,
+    password: ref ? process.env[`API_PASSWORD_${ref}`] : process.env.API_PASSWORD,
+    accountHeader: process.env.ACCOUNT_ID_HEADER ?? tenant,
+    httpsAgent: insecureAgent,
+    source: entry ? 'registry' : 'default'
+  };
+}
+
+/**
+ * Time zone configured for a tenant, or DEFAULT_TIME_ZONE.
+ *
+ * @param {string} tenant
+ * @returns {Promise<string>}
+ */
+export async function getTenantTimeZone(tenant) {
+  return (await getTenant(tenant))?.timeZone || DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Zone a user sees a tenant's data in: user override, tenant, default.
+ *
+ * @param {{id:number}|null} user – omit for background jobs (tenant zone only).
+ * @param {string} tenant
+ * @returns {Promise<string>}
+ */
+export async function resolveTimeZone(user, tenant) {
+  if (user?.id != null) {
+    const { timeZone } = await getUserAccess(user.id);
+    if (timeZone) return timeZone;
+  }
+  return getTenantTimeZone(tenant);
+}
+
+/**
+ * What the browser needs about the tenants a user may query: the label and
+ * effective zone of each, plus the zone used where no tenant is involved
+ * (audit trail, user admin).
+ *
+ * @param {number} userId
+ * @returns {Promise<{timeZone:string, timeZones:Object<string,string>, tenantLabels:Object<string,string>}>}
+ */
+export async function describeUserTenants(userId) {
+  const access = await getUserAccess(userId);
+  const timeZones = {};
+  const tenantLabels = {};
+  for (const tenant of access.tenants) {
+    const entry = await getTenant(tenant);
+    timeZones[tenant] = access.timeZone || entry?.timeZone || DEFAULT_TIME_ZONE;
+    tenantLabels[tenant] = entry?.label || tenant;
+  }
+  return { timeZone: access.timeZone || DEFAULT_TIME_ZONE, timeZones, tenantLabels };
+}
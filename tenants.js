@@ -0,0 +1,201 @@
+// tenants.js
+// Admin routes for the tenant registry (tenantRegistry.js): display label,
+// upstream base URL override, credentials reference and time zone of each
+// tenant account.
+//
+//   GET    /api/tenants          – registered tenants plus every tenant granted
+//                                  to a user (those use the defaults)
+//   POST   /api/tenants          – { tenant, label?, baseUrl?, credentialsRef?, timeZone? }
+//   PUT    /api/tenants/:tenant  – same fields, only those given change; an
+//                                  unregistered tenant is registered
+//   DELETE /api/tenants/:tenant  – back to the defaults (user grants stay)
+//
+// Credentials never go through the API or the database: credentialsRef names
+// the env vars API_USERNAME_<ref> / API_PASSWORD_<ref>, and responses only say
+// whether they are set (`credentialsConfigured`). null or '' clears a field.
+//
+// The zone a request uses is resolveTimeZone(): the user's own zone
+// (users.time_zone, set on the Users page) if any, else the tenant's, else
+// DEFAULT_TIME_ZONE.
+//
+// The router is mounted in server.js behind requireAuth + requirePermission('tenants:manage').
+
+import express from 'express';
+import { pool } from './db.js';
+import { recordAudit } from './audit.js';
+import { forgetTokens } from './tokenService.js';
+import { invalidateRegistry, credentialsConfigured } from './tenantRegistry.js';
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from './timeZones.js';
+
+const TENANT_RE = /^[\w.-]{1,100}$/;
+const CREDENTIALS_REF_RE = /^[A-Z0-9_]{1,50}$/;
+
+// Validation failures are reported to the client as 400s
+class ValidationError extends Error {}
+
+// Optional zone from a request body; null clears it
+function cleanTimeZone(value) {
+  if (value == null || String(value).trim() === '') return null;
+  const zone = String(value).trim();
+  if (!isValidTimeZone(zone)) throw new ValidationError(`Unknown time zone: ${zone}`);
+  return zone;
+}
+
+function cleanLabel(value) {
+  if (value == null || String(value).trim() === '') return null;
+  const label = String(value).trim();
+  if (label.length > 100) throw new ValidationError('label must be at most 100 characters');
+  return label;
+}
+
+function cleanBaseUrl(value) {
+  if (value == null || String(value).trim() === '') return null;
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch {
+    throw new ValidationError(`Invalid baseUrl: ${value}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new ValidationError('baseUrl must be http(s)');
+  return url.href.replace(/\/+$/, '');
+}
+
+function cleanCredentialsRef(value) {
+  if (value == null || String(value).trim() === '') return null;
+  const ref = String(value).trim().toUpperCase();
+  if (!CREDENTIALS_REF_RE.test(ref)) {
+    throw new ValidationError('credentialsRef may only contain A-Z, 0-9 and _ (max 50)');
+  }
+  return ref;
+}
+
+// Request body ⇒ { column: value } for the fields present
+function toColumns(body = {}) {
+  const cols = {};
+  if (body.label !== undefined) cols.label = cleanLabel(body.label);
+  if (body.baseUrl !== undefined) cols.base_url = cleanBaseUrl(body.baseUrl);
+  if (body.credentialsRef !== undefined) cols.credentials_ref = cleanCredentialsRef(body.credentialsRef);
+  if (body.timeZone !== undefined) cols.time_zone = cleanTimeZone(body.timeZone);
+  return cols;
+}
+
+// Cleaned columns ⇒ API field names, for the audit trail
+const FIELD_NAMES = { label: 'label', base_url: 'baseUrl', credentials_ref: 'credentialsRef', time_zone: 'timeZone' };
+function toDetails(cols) {
+  return Object.fromEntries(Object.entries(cols).map(([col, v]) => [FIELD_NAMES[col], v]));
+}
+
+// DB row → API shape
+function toApi(row) {
+  return {
+    tenant: row.tenant,
+    registered: Boolean(row.registered),
+    label: row.label,
+    baseUrl: row.base_url,
+    credentialsRef: row.credentials_ref,
+    credentialsConfigured: credentialsConfigured(row.credentials_ref),
+    timeZone: row.time_zone,
+    effectiveTimeZone: row.time_zone || DEFAULT_TIME_ZONE,
+    updatedAt: row.updated_at
+  };
+}
+
+async function getTenantRow(tenant) {
+  const [rows] = await pool.query(
+    'SELECT tenant, 1 AS registered, label, base_url, credentials_ref, time_zone, updated_at FROM tenants WHERE tenant = ?',
+    [tenant]
+  );
+  return rows[0] ? toApi(rows[0]) : null;
+}
+
+// Registry changed: next lookups reload it and log in again
+function afterChange(tenant) {
+  invalidateRegistry();
+  forgetTokens(tenant);
+}
+
+// Map known errors to HTTP responses
+function sendError(res, err) {
+  if (err instanceof ValidationError) return res.status(400).json({ error: err.message });
+  if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Tenant already registered' });
+  console.error(err);
+  res.status(500).json({ error: 'Server error' });
+}
+
+// ---------------- Routes ----------------
+
+export const tenantsRouter = express.Router();
+
+// Registered tenants plus every tenant granted to a user
+tenantsRouter.get('/', async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT t.tenant, 1 AS registered, t.label, t.base_url, t.credentials_ref, t.time_zone, t.updated_at FROM tenants t
+       UNION
+       SELECT DISTINCT ut.tenant, 0, NULL, NULL, NULL, NULL, NULL FROM user_tenants ut
+       WHERE ut.tenant NOT IN (SELECT tenant FROM tenants)
+       ORDER BY tenant`
+    );
+    res.json({ defaultTimeZone: DEFAULT_TIME_ZONE, data: rows.map(toApi) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Register a tenant
+tenantsRouter.post('/', async (req, res) => {
+  try {
+    const tenant = String(req.body?.tenant ?? '').trim();
+    if (!TENANT_RE.test(tenant)) {
+      throw new ValidationError('tenant is required (letters, digits, _ . - only, max 100)');
+    }
+    const cols = toColumns(req.body);
+    const names = ['tenant', ...Object.keys(cols), 'updated_by'];
+    await pool.query(
+      `INSERT INTO tenants (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+      [tenant, ...Object.values(cols), req.user.id]
+    );
+    afterChange(tenant);
+    console.log(`🏢 Tenant ${tenant} registered`);
+    recordAudit(req, { action: 'tenant.created', tenant, details: toDetails(cols) });
+    res.status(201).json({ data: await getTenantRow(tenant) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Change the given fields of a tenant (registering it if needed)
+tenantsRouter.put('/:tenant', async (req, res) => {
+  try {
+    const tenant = String(req.params.tenant).trim();
+    if (!TENANT_RE.test(tenant)) throw new ValidationError(`Invalid tenant: ${tenant}`);
+    const cols = toColumns(req.body);
+    const names = ['tenant', ...Object.keys(cols), 'updated_by'];
+    await pool.query(
+      `INSERT INTO tenants (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})
+       ON DUPLICATE KEY UPDATE ${names.slice(1).map(n => `${n} = VALUES(${n})`).join(', ')}`,
+      [tenant, ...Object.values(cols), req.user.id]
+    );
+    afterChange(tenant);
+    console.log(`🏢 Tenant ${tenant} updated (${Object.keys(cols).join(', ') || 'no changes'})`);
+    recordAudit(req, { action: 'tenant.updated', tenant, details: toDetails(cols) });
+    res.json({ data: await getTenantRow(tenant) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Unregister a tenant; users granted it keep access with the defaults
+tenantsRouter.delete('/:tenant', async (req, res) => {
+  try {
+    const tenant = String(req.params.tenant).trim();
+    const [result] = await pool.query('DELETE FROM tenants WHERE tenant = ?', [tenant]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'Tenant not found' });
+    afterChange(tenant);
+    console.log(`🏢 Tenant ${tenant} removed from the registry`);
+    recordAudit(req, { action: 'tenant.deleted', tenant });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
@@ -0,0 +1,152 @@
+// timeZones.js
+// Wall-clock helpers for IANA time zones built on Intl only (no tz database
+// dependency on the server). Reports are bucketed and windows resolved in the
+// tenant's zone (tenantRegistry.js – user override, tenant setting, then
+// DEFAULT_TIME_ZONE), not the server's.
+
+// normalize.js loads this before db.js has read .env
+import 'dotenv/config';
+
+// Zone used when neither the user nor the tenant has one configured
+export const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Asia/Dubai';
+
+// One formatter per zone; building them is comparatively slow
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    });
+    formatters.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean} true if Intl knows the zone
+ */
+export function isValidTimeZone(timeZone) {
+  // Intl falls back to the host zone for undefined
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of `date` in `timeZone` (weekday 0 = Sunday).
+ *
+ * @param {Date}   date
+ * @param {string} timeZone
+ * @returns {{year:number, month:number, day:number, hour:number, minute:number, second:number, weekday:number}}
+ */
+export function zonedParts(date, timeZone) {
+  const parts = formatterFor(timeZone).formatToParts(date);
+  const get = type => parts.find(p => p.type === type).value;
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    second: Number(get('second')),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'))
+  };
+}
+
+/**
+ * Offset of `timeZone` from UTC at `date`, in ms (Asia/Dubai → +4 h).
+ *
+ * @param {Date}   date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+export function tzOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * UTC instant of a local wall-clock time in `timeZone`, DST included. A time
+ * skipped when the clocks go forward resolves to just after the jump.
+ *
+ * @param {number} year
+ * @param {number} month – 1-12.
+ * @param {number} day
+ * @param {number} [hour=0]
+ * @param {number} [minute=0]
+ * @param {number} [second=0]
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedTime(year, month, day, hour = 0, minute = 0, second = 0, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = tzOffset(new Date(wall), timeZone);
+  const guess = wall - offset;
+  const guessOffset = tzOffset(new Date(guess), timeZone);
+  if (guessOffset === offset) return new Date(guess);
+  // The clocks change between `wall` and `guess`: keep the candidate whose
+  // own offset agrees; inside a gap neither does, so take the later one.
+  const alt = wall - guessOffset;
+  if (tzOffset(new Date(alt), timeZone) === guessOffset) return new Date(alt);
+  return new Date(Math.max(guess, alt));
+}
+
+/**
+ * UTC instant of local midnight on year-month-day in `timeZone`.
+ *
+ * @param {number} year
+ * @param {number} month – 1-12.
+ * @param {number} day
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedMidnight(year, month, day, timeZone) {
+  return zonedTime(year, month, day, 0, 0, 0, timeZone);
+}
+
+/**
+ * "YYYY-MM-DD" of `date` in `timeZone`.
+ *
+ * @param {Date}   date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function localDate(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Start of the local interval containing `date`: intervals of `sizeMs`
+ * (e.g. 15 min, 1 h) aligned on the local wall clock, or whole local days.
+ *
+ * @param {Date}          date
+ * @param {number|'day'}  size
+ * @param {string}        timeZone
+ * @returns {Date}
+ */
+export function intervalStart(date, size, timeZone) {
+  if (size === 'day') {
+    const p = zonedParts(date, timeZone);
+    return zonedMidnight(p.year, p.month, p.day, timeZone);
+  }
+  const offset = tzOffset(date, timeZone);
+  const local = date.getTime() + offset;
+  return new Date(local - (local % size) - offset);
+}
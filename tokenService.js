@@ -1,15 +1,99 @@
 // tokenService.js
+// Upstream access tokens per tenant.
+//
+//   • Tokens live in the store picked by TOKEN_STORE (tokenStore.js): memory,
+//     a file shared by the processes of a host, or a Redis-compatible server
+//     shared by every host – so restarts and other processes reuse them
+//   • Two minutes before expiry a portal token is renewed with its refresh
+//     token (PORTAL_REFRESH_PATH); only when that fails does it log in again
+//     with the password
+//   • Concurrent callers for the same tenant share one login / refresh
+//   • withPortalToken() drops a token the upstream answers 401 to and retries
+//     the call once with a renewed one
+//
+// Base URL, login and TLS verification of each tenant come from getUpstream():
+// its encrypted connection profile (connectionStore.js) if it has one, else the
+// tenant registry / BASE_URL / API_USERNAME / API_PASSWORD.
+
 import axios from 'axios';
 import ms from 'ms';
-import https from 'https';
+import { getUpstream } from './tenantRegistry.js';
+import { createTokenStore } from './tokenStore.js';
 
-const cache = new Map();        // In prod use Redis
 const MAX_RETRIES = 3;
+const RENEW_BEFORE = ms('2m');          // renew this long before the access token expires
+const REFRESH_KEEP = ms('24h');         // assumed refresh token lifetime when upstream gives none
+const REFRESH_PATH = process.env.PORTAL_REFRESH_PATH || '/api/v2/config/login/refresh';
+
+const store = createTokenStore();
 
-// Optional: accept self-signed certificates in dev; set NODE_TLS_REJECT_UNAUTHORIZED=1 in prod
-const httpsAgent = new https.Agent({ rejectUnauthorized: false });
+// Store entries: `legacy:<tenant>` / `portal:<tenant>` ⇒
+//   { access, refresh, expiresAt, refreshExpiresAt }
+const inflight = new Map();      // store key ⇒ Promise<entry> of the running login
+const generations = new Map();   // tenant ⇒ bumped by forgetTokens()
+
+// The store is a cache: when it is unreachable, log in as if it were empty
+async function readEntry(key) {
+  try {
+    return await store.get(key);
+  } catch (err) {
+    console.warn(`⚠️  Token store (${store.kind}) read failed: ${err.message}`);
+    return null;
+  }
+}
+
+async function writeEntry(key, entry) {
+  // Kept while either token is usable
+  const keepUntil = Math.max(entry.expiresAt, (entry.refresh && entry.refreshExpiresAt) || 0);
+  try {
+    await store.set(key, entry, keepUntil - Date.now());
+  } catch (err) {
+    console.warn(`⚠️  Token store (${store.kind}) write failed: ${err.message}`);
+  }
+}
+
+// Cached entry if its access token is still good, else one renewed by
+// `renew(previous)` – started once per key however many callers wait
+async function cachedToken(tenant, key, renew) {
+  const cached = await readEntry(key);
+  if (cached?.access && Date.now() < cached.expiresAt - RENEW_BEFORE) return cached.access;
+
+  let running = inflight.get(key);
+  if (!running) {
+    const generation = generations.get(tenant) ?? 0;
+    running = (async () => {
+      try {
+        const entry = await renew(cached);
+        // Settings changed meanwhile (forgetTokens): use the token once, don't keep it
+        if ((generations.get(tenant) ?? 0) === generation) await writeEntry(key, entry);
+        return entry;
+      } finally {
+        if (inflight.get(key) === running) inflight.delete(key);
+      }
+    })();
+    inflight.set(key, running);
+  }
+  return (await running).access;
+}
 
-// Cache structure: Map<tenant, {access, refresh, expiresAt}>
+// Login / refresh response ⇒ store entry
+function toEntry(data, previous) {
+  const access = data.accessToken || data.access_token;
+  if (!access) throw new Error('No access token in response');
+  const expiresIn = data.expiresIn ?? data.expires_in;
+  const refreshExpiresIn = data.refreshExpiresIn ?? data.refresh_expires_in;
+  const refresh = data.refreshToken || data.refresh_token || previous?.refresh;
+  let refreshExpiresAt;
+  if (refreshExpiresIn) refreshExpiresAt = Date.now() + refreshExpiresIn * 1000;
+  else if (refresh && refresh === previous?.refresh) refreshExpiresAt = previous.refreshExpiresAt;
+  else if (refresh) refreshExpiresAt = Date.now() + REFRESH_KEEP;
+  return {
+    access,
+    refresh,
+    expiresAt: Date.now() + (expiresIn ? expiresIn * 1000 : ms('1h')),
+    refreshExpiresAt
+  };
+}
 
 /**
  * Fetch an access token using the legacy call center login endpoint.
@@ -19,56 +103,121 @@ const httpsAgent = new https.Agent({ rejectUnauthorized: false });
  * @returns {Promise<string>} access token (JWT)
  */
 export async function getToken(tenant) {
-  const now = Date.now();
-  const cached = cache.get(tenant);
-  if (cached && now < cached.expiresAt - ms('2m')) return cached.access;
-
-  for (let i = 0, delay = 1000; i < MAX_RETRIES; i++, delay *= 2) {
-    try {
-      const {data} = await axios.post(
-        `${process.env.BASE_URL}/portal/callcenter/reports/agents-status-activity`,
-        { username: process.env.API_USERNAME, password: process.env.API_PASSWORD, domain: tenant },
-        { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } }   // ensure JSON
-      );
-      cache.set(tenant, {
-        access: data.access_token,
-        refresh: data.refresh_token,
-        expiresAt: now + ms('1h')   // adjust to real TTL
-      });
-      return data.access_token;
-    } catch (err) {
-      if (i === MAX_RETRIES - 1) throw err;
-      await new Promise(r => setTimeout(r, delay));
+  return cachedToken(tenant, `legacy:${tenant}`, async () => {
+    const { baseUrl, username, password, httpsAgent } = await getUpstream(tenant);
+    for (let i = 0, delay = 1000; i < MAX_RETRIES; i++, delay *= 2) {
+      try {
+        const {data} = await axios.post(
+          `${baseUrl}/portal/callcenter/reports/agents-status-activity`,
+          { username, password, domain: tenant },
+          { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } }   // ensure JSON
+        );
+        return {
+          access: data.access_token,
+          refresh: data.refresh_token,
+          expiresAt: Date.now() + ms('1h')   // adjust to real TTL
+        };
+      } catch (err) {
+        if (i === MAX_RETRIES - 1) throw err;
+        await new Promise(r => setTimeout(r, delay));
+      }
     }
-  }
+  });
 }
 
 /**
  * Fetch an access token using the modern portal login endpoint that the web
  * UI employs. This token is accepted by the new `/api/v2/reports/...` routes.
- * Falls back to the cached token until two minutes before expiry.
+ * Falls back to the cached token until two minutes before expiry, then
+ * renews it with the refresh token, then logs in again.
  *
  * @param {string} tenant - tenant / domain, e.g. `mc_int`.
  * @returns {Promise<string>} access token (JWT)
  */
 export async function getPortalToken(tenant) {
-  const now = Date.now();
-  const cached = cache.get(`portal:${tenant}`);
-  if (cached && now < cached.expiresAt - ms('2m')) return cached.access;
+  return cachedToken(tenant, `portal:${tenant}`, async previous => {
+    const upstream = await getUpstream(tenant);
+    if (previous?.refresh && Date.now() < (previous.refreshExpiresAt ?? Infinity)) {
+      try {
+        return await portalRefresh(tenant, upstream, previous);
+      } catch (err) {
+        console.warn(`🔑 Token refresh for ${tenant} failed (${err.response?.status ? `HTTP ${err.response.status}` : err.message}); logging in again`);
+      }
+    }
+    const { url, ...tokens } = await portalLogin(tenant, upstream);
+    return tokens;
+  });
+}
+
+// New access token for a cached entry's refresh token
+async function portalRefresh(tenant, { baseUrl, httpsAgent }, previous) {
+  const { data } = await axios.post(
+    `${baseUrl}${REFRESH_PATH}`,
+    { domain: tenant, refreshToken: previous.refresh },
+    { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } }
+  );
+  const entry = toEntry(data, previous);
+  console.log(`🔑 Portal token for ${tenant} refreshed`);
+  return entry;
+}
 
+/**
+ * Call the upstream with the tenant's portal token. A 401 drops that token
+ * and the call is made once more with a renewed one.
+ *
+ * @template T
+ * @param {string} tenant
+ * @param {(token:string) => Promise<T>} request – e.g. token => axios.get(…).
+ * @returns {Promise<T>}
+ */
+export async function withPortalToken(tenant, request) {
+  const token = await getPortalToken(tenant);
+  try {
+    return await request(token);
+  } catch (err) {
+    if (err.response?.status !== 401) throw err;
+    console.warn(`🔑 Upstream rejected the token of ${tenant} (HTTP 401); renewing it`);
+    await rejectPortalToken(tenant, token);
+    return request(await getPortalToken(tenant));
+  }
+}
+
+// Expire a rejected access token, keeping its refresh token. Skipped when
+// another caller already replaced it.
+async function rejectPortalToken(tenant, token) {
+  const key = `portal:${tenant}`;
+  const cached = await readEntry(key);
+  if (cached?.access !== token) return;
+  await writeEntry(key, { ...cached, expiresAt: 0 });
+}
+
+/**
+ * Log in to the portal with explicit connection settings, without touching
+ * the token cache – getPortalToken() uses it, and the connection test
+ * (connections.js) checks a profile with it.
+ *
+ * @param {string} tenant
+ * @param {{baseUrl:string, username:string, password:string, httpsAgent:import('https').Agent}} upstream
+ * @param {object} [opts]
+ * @param {number} [opts.retries=MAX_RETRIES] – attempts per candidate endpoint.
+ * @returns {Promise<{access:string, refresh:string|undefined, expiresAt:number,
+ *                    refreshExpiresAt:number|undefined, url:string}>}
+ * @throws {Error} with the last failure of each endpoint in `attempts`
+ */
+export async function portalLogin(tenant, { baseUrl: base, username, password, httpsAgent }, { retries = MAX_RETRIES } = {}) {
   // Back-off loop across candidate endpoints / payloads
-  const base = process.env.BASE_URL;
   const candidates = [
     // OAuth login path used by the portal UI (works on modern installs)
-    { url: `${base}/api/v2/config/login/oauth`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
+    { url: `${base}/api/v2/config/login/oauth`, body: { domain: tenant, username, password } },
     // v2 login using domain (fallback for older back-ends)
-    { url: `${base}/api/v2/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
+    { url: `${base}/api/v2/login`, body: { domain: tenant, username, password } },
     // very old legacy login path
-    { url: `${base}/api/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
+    { url: `${base}/api/login`, body: { domain: tenant, username, password } },
   ];
 
+  const attempts = [];
   for (const { url, body } of candidates) {
-    for (let attempt = 0, delay = 1000; attempt < MAX_RETRIES; attempt++, delay *= 2) {
+    for (let attempt = 0, delay = 1000; attempt < retries; attempt++, delay *= 2) {
       try {
         const { data } = await axios.post(url, body, {
           timeout: 5000,
@@ -76,18 +225,13 @@ export async function getPortalToken(tenant) {
           headers: { Accept: 'application/json' }
         });
 
-        const access = data.accessToken || data.access_token;
-        if (!access) throw new Error('No access token in response');
-
-        const refresh = data.refreshToken || data.refresh_token;
-        const expiresAt = data.expiresIn ? Date.now() + data.expiresIn * 1000 : Date.now() + ms('1h');
-
-        cache.set(`portal:${tenant}`, { access, refresh, expiresAt });
+        const entry = toEntry(data);
         console.log(`✅ Portal login succeeded at ${url}`);
-        return access;
+        return { ...entry, url };
       } catch (err) {
-        if (attempt === MAX_RETRIES - 1) {
+        if (attempt === retries - 1) {
           // try next candidate endpoint
+          attempts.push({ url, error: err.response?.status ? `HTTP ${err.response.status}` : err.message });
           if (process.env.DEBUG) {
             console.warn(`Login failed at ${url}: ${err.response?.status || err.message}`);
           }
@@ -97,7 +241,25 @@ export async function getPortalToken(tenant) {
       }
     }
   }
-  throw new Error('All portal login attempts failed – check credentials/endpoints');
+  throw Object.assign(new Error('All portal login attempts failed – check credentials/endpoints'), { attempts });
 }
 
-export { httpsAgent };
\ No newline at end of file
+/**
+ * Drop the cached tokens of a tenant, e.g. after its base URL or credentials
+ * changed in the registry or its connection profile. A login already under
+ * way finishes but its tokens are not kept.
+ *
+ * @param {string} tenant
+ * @returns {Promise<void>} never rejects
+ */
+export async function forgetTokens(tenant) {
+  generations.set(tenant, (generations.get(tenant) ?? 0) + 1);
+  for (const key of [`legacy:${tenant}`, `portal:${tenant}`]) {
+    inflight.delete(key);   // later callers start a login with the new settings
+    try {
+      await store.delete(key);
+    } catch (err) {
+      console.warn(`⚠️  Token store (${store.kind}) delete failed: ${err.message}`);
+    }
+  }
+}
@@ -0,0 +1,236 @@
+// tokenStore.js
+// Where tokenService.js keeps upstream tokens. TOKEN_STORE picks the backend:
+//
+//   memory – per process (default); every restart logs in again
+//   file   – JSON file at TOKEN_STORE_FILE (default: <tmpdir>/voicemeetme-tokens.json),
+//            shared by the processes of one host (server, sync, CLIs) and
+//            kept across restarts; written with mode 600
+//   redis  – any Redis-compatible server at TOKEN_STORE_URL
+//            (redis://[[user]:password@]host[:port][/db], user for Redis 6+
+//            ACLs), shared by every host;
+//            keys are prefixed with TOKEN_STORE_PREFIX (default voicemeetme:token:)
+//
+// Every store has the same async interface:
+//   get(key)              – value or null
+//   set(key, value, ttl)  – JSON-serialisable value, kept for ttl ms
+//   delete(key)
+
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+// ---------------- Memory ----------------
+
+function memoryStore() {
+  const entries = new Map();   // key ⇒ { value, expires }
+  return {
+    kind: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() >= entry.expires) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttl) {
+      entries.set(key, { value, expires: Date.now() + ttl });
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// ---------------- File ----------------
+
+function fileStore(file) {
+  let entries = {};    // key ⇒ { value, expires }
+  let version = '';    // of the file when `entries` was read (see fileVersion)
+  let writing = Promise.resolve();
+
+  // Every write renames a new file into place, so the inode changes even when
+  // the mtime (coarse on many file systems) does not
+  const fileVersion = stat => `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+
+  // Re-read the file when another process changed it
+  async function load() {
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      entries = {};
+      version = '';
+      return;
+    }
+    if (fileVersion(stat) === version) return;
+    try {
+      entries = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+      console.warn(`⚠️  Token store ${file} is not valid JSON; starting empty`);
+      entries = {};
+    }
+    version = fileVersion(stat);
+  }
+
+  // Read-modify-write, one at a time, replacing the file atomically
+  function update(change) {
+    writing = writing.catch(() => {}).then(async () => {
+      await load();
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(entries)) {
+        if (now >= entry.expires) delete entries[key];
+      }
+      change(entries);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(entries), { mode: 0o600 });
+      await fs.promises.rename(tmp, file);
+      version = fileVersion(await fs.promises.stat(file));
+    });
+    return writing;
+  }
+
+  return {
+    kind: 'file',
+    async get(key) {
+      await writing.catch(() => {});
+      await load();
+      const entry = entries[key];
+      return entry && Date.now() < entry.expires ? entry.value : null;
+    },
+    set(key, value, ttl) {
+      return update(all => { all[key] = { value, expires: Date.now() + ttl }; });
+    },
+    delete(key) {
+      return update(all => { delete all[key]; });
+    }
+  };
+}
+
+// ---------------- Redis ----------------
+
+// Minimal RESP client: one lazily (re)opened connection, commands answered
+// in order. Enough for AUTH / SELECT / GET / SET PX / DEL.
+function redisClient(url) {
+  const { hostname, port, username, password, pathname } = new URL(url);
+  const db = Number(pathname.slice(1)) || 0;
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];   // { resolve, reject } per command sent
+
+  const encode = args =>
+    `*${args.length}\r\n` + args.map(a => `$${Buffer.byteLength(String(a))}\r\n${a}\r\n`).join('');
+
+  // One complete reply from the start of `buf`: [value, bytes used], or null
+  function parseReply(buf) {
+    const eol = buf.indexOf('\r\n');
+    if (eol === -1) return null;
+    const type = String.fromCharCode(buf[0]);
+    const line = buf.toString('utf8', 1, eol);
+    switch (type) {
+      case '+': return [line, eol + 2];
+      case '-': return [new Error(`Redis: ${line}`), eol + 2];
+      case ':': return [Number(line), eol + 2];
+      case '$': {
+        const len = Number(line);
+        if (len === -1) return [null, eol + 2];
+        if (buf.length < eol + 2 + len + 2) return null;
+        return [buf.toString('utf8', eol + 2, eol + 2 + len), eol + 2 + len + 2];
+      }
+      default:
+        return [new Error(`Redis: unexpected reply type ${type}`), buf.length];
+    }
+  }
+
+  function fail(err) {
+    for (const p of pending) p.reject(err);
+    pending = [];
+    socket?.destroy();
+    socket = null;
+    buffer = Buffer.alloc(0);
+  }
+
+  function connect() {
+    const s = net.createConnection({ host: hostname, port: Number(port) || 6379 });
+    socket = s;
+    // Events of a socket already replaced must not fail the new one
+    const failThis = err => { if (socket === s) fail(err); };
+    s.setTimeout(5000, () => failThis(new Error('Redis: timeout')));
+    s.on('error', failThis);
+    s.on('close', () => failThis(new Error('Redis: connection closed')));
+    s.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let reply;
+      while (pending.length && (reply = parseReply(buffer))) {
+        const [value, used] = reply;
+        buffer = buffer.subarray(used);
+        const { resolve, reject } = pending.shift();
+        value instanceof Error ? reject(value) : resolve(value);
+      }
+      if (!pending.length) s.setTimeout(0);
+    });
+    s.unref();
+    const setup = [];
+    if (username) setup.push(send(['AUTH', decodeURIComponent(username), decodeURIComponent(password)]));
+    else if (password) setup.push(send(['AUTH', decodeURIComponent(password)]));
+    if (db) setup.push(send(['SELECT', db]));
+    Promise.all(setup).catch(fail);
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.setTimeout(5000);
+      socket.write(encode(args));
+    });
+  }
+
+  return args => {
+    if (!socket) connect();
+    return send(args);
+  };
+}
+
+function redisStore(url, prefix) {
+  const command = redisClient(url);
+  return {
+    kind: 'redis',
+    async get(key) {
+      const raw = await command(['GET', prefix + key]);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async set(key, value, ttl) {
+      await command(['SET', prefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.round(ttl))]);
+    },
+    async delete(key) {
+      await command(['DEL', prefix + key]);
+    }
+  };
+}
+
+/**
+ * Token store selected by TOKEN_STORE (see the header).
+ *
+ * @param {'memory'|'file'|'redis'} [kind]
+ * @returns {{kind:string, get:Function, set:Function, delete:Function}}
+ * @throws {Error} on an unknown kind or a redis store without TOKEN_STORE_URL
+ */
+export function createTokenStore(kind = process.env.TOKEN_STORE || 'memory') {
+  switch (kind) {
+    case 'memory':
+      return memoryStore();
+    case 'file':
+      return fileStore(process.env.TOKEN_STORE_FILE || path.join(os.tmpdir(), 'voicemeetme-tokens.json'));
+    case 'redis': {
+      const url = process.env.TOKEN_STORE_URL;
+      if (!url?.startsWith('redis://')) throw new Error('TOKEN_STORE=redis needs TOKEN_STORE_URL=redis://host:port');
+      return redisStore(url, process.env.TOKEN_STORE_PREFIX ?? 'voicemeetme:token:');
+    }
+    default:
+      throw new Error(`Unknown TOKEN_STORE "${kind}" (memory, file or redis)`);
+  }
+}
@@ -0,0 +1,324 @@
+// users.js
+// User management for the dashboard (admin only).
+//
+//   GET    /api/users                     – list users with role, tenants, scopes
+//   POST   /api/users                     – create a user
+//   PUT    /api/users/:id                 – update username/email/role/timeZone/tenants/scopes
+//   POST   /api/users/:id/disable         – block login (body { disabled: false } re-enables)
+//   POST   /api/users/:id/reset-password  – set a new password
+//   DELETE /api/users/:id                 – delete the user
+//   POST   /api/users/:id/unlock          – clear a brute-force lockout
+//   GET    /api/users/login-attempts      – login audit trail (?username=&ip=&success=&limit=)
+//
+// The router is mounted in server.js behind requireAuth + requirePermission('users:manage').
+// createUser() is shared with the makeUser.js bootstrap script.
+
+import express from 'express';
+import bcrypt from 'bcrypt';
+import { pool } from './db.js';
+import { ROLES, invalidateUserAccess } from './auth.js';
+import { revokeUserSessions } from './sessions.js';
+import { resetFailures } from './loginGuard.js';
+import { isValidTimeZone } from './timeZones.js';
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Validation failures are reported to the client as 400s
+class ValidationError extends Error {}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new ValidationError(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+}
+
+// Optional per-user zone; empty ⇒ NULL (use the tenant's)
+function cleanTimeZone(timeZone) {
+  if (timeZone == null || String(timeZone).trim() === '') return null;
+  const zone = String(timeZone).trim();
+  if (!isValidTimeZone(zone)) throw new ValidationError(`Unknown time zone: ${zone}`);
+  return zone;
+}
+
+// Accept arrays of non-empty strings only; de-duplicate
+function cleanList(list, label) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new ValidationError(`${label} must be an array`);
+  return [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+}
+
+// Replace a user's tenants and supervisor scopes inside an open transaction
+async function replaceAccess(conn, userId, { tenants, queues, campaigns }) {
+  if (tenants) {
+    await conn.query('DELETE FROM user_tenants WHERE user_id = ?', [userId]);
+    for (const tenant of tenants) {
+      await conn.query('INSERT INTO user_tenants (user_id, tenant) VALUES (?, ?)', [userId, tenant]);
+    }
+  }
+  if (queues) {
+    await conn.query("DELETE FROM user_scopes WHERE user_id = ? AND scope_type = 'queue'", [userId]);
+    for (const name of queues) {
+      await conn.query("INSERT INTO user_scopes (user_id, scope_type, name) VALUES (?, 'queue', ?)", [userId, name]);
+    }
+  }
+  if (campaigns) {
+    await conn.query("DELETE FROM user_scopes WHERE user_id = ? AND scope_type = 'campaign'", [userId]);
+    for (const name of campaigns) {
+      await conn.query("INSERT INTO user_scopes (user_id, scope_type, name) VALUES (?, 'campaign', ?)", [userId, name]);
+    }
+  }
+}
+
+/**
+ * Create a user with a bcrypt-hashed password and its tenant / scope grants.
+ *
+ * @param {object}   user
+ * @param {string}   user.username
+ * @param {string}   user.email
+ * @param {string}   user.password            – plain text, hashed here.
+ * @param {string}   [user.role='viewer']
+ * @param {string}   [user.timeZone]          – IANA zone overriding the tenant's.
+ * @param {string[]} [user.tenants]
+ * @param {string[]} [user.queues]            – supervisor scope.
+ * @param {string[]} [user.campaigns]         – supervisor scope.
+ * @returns {Promise<number>} new user id
+ */
+export async function createUser({ username, email, password, role = 'viewer', timeZone, tenants, queues, campaigns }) {
+  if (!username || !email) throw new ValidationError('Username and email required');
+  validatePassword(password);
+  validateRole(role);
+  const zone = cleanTimeZone(timeZone);
+  const access = {
+    tenants: cleanList(tenants, 'tenants'),
+    queues: cleanList(queues, 'queues'),
+    campaigns: cleanList(campaigns, 'campaigns')
+  };
+
+  const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [result] = await conn.query(
+      'INSERT INTO users (username, email, password, role, time_zone) VALUES (?, ?, ?, ?, ?)',
+      [username.trim(), email.trim(), hashedPassword, role, zone]
+    );
+    await replaceAccess(conn, result.insertId, access);
+    await conn.commit();
+    return result.insertId;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Fetch one user (without password hash) together with tenants and scopes.
+ *
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+export async function getUser(id) {
+  const [rows] = await pool.query(
+    'SELECT id, username, email, role, time_zone, disabled, failed_attempts, locked_until, last_login, created_at, updated_at FROM users WHERE id = ?',
+    [id]
+  );
+  if (!rows.length) return null;
+  const user = rows[0];
+  const [tenantRows] = await pool.query('SELECT tenant FROM user_tenants WHERE user_id = ? ORDER BY tenant', [id]);
+  const [scopeRows] = await pool.query('SELECT scope_type, name FROM user_scopes WHERE user_id = ? ORDER BY name', [id]);
+  return {
+    ...user,
+    disabled: Boolean(user.disabled),
+    tenants: tenantRows.map(r => r.tenant),
+    queues: scopeRows.filter(r => r.scope_type === 'queue').map(r => r.name),
+    campaigns: scopeRows.filter(r => r.scope_type === 'campaign').map(r => r.name)
+  };
+}
+
+// Map known errors to HTTP responses
+function sendError(res, err) {
+  if (err instanceof ValidationError) return res.status(400).json({ error: err.message });
+  if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Username or email already exists' });
+  console.error(err);
+  res.status(500).json({ error: 'Server error' });
+}
+
+export const usersRouter = express.Router();
+
+// Every /:id route: a non-numeric id is a 400, never a NaN in a query
+usersRouter.param('id', (req, res, next, value) => {
+  if (!/^\d+$/.test(value)) return res.status(400).json({ error: 'Invalid user id' });
+  next();
+});
+
+// List all users
+usersRouter.get('/', async (req, res) => {
+  try {
+    const [users] = await pool.query(
+      'SELECT id, username, email, role, time_zone, disabled, failed_attempts, locked_until, last_login, created_at, updated_at FROM users ORDER BY username'
+    );
+    const [tenantRows] = await pool.query('SELECT user_id, tenant FROM user_tenants ORDER BY tenant');
+    const [scopeRows] = await pool.query('SELECT user_id, scope_type, name FROM user_scopes ORDER BY name');
+    res.json({
+      data: users.map(u => ({
+        ...u,
+        disabled: Boolean(u.disabled),
+        tenants: tenantRows.filter(r => r.user_id === u.id).map(r => r.tenant),
+        queues: scopeRows.filter(r => r.user_id === u.id && r.scope_type === 'queue').map(r => r.name),
+        campaigns: scopeRows.filter(r => r.user_id === u.id && r.scope_type === 'campaign').map(r => r.name)
+      }))
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Create user
+usersRouter.post('/', async (req, res) => {
+  try {
+    const id = await createUser(req.body || {});
+    res.status(201).json({ data: await getUser(id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Update profile, role and access lists (only the fields supplied)
+usersRouter.put('/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  const { username, email, role, timeZone, tenants, queues, campaigns } = req.body || {};
+
+  const conn = await pool.getConnection();
+  try {
+    // Same rule as createUser(): username and email cannot be blank
+    if (username !== undefined && !String(username ?? '').trim()) throw new ValidationError('Username required');
+    if (email !== undefined && !String(email ?? '').trim()) throw new ValidationError('Email required');
+    if (role !== undefined) validateRole(role);
+    if (id === req.user.id && role !== undefined && role !== 'admin') {
+      throw new ValidationError('You cannot remove your own admin role');
+    }
+
+    await conn.beginTransaction();
+    const [existing] = await conn.query('SELECT id FROM users WHERE id = ? FOR UPDATE', [id]);
+    if (!existing.length) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const sets = [];
+    const vals = [];
+    if (username !== undefined) { sets.push('username = ?'); vals.push(String(username).trim()); }
+    if (email !== undefined) { sets.push('email = ?'); vals.push(String(email).trim()); }
+    if (role !== undefined) { sets.push('role = ?'); vals.push(role); }
+    if (timeZone !== undefined) { sets.push('time_zone = ?'); vals.push(cleanTimeZone(timeZone)); }
+    if (sets.length) {
+      await conn.query(`UPDATE users SET ${sets.join(', ')} WHERE id = ?`, [...vals, id]);
+    }
+
+    await replaceAccess(conn, id, {
+      tenants: tenants !== undefined ? cleanList(tenants, 'tenants') : null,
+      queues: queues !== undefined ? cleanList(queues, 'queues') : null,
+      campaigns: campaigns !== undefined ? cleanList(campaigns, 'campaigns') : null
+    });
+    await conn.commit();
+    invalidateUserAccess(id);
+    res.json({ data: await getUser(id) });
+  } catch (err) {
+    await conn.rollback();
+    sendError(res, err);
+  } finally {
+    conn.release();
+  }
+});
+
+// Disable / re-enable login
+usersRouter.post('/:id/disable', async (req, res) => {
+  const id = Number(req.params.id);
+  const disabled = req.body?.disabled !== false;
+  if (id === req.user.id && disabled) {
+    return res.status(400).json({ error: 'You cannot disable your own account' });
+  }
+  try {
+    const [result] = await pool.query('UPDATE users SET disabled = ? WHERE id = ?', [disabled ? 1 : 0, id]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'User not found' });
+    invalidateUserAccess(id);
+    if (disabled) await revokeUserSessions(id);
+    res.json({ data: await getUser(id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Reset password
+usersRouter.post('/:id/reset-password', async (req, res) => {
+  const id = Number(req.params.id);
+  const { password } = req.body || {};
+  try {
+    validatePassword(password);
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const [result] = await pool.query('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, id]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'User not found' });
+    await revokeUserSessions(id);
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Delete user (tenants / scopes / refresh tokens cascade)
+usersRouter.delete('/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  if (id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+  try {
+    const [result] = await pool.query('DELETE FROM users WHERE id = ?', [id]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'User not found' });
+    invalidateUserAccess(id);
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Unlock an account locked by repeated failed logins
+usersRouter.post('/:id/unlock', async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    if (!await resetFailures(id)) return res.status(404).json({ error: 'User not found' });
+    res.json({ data: await getUser(id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Login audit trail, newest first
+usersRouter.get('/login-attempts', async (req, res) => {
+  const { username, ip, success } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 200, 1000);
+  const where = [];
+  const vals = [];
+  if (username) { where.push('username = ?'); vals.push(username); }
+  if (ip) { where.push('ip = ?'); vals.push(ip); }
+  if (success === 'true' || success === 'false') { where.push('success = ?'); vals.push(success === 'true' ? 1 : 0); }
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, username, user_id, ip, user_agent, success, reason, created_at FROM login_attempts
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY id DESC LIMIT ?`,
+      [...vals, limit]
+    );
+    res.json({ data: rows.map(r => ({ ...r, success: Boolean(r.success) })) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
@@ -0,0 +1,253 @@
+// wallboard.js
+// Live queue and agent state for the floor wallboard (public/wallboard.html),
+// pushed over Server-Sent Events.
+//
+//   GET /api/wallboard/stream?account=   – text/event-stream
+//
+// While at least one client watches a tenant, the upstream is polled every
+// WALLBOARD_INTERVAL (default 5s):
+//   • agent stats (fetchAgentStatus, today so far in the tenant's time zone) ⇒ available / on call /
+//     paused / offline per agent
+//   • inbound queue calls of the last WALLBOARD_CALL_WINDOW (default 1h) ⇒
+//     per queue: calls waiting (no answer, no hangup yet), oldest waiting
+//     call, offered / answered / abandoned
+// The first message is an `event: snapshot` with the whole board, after that
+// `event: delta` carries only what changed: `totals` when it changed and, for
+// `queues` / `agents` (keyed by queue name / extension), the changed entries
+// with `null` for removed ones. Waiting times are sent as the oldest call's
+// start so the page can tick them locally between polls.
+//
+// The router is mounted in server.js behind requireAuth; supervisors only see
+// their own queues (agent states are shown to everyone on the board).
+
+import express from 'express';
+import ms from 'ms';
+import { fetchAgentStatus } from './agentStatus.js';
+import { getUserAccess, requireTenantAccess, requirePermission } from './auth.js';
+import { recordAudit } from './audit.js';
+import { iterateReport } from './exporter.js';
+import { toDate } from './normalize.js';
+import { zonedMidnight, zonedParts } from './timeZones.js';
+import { getTenantTimeZone } from './tenantRegistry.js';
+
+const INTERVAL = ms(process.env.WALLBOARD_INTERVAL || '5s');
+const CALL_WINDOW = ms(process.env.WALLBOARD_CALL_WINDOW || '1h');
+
+export const AGENT_STATES = ['available', 'onCall', 'paused', 'offline'];
+
+const boards = new Map();   // tenant ⇒ { clients:Set, agents, queues, error, at, timer }
+
+// Map the upstream's free-form status onto one of AGENT_STATES
+export function agentState(record) {
+  if (record.on_call === true) return 'onCall';
+  if (record.paused === true) return 'paused';
+  const status = String(record.status ?? record.state ?? record.agent_status ?? record.presence ?? '').toLowerCase();
+  if (/call|talk|busy|ring|wrap/.test(status)) return 'onCall';
+  if (/pause|break|dnd|away|lunch/.test(status)) return 'paused';
+  if (/avail|idle|ready|online|login|logged_in|waiting/.test(status)) return 'available';
+  return 'offline';
+}
+
+const isoOrNull = v => toDate(v)?.toISOString() ?? null;
+
+function agentEntries(records) {
+  const agents = {};
+  for (const r of records) {
+    // Agents without an extension cannot be keyed (String() would give "undefined")
+    if (r.extension == null || r.extension === '') continue;
+    const extension = String(r.extension);
+    agents[extension] = {
+      extension,
+      name: r.name ?? `${r.first_name ?? ''} ${r.last_name ?? ''}`.trim(),
+      state: agentState(r),
+      status: r.status ?? r.state ?? null,
+      since: isoOrNull(r.status_since ?? r.state_since ?? r.last_status_change)
+    };
+  }
+  return agents;
+}
+
+function queueEntries(rows) {
+  const queues = {};
+  for (const row of rows) {
+    const calledAt = toDate(row.called_time);
+    if (!calledAt) continue;
+    const name = row.queue_name || '(no queue)';
+    const q = (queues[name] ??= { queue: name, waiting: 0, oldestWaitingSince: null, offered: 0, answered: 0, abandoned: 0 });
+    q.offered++;
+    if (row.answered_time) {
+      q.answered++;
+    } else if (row.hangup_time) {
+      q.abandoned++;
+    } else {
+      q.waiting++;
+      const since = calledAt.toISOString();
+      if (!q.oldestWaitingSince || since < q.oldestWaitingSince) q.oldestWaitingSince = since;
+    }
+  }
+  return queues;
+}
+
+async function pollBoard(tenant, board) {
+  const now = Date.now();
+  const timeZone = await getTenantTimeZone(tenant);
+  const today = zonedParts(new Date(now), timeZone);
+  const [agents, calls] = await Promise.allSettled([
+    fetchAgentStatus(tenant, {
+      startDate: zonedMidnight(today.year, today.month, today.day, timeZone).getTime(),
+      endDate: now
+    }),
+    (async () => {
+      const rows = [];
+      const params = { startDate: Math.floor((now - CALL_WINDOW) / 1000), endDate: Math.floor(now / 1000) };
+      for await (const page of iterateReport('queueCalls', tenant, params)) rows.push(...page);
+      return rows;
+    })()
+  ]);
+
+  // A failed half keeps its previous state; the error is shown on the board
+  const errors = [];
+  if (agents.status === 'fulfilled') board.agents = agentEntries(agents.value);
+  else errors.push(`agents: ${agents.reason.message}`);
+  if (calls.status === 'fulfilled') board.queues = queueEntries(calls.value);
+  else errors.push(`queues: ${calls.reason.message}`);
+  board.error = errors.length ? errors.join('; ') : null;
+  board.at = new Date().toISOString();
+  if (errors.length) console.error(`❌ Wallboard poll ${tenant} failed:`, board.error);
+}
+
+// What one client sees: supervisors get their own queues only
+function viewFor(board, queueFilter) {
+  const queues = queueFilter
+    ? Object.fromEntries(Object.entries(board.queues).filter(([name]) => queueFilter.has(name)))
+    : board.queues;
+  const totals = { waiting: 0, oldestWaitingSince: null, offered: 0, answered: 0, abandoned: 0 };
+  for (const q of Object.values(queues)) {
+    totals.waiting += q.waiting;
+    totals.offered += q.offered;
+    totals.answered += q.answered;
+    totals.abandoned += q.abandoned;
+    if (q.oldestWaitingSince && (!totals.oldestWaitingSince || q.oldestWaitingSince < totals.oldestWaitingSince)) {
+      totals.oldestWaitingSince = q.oldestWaitingSince;
+    }
+  }
+  for (const state of AGENT_STATES) totals[state] = 0;
+  for (const a of Object.values(board.agents)) totals[a.state]++;
+  return { at: board.at, error: board.error, totals, queues, agents: board.agents };
+}
+
+/**
+ * Changes between two views: `totals` / `error` when they differ, and per
+ * keyed entry of `queues` / `agents` the new value or null when removed.
+ *
+ * @param {object} prev
+ * @param {object} next
+ * @returns {object|null} null when nothing changed.
+ */
+export function diffView(prev, next) {
+  const delta = {};
+  if (JSON.stringify(prev.totals) !== JSON.stringify(next.totals)) delta.totals = next.totals;
+  if (prev.error !== next.error) delta.error = next.error;
+  for (const key of ['queues', 'agents']) {
+    const changes = {};
+    for (const [k, v] of Object.entries(next[key])) {
+      if (JSON.stringify(prev[key][k]) !== JSON.stringify(v)) changes[k] = v;
+    }
+    for (const k of Object.keys(prev[key])) {
+      if (!(k in next[key])) changes[k] = null;
+    }
+    if (Object.keys(changes).length) delta[key] = changes;
+  }
+  return Object.keys(delta).length ? { at: next.at, ...delta } : null;
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function publish(board) {
+  for (const client of board.clients) {
+    const view = viewFor(board, client.queueFilter);
+    if (!client.last) {
+      send(client.res, 'snapshot', view);
+    } else {
+      const delta = diffView(client.last, view);
+      // Comment line keeps proxies from closing an idle stream
+      if (delta) send(client.res, 'delta', delta);
+      else client.res.write(`: ${view.at}\n\n`);
+    }
+    client.last = view;
+  }
+}
+
+function startBoard(tenant) {
+  const board = { clients: new Set(), agents: {}, queues: {}, error: null, at: null, timer: null, polled: false };
+  const tick = () => {
+    pollBoard(tenant, board)
+      .catch(err => console.error(`❌ Wallboard poll ${tenant} failed:`, err.message))
+      .finally(() => {
+        board.polled = true;
+        if (boards.get(tenant) !== board) return;   // last client left mid-poll
+        publish(board);
+        board.timer = setTimeout(tick, INTERVAL);
+      });
+  };
+  boards.set(tenant, board);
+  console.log(`📺 Wallboard polling ${tenant} every ${ms(INTERVAL, { long: true })}`);
+  tick();
+  return board;
+}
+
+function stopBoard(tenant) {
+  const board = boards.get(tenant);
+  if (!board) return;
+  clearTimeout(board.timer);
+  boards.delete(tenant);
+  console.log(`📺 Wallboard stopped for ${tenant}`);
+}
+
+// ---------------- Routes ----------------
+
+export const wallboardRouter = express.Router();
+
+wallboardRouter.get('/stream', requireTenantAccess, requirePermission('wallboard:view'), async (req, res) => {
+  const { account } = req;   // checked by requireTenantAccess
+  if (!account) {
+    return res.status(400).json({ error: 'Missing account query param' });
+  }
+
+  let queueFilter = null;
+  if (req.user.role === 'supervisor') {
+    try {
+      queueFilter = new Set((await getUserAccess(req.user.id)).queues);
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'   // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  res.write(`retry: ${INTERVAL}\n\n`);
+
+  recordAudit(req, { action: 'report.query', tenant: account, reportType: 'wallboard' });
+
+  const board = boards.get(account) ?? startBoard(account);
+  const client = { res, queueFilter, last: null };
+  board.clients.add(client);
+  // Late joiners get the current board straight away
+  if (board.polled) {
+    client.last = viewFor(board, queueFilter);
+    send(res, 'snapshot', client.last);
+  }
+
+  req.on('close', () => {
+    board.clients.delete(client);
+    if (!board.clients.size) stopBoard(account);
+  });
+});
@@ -0,0 +1,294 @@
+// warehouse.js
+// Local MySQL copy of the upstream reports so history survives upstream
+// retention limits and can be queried / aggregated without the portal.
+//
+//   • One table per report type (WAREHOUSE_TABLES), keyed by (tenant, call_id).
+//     Rows are upserted: re-ingesting a window refreshes rows in place.
+//   • The full upstream row is kept in `data` (JSON); called_at and
+//     scope_name (queue / campaign) are extracted for indexing and scoping.
+//   • ingestWindow()   – copy a window from upstream (admin endpoint, ingest.js CLI)
+//   • captureRows()    – write-through of pages served by /api/reports when
+//                        WAREHOUSE_CAPTURE=true
+//   • queryWarehouse() – same { rows, next } contract as fetchReport(), used by
+//                        /api/reports/:type?source=warehouse (or REPORT_SOURCE=warehouse)
+//
+//   GET  /api/warehouse/status  – row counts and covered range per tenant / type
+//   POST /api/warehouse/ingest  – { account, start, end, types? } backfill (202)
+//
+// The router is mounted in server.js behind requireAuth + requirePermission('warehouse:manage').
+
+import express from 'express';
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { requireTenantAccess } from './auth.js';
+import { iterateReport, COMBINED_TYPES } from './exporter.js';
+import { toDate } from './normalize.js';
+import { getReportType } from './reportTypes/index.js';
+
+// report type ⇒ table and the row field copied into scope_name
+export const WAREHOUSE_TABLES = {
+  cdrs: { table: 'wh_cdrs', scopeField: null },
+  queueCalls: { table: 'wh_queue_calls', scopeField: 'queue_name' },
+  queueOutboundCalls: { table: 'wh_queue_outbound_calls', scopeField: 'queue_name' },
+  campaignsActivity: { table: 'wh_campaign_activity', scopeField: 'campaign_name' }
+};
+
+const CAPTURE = process.env.WAREHOUSE_CAPTURE === 'true';
+const BATCH_SIZE = 500;
+const MAX_INGESTIONS_KEPT = 50;
+
+const ingestions = [];   // most recent first, in memory only
+
+function tableFor(type) {
+  const cfg = WAREHOUSE_TABLES[type];
+  if (!cfg) throw new Error(`Unknown report type: ${type}`);
+  return cfg;
+}
+
+const callIdOf = row => row.call_id ?? row.callid ?? null;
+
+// When the call happened, per report type
+function calledAtOf(type, row) {
+  return toDate(getReportType(type).calledAt(row));
+}
+
+/**
+ * Upsert raw fetchReport() rows. Rows without a call id cannot be keyed and
+ * are skipped.
+ *
+ * @param {string}   type   – report type key.
+ * @param {string}   tenant
+ * @param {object[]} rows   – raw rows (before prepareRow / scoping).
+ * @returns {Promise<{stored:number, skipped:number, latest:Date|null}>}
+ *          latest = newest called_at among the stored rows.
+ */
+export async function upsertRows(type, tenant, rows) {
+  const { table, scopeField } = tableFor(type);
+  const values = [];
+  let latest = null;
+  for (const row of rows) {
+    const callId = callIdOf(row);
+    if (callId == null || callId === '') continue;
+    const calledAt = calledAtOf(type, row);
+    if (calledAt && (!latest || calledAt > latest)) latest = calledAt;
+    values.push([
+      tenant,
+      String(callId),
+      calledAt,
+      scopeField ? (row[scopeField] ?? null) : null,
+      JSON.stringify(row)
+    ]);
+  }
+
+  for (let i = 0; i < values.length; i += BATCH_SIZE) {
+    await pool.query(
+      `INSERT INTO ${table} (tenant, call_id, called_at, scope_name, data) VALUES ?
+       ON DUPLICATE KEY UPDATE called_at = VALUES(called_at), scope_name = VALUES(scope_name), data = VALUES(data)`,
+      [values.slice(i, i + BATCH_SIZE)]
+    );
+  }
+  return { stored: values.length, skipped: rows.length - values.length, latest };
+}
+
+/**
+ * Write-through for pages already fetched for the dashboard. No-op unless
+ * WAREHOUSE_CAPTURE=true; failures are logged and never reach the caller.
+ *
+ * @param {string}   type
+ * @param {string}   tenant
+ * @param {object[]} rows
+ */
+export function captureRows(type, tenant, rows) {
+  if (!CAPTURE || !rows.length) return;
+  upsertRows(type, tenant, rows).catch(err => console.error(`❌ Warehouse capture (${type}) failed:`, err.message));
+}
+
+/**
+ * Copy every upstream page of a window into the warehouse.
+ *
+ * @param {object}   opts
+ * @param {string[]} opts.types
+ * @param {string}   opts.tenant
+ * @param {object}   opts.params       – { startDate, endDate } in epoch seconds.
+ * @param {function({type:string, pages:number, stored:number}):void} [opts.onProgress]
+ * @returns {Promise<object>} per type { pages, stored, skipped }
+ */
+export async function ingestWindow({ types, tenant, params, onProgress }) {
+  const totals = {};
+  for (const type of types) {
+    const t = (totals[type] = { pages: 0, stored: 0, skipped: 0 });
+    for await (const page of iterateReport(type, tenant, params)) {
+      const { stored, skipped } = await upsertRows(type, tenant, page);
+      t.pages++;
+      t.stored += stored;
+      t.skipped += skipped;
+      onProgress?.({ type, pages: t.pages, stored: t.stored });
+    }
+  }
+  return totals;
+}
+
+// Bad input from the client (e.g. a forged start_key), reported as a 400
+export class WarehouseQueryError extends Error {}
+
+// Opaque keyset cursor over (called_at, call_id)
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.called_at?.toISOString() ?? null, row.call_id])).toString('base64url');
+}
+
+function decodeCursor(key) {
+  try {
+    const [calledAt, callId] = JSON.parse(Buffer.from(String(key), 'base64url').toString());
+    return { calledAt: calledAt ? new Date(calledAt) : null, callId: String(callId) };
+  } catch {
+    throw new WarehouseQueryError('Invalid startKey');
+  }
+}
+
+/**
+ * Read stored rows in the same shape and order (newest first) fetchReport()
+ * returns.
+ *
+ * @param {string} type
+ * @param {string} tenant
+ * @param {object} params – { startDate, endDate } in epoch seconds, optional
+ *                          start_key (from a previous `next`) and maxRows.
+ * @returns {Promise<{rows:object[], next:string|null}>}
+ */
+export async function queryWarehouse(type, tenant, { startDate, endDate, start_key: startKey, maxRows } = {}) {
+  const { table } = tableFor(type);
+  const limit = Math.min(Number(maxRows) || 1000, 5000);
+
+  const where = ['tenant = ?'];
+  const vals = [tenant];
+  if (startDate) { where.push('called_at >= ?'); vals.push(new Date(startDate * 1000)); }
+  if (endDate) { where.push('called_at <= ?'); vals.push(new Date(endDate * 1000)); }
+  if (startKey) {
+    const { calledAt, callId } = decodeCursor(startKey);
+    if (calledAt) {
+      where.push('(called_at < ? OR (called_at = ? AND call_id < ?) OR called_at IS NULL)');
+      vals.push(calledAt, calledAt, callId);
+    } else {
+      // Rows without a timestamp sort last (NULL)
+      where.push('(called_at IS NULL AND call_id < ?)');
+      vals.push(callId);
+    }
+  }
+
+  // Newest first, like the upstream, so combined.js can merge pages across
+  // streams. One extra row tells whether another page exists.
+  const [rows] = await pool.query(
+    `SELECT call_id, called_at, data FROM ${table}
+     WHERE ${where.join(' AND ')}
+     ORDER BY called_at DESC, call_id DESC
+     LIMIT ?`,
+    [...vals, limit + 1]
+  );
+  const page = rows.slice(0, limit);
+  const next = rows.length > limit ? encodeCursor(page[page.length - 1]) : null;
+  return {
+    rows: page.map(r => (typeof r.data === 'string' ? JSON.parse(r.data) : r.data)),
+    next
+  };
+}
+
+/**
+ * Yield every stored page of a window, like iterateReport() does upstream.
+ *
+ * @param {string} type
+ * @param {string} tenant
+ * @param {object} params – { startDate, endDate } in epoch seconds.
+ * @returns {AsyncGenerator<object[]>}
+ */
+export async function* iterateWarehouse(type, tenant, params = {}) {
+  let startKey;
+  do {
+    const { rows, next } = await queryWarehouse(type, tenant, { ...params, start_key: startKey, maxRows: 5000 });
+    yield rows;
+    startKey = next;
+  } while (startKey);
+}
+
+// ---------------- Routes ----------------
+
+export const warehouseRouter = express.Router();
+
+warehouseRouter.get('/status', async (req, res) => {
+  try {
+    const tables = [];
+    for (const [type, { table }] of Object.entries(WAREHOUSE_TABLES)) {
+      const [rows] = await pool.query(
+        `SELECT tenant, COUNT(*) AS rows_stored, MIN(called_at) AS first_call, MAX(called_at) AS last_call,
+                MAX(updated_at) AS last_updated
+         FROM ${table} GROUP BY tenant ORDER BY tenant`
+      );
+      tables.push(...rows.map(r => ({ type, ...r })));
+    }
+    res.json({ capture: CAPTURE, tables, ingestions });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+warehouseRouter.post('/ingest', requireTenantAccess, (req, res) => {
+  const { account } = req;   // checked by requireTenantAccess
+  const { start, end } = req.body || {};
+  if (!account) return res.status(400).json({ error: 'Missing account' });
+
+  const requested = req.body?.types;
+  if (requested != null && !Array.isArray(requested)) {
+    return res.status(400).json({ error: 'types must be an array of report types' });
+  }
+  const types = requested?.length ? requested : COMBINED_TYPES;
+  const unknown = types.filter(t => !WAREHOUSE_TABLES[t]);
+  if (unknown.length) return res.status(400).json({ error: `Unknown report type: ${unknown.join(', ')}` });
+
+  const params = {};
+  if (start) {
+    const startDate = Date.parse(start);
+    if (Number.isNaN(startDate)) return res.status(400).json({ error: 'Invalid start date' });
+    params.startDate = Math.floor(startDate / 1000);
+  }
+  if (end) {
+    const endDate = Date.parse(end);
+    if (Number.isNaN(endDate)) return res.status(400).json({ error: 'Invalid end date' });
+    params.endDate = Math.floor(endDate / 1000);
+  }
+
+  const ingestion = {
+    id: crypto.randomUUID(),
+    account,
+    start: start ?? null,
+    end: end ?? null,
+    types,
+    status: 'running',
+    progress: {},
+    error: null,
+    startedBy: req.user.username,
+    startedAt: new Date(),
+    finishedAt: null
+  };
+  ingestions.unshift(ingestion);
+  ingestions.splice(MAX_INGESTIONS_KEPT);
+
+  ingestWindow({
+    types,
+    tenant: account,
+    params,
+    onProgress: ({ type, pages, stored }) => { ingestion.progress[type] = { pages, stored }; }
+  })
+    .then(totals => {
+      ingestion.progress = totals;
+      ingestion.status = 'done';
+      console.log(`🏬 Warehouse ingest ${account} done:`, totals);
+    })
+    .catch(err => {
+      ingestion.status = 'failed';
+      ingestion.error = err.response?.data?.error?.message ?? err.response?.data?.error ?? err.message;
+      console.error(`❌ Warehouse ingest ${account} failed:`, err.response?.data || err.message);
+    })
+    .finally(() => { ingestion.finishedAt = new Date(); });
+
+  res.status(202).json({ ingestion });
+});
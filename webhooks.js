@@ -0,0 +1,491 @@
+// webhooks.js
+// Outbound webhooks for new call records. Integrations (e.g. a CRM) register a
+// subscription; every completed call the report fetcher sees for that tenant
+// is queued once per subscription and POSTed as a signed JSON event.
+//
+//   GET    /api/webhooks/subscriptions              – list (secrets masked)
+//   POST   /api/webhooks/subscriptions              – create; the response carries the secret once
+//   GET    /api/webhooks/subscriptions/:id          – one subscription
+//   PUT    /api/webhooks/subscriptions/:id          – update (fields not sent are kept)
+//   DELETE /api/webhooks/subscriptions/:id          – delete it and its deliveries
+//   POST   /api/webhooks/subscriptions/:id/test     – queue a `ping` event
+//   GET    /api/webhooks/deliveries                 – ?subscriptionId=&status=&limit=
+//   POST   /api/webhooks/deliveries/:id/replay      – send one delivery again
+//   POST   /api/webhooks/deliveries/replay          – { subscriptionId?, status='dead' } in bulk
+//
+// Events (WEBHOOK_EVENTS) come from reportFetcher.onRowsFetched(): any page
+// fetched from upstream – dashboard queries, exports, the warehouse sync
+// worker (SYNC_ENABLED=true gives a steady feed) – is scanned for finished
+// calls. (subscription, event, call id) is unique, so a call is queued once no
+// matter how often it is fetched.
+//
+// Delivery: POST with
+//   X-Webhook-Id / X-Webhook-Event / X-Webhook-Timestamp
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the secret>
+// A 2xx response marks it delivered. Anything else is retried with
+// exponential backoff (WEBHOOK_RETRY_BASE, doubling, capped at 6h); after
+// WEBHOOK_MAX_ATTEMPTS it is dead-lettered (status 'dead') until replayed.
+//
+// The router is mounted in server.js behind requireAuth + requirePermission('webhooks:manage');
+// startWebhooks() is called once the HTTP server is listening.
+
+import express from 'express';
+import axios from 'axios';
+import crypto from 'crypto';
+import ms from 'ms';
+import { pool } from './db.js';
+import { bodyWithAccount, getUserTenants, requireTenantAccess } from './auth.js';
+import { onRowsFetched } from './reportFetcher.js';
+import { toDate } from './normalize.js';
+
+// event type ⇒ report it is derived from
+export const WEBHOOK_EVENTS = {
+  'queue_call.completed': 'queueCalls',
+  'queue_outbound_call.completed': 'queueOutboundCalls',
+  'campaign_activity.created': 'campaignsActivity',
+  'cdr.created': 'cdrs'
+};
+
+const POLL_INTERVAL = ms(process.env.WEBHOOK_POLL_INTERVAL || '5s');
+const RETRY_BASE = ms(process.env.WEBHOOK_RETRY_BASE || '30s');
+const MAX_RETRY_DELAY = ms('6h');
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BATCH_SIZE = 50;
+const TIMEOUT = 10_000;
+const SUBSCRIPTION_TTL = ms('1m');
+
+let timer = null;
+let unsubscribe = null;
+let subscriptionCache = { expires: 0, list: [] };
+
+// Validation failures are reported to the client as 400s
+class ValidationError extends Error {}
+
+// ---------------- Subscriptions ----------------
+
+function splitList(v) {
+  return String(v ?? '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// DB row → API shape; the secret is only shown in full right after creation
+function toPublic(row, { revealSecret = false } = {}) {
+  return {
+    id: row.id,
+    name: row.name,
+    account: row.tenant,
+    url: row.url,
+    events: splitList(row.event_types),
+    secret: revealSecret ? row.secret : `…${row.secret.slice(-4)}`,
+    enabled: Boolean(row.enabled),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Validate an API body (merged over `current` for updates) into DB columns
+function toColumns(body, current = {}) {
+  const s = { ...current, ...body };
+
+  if (!s.name || !String(s.name).trim()) throw new ValidationError('Name required');
+  if (!s.account) throw new ValidationError('Account required');
+
+  let url;
+  try {
+    url = new URL(s.url);
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+  } catch {
+    throw new ValidationError('url must be an http(s) URL');
+  }
+
+  const events = Array.isArray(s.events) ? s.events : splitList(s.events);
+  if (!events.length) throw new ValidationError('Select at least one event type');
+  const unknown = events.filter(e => !WEBHOOK_EVENTS[e]);
+  if (unknown.length) throw new ValidationError(`Unknown event type: ${unknown.join(', ')}`);
+
+  const cols = {
+    name: String(s.name).trim(),
+    tenant: s.account,
+    url: url.toString(),
+    event_types: [...new Set(events)].join(','),
+    enabled: s.enabled === undefined ? 1 : (s.enabled ? 1 : 0)
+  };
+  // Only replaced when a new one is sent (it is masked in toPublic)
+  if (body.secret !== undefined) {
+    if (String(body.secret).length < 16) throw new ValidationError('secret must be at least 16 characters');
+    cols.secret = String(body.secret);
+  }
+  return cols;
+}
+
+async function loadSubscription(id, tenants) {
+  const [rows] = await pool.query('SELECT * FROM webhook_subscriptions WHERE id = ?', [id]);
+  const sub = rows[0];
+  return sub && tenants.includes(sub.tenant) ? sub : null;
+}
+
+async function enabledSubscriptions() {
+  if (Date.now() < subscriptionCache.expires) return subscriptionCache.list;
+  const [rows] = await pool.query('SELECT id, tenant, event_types FROM webhook_subscriptions WHERE enabled = 1');
+  subscriptionCache = {
+    expires: Date.now() + SUBSCRIPTION_TTL,
+    list: rows.map(r => ({ id: r.id, tenant: r.tenant, events: splitList(r.event_types) }))
+  };
+  return subscriptionCache.list;
+}
+
+function invalidateSubscriptions() {
+  subscriptionCache = { expires: 0, list: [] };
+}
+
+// ---------------- Events ----------------
+
+function parseHistory(hist) {
+  if (typeof hist === 'string') {
+    try { return JSON.parse(hist); } catch { return []; }
+  }
+  return Array.isArray(hist) ? hist : [];
+}
+
+const isoOrNull = v => toDate(v)?.toISOString() ?? null;
+const numberOrNull = v => (v == null || v === '' || Number.isNaN(Number(v)) ? null : Number(v));
+
+// Queue call row → event data (the fields integrations ask for)
+function queueCallData(row) {
+  const agent = parseHistory(row.agent_history).find(h => h?.connected) ?? null;
+  return {
+    callId: row.call_id,
+    queue: row.queue_name ?? null,
+    callerNumber: row.caller_id_number ?? null,
+    callerName: row.caller_id_name ?? null,
+    destination: row.destination ?? row.callee_id_number ?? null,
+    calledAt: isoOrNull(row.called_time),
+    answeredAt: isoOrNull(row.answered_time),
+    hangupAt: isoOrNull(row.hangup_time),
+    waitSeconds: numberOrNull(row.wait_duration),
+    talkSeconds: numberOrNull(row.talked_duration),
+    abandoned: row.abandoned ? row.abandoned === 'YES' : !row.answered_time,
+    agent: agent
+      ? { extension: agent.ext, name: `${agent.first_name ?? ''} ${agent.last_name ?? ''}`.trim() }
+      : (row.agent_extension ? { extension: row.agent_extension, name: `${row.agent_first_name ?? ''} ${row.agent_last_name ?? ''}`.trim() } : null),
+    disposition: row.agent_disposition ?? null,
+    subdisposition: row.agent_subdisposition ?? null,
+    recordingId: row.media_recording_id ?? null,
+    recordingFilename: row.recording_filename ?? null
+  };
+}
+
+/**
+ * The event a fetched row produces, or null when it is not (yet) one: queue
+ * calls only count once they have hung up.
+ *
+ * @param {string} eventType – key of WEBHOOK_EVENTS.
+ * @param {object} row       – raw fetchReport row.
+ * @returns {{id:string, occurredAt:string|null, data:object}|null}
+ */
+export function eventForRow(eventType, row) {
+  const callId = row.call_id ?? row.callid;
+  if (callId == null || callId === '') return null;
+  if (eventType === 'queue_call.completed' || eventType === 'queue_outbound_call.completed') {
+    if (!row.hangup_time) return null;
+    return { id: String(callId), occurredAt: isoOrNull(row.hangup_time), data: queueCallData(row) };
+  }
+  return { id: String(callId), occurredAt: isoOrNull(row.timestamp ?? row.datetime), data: row };
+}
+
+async function enqueue(subscriptionId, eventType, events) {
+  const now = new Date();
+  const values = events.map(e => [
+    subscriptionId,
+    eventType,
+    e.id,
+    JSON.stringify({ event: eventType, occurredAt: e.occurredAt, data: e.data }),
+    now
+  ]);
+  for (let i = 0; i < values.length; i += 500) {
+    // The unique key drops calls already queued for this subscription
+    await pool.query(
+      `INSERT IGNORE INTO webhook_deliveries (subscription_id, event_type, event_id, payload, next_attempt_at) VALUES ?`,
+      [values.slice(i, i + 500)]
+    );
+  }
+}
+
+// onRowsFetched listener: queue new events for every matching subscription
+async function captureEvents(report, tenant, rows) {
+  const subs = (await enabledSubscriptions()).filter(s => s.tenant === tenant);
+  if (!subs.length || !rows.length) return;
+  for (const [eventType, source] of Object.entries(WEBHOOK_EVENTS)) {
+    if (source !== report) continue;
+    const targets = subs.filter(s => s.events.includes(eventType));
+    if (!targets.length) continue;
+    const events = rows.map(r => eventForRow(eventType, r)).filter(Boolean);
+    if (!events.length) continue;
+    for (const sub of targets) await enqueue(sub.id, eventType, events);
+  }
+}
+
+// ---------------- Delivery ----------------
+
+/**
+ * Signature header value for a body sent at `timestamp` (seconds).
+ *
+ * @param {string} secret
+ * @param {number} timestamp
+ * @param {string} body
+ * @returns {string} `sha256=<hex>`
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function retryDelay(attempts) {
+  const delay = Math.min(RETRY_BASE * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  return delay + Math.floor(Math.random() * delay * 0.1);   // jitter
+}
+
+async function deliver(delivery) {
+  // Claim it; another process may have picked it up first
+  const [claim] = await pool.query(
+    "UPDATE webhook_deliveries SET status = 'delivering' WHERE id = ? AND status = 'pending'",
+    [delivery.id]
+  );
+  if (!claim.affectedRows) return;
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const payload = typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload;
+  const body = JSON.stringify({ id: delivery.id, tenant: delivery.tenant, ...payload });
+  const attempts = delivery.attempts + 1;
+  let res;
+  try {
+    res = await axios.post(delivery.url, body, {
+      timeout: TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'spc-reports-webhooks',
+        'X-Webhook-Id': String(delivery.id),
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+      },
+      // Redirects would re-send the payload somewhere unsigned-for
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+  } catch (err) {
+    return failDelivery(delivery, attempts, null, err.message);
+  }
+  if (res.status < 200 || res.status >= 300) {
+    return failDelivery(delivery, attempts, res.status, `HTTP ${res.status}`);
+  }
+  await pool.query(
+    "UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL, delivered_at = NOW() WHERE id = ?",
+    [attempts, res.status, delivery.id]
+  );
+}
+
+async function failDelivery(delivery, attempts, statusCode, error) {
+  const dead = attempts >= MAX_ATTEMPTS;
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = ?
+     WHERE id = ?`,
+    [dead ? 'dead' : 'pending', attempts, statusCode, error.slice(0, 1000), new Date(Date.now() + retryDelay(attempts)), delivery.id]
+  );
+  if (dead) console.error(`❌ Webhook delivery ${delivery.id} (${delivery.event_type}) dead-lettered after ${attempts} attempts: ${error}`);
+}
+
+async function deliverDue() {
+  const [due] = await pool.query(
+    `SELECT d.id, d.event_type, d.payload, d.attempts, s.url, s.secret, s.tenant
+     FROM webhook_deliveries d JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND s.enabled = 1
+     ORDER BY d.next_attempt_at, d.id
+     LIMIT ?`,
+    [BATCH_SIZE]
+  );
+  for (const delivery of due) await deliver(delivery);
+  return due.length;
+}
+
+/**
+ * Capture events from fetched report pages and deliver queued ones every
+ * WEBHOOK_POLL_INTERVAL. Safe to call again.
+ */
+export function startWebhooks() {
+  if (timer !== null) return;
+  unsubscribe = onRowsFetched((report, tenant, rows) => {
+    captureEvents(report, tenant, rows).catch(err => console.error('❌ Webhook capture failed:', err.message));
+  });
+
+  // Deliveries interrupted by a restart go back to the queue
+  pool.query("UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'delivering'")
+    .catch(err => console.error('❌ Webhook queue recovery failed:', err.message));
+
+  const tick = () => {
+    deliverDue()
+      .catch(err => console.error('❌ Webhook delivery pass failed:', err.message))
+      .then(count => {
+        // Drain a backlog without waiting a full interval
+        if (timer !== null) timer = setTimeout(tick, count === BATCH_SIZE ? 0 : POLL_INTERVAL);
+      });
+  };
+  timer = setTimeout(tick, POLL_INTERVAL);
+  console.log(`📡 Webhook delivery started (every ${ms(POLL_INTERVAL, { long: true })}, ${MAX_ATTEMPTS} attempts)`);
+}
+
+/**
+ * Stop capturing and delivering.
+ */
+export function stopWebhooks() {
+  clearTimeout(timer);
+  timer = null;
+  unsubscribe?.();
+  unsubscribe = null;
+}
+
+// ---------------- Routes ----------------
+
+// Map known errors to HTTP responses
+function sendError(res, err) {
+  if (err instanceof ValidationError) return res.status(400).json({ error: err.message });
+  console.error(err);
+  res.status(500).json({ error: 'Server error' });
+}
+
+export const webhooksRouter = express.Router();
+
+webhooksRouter.get('/subscriptions', async (req, res) => {
+  try {
+    const tenants = await getUserTenants(req.user.id);
+    if (!tenants.length) return res.json({ data: [] });
+    const [rows] = await pool.query('SELECT * FROM webhook_subscriptions WHERE tenant IN (?) ORDER BY name', [tenants]);
+    res.json({ data: rows.map(r => toPublic(r)) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+webhooksRouter.post('/subscriptions', requireTenantAccess, async (req, res) => {
+  try {
+    const cols = toColumns(bodyWithAccount(req));
+    cols.secret ??= crypto.randomBytes(32).toString('hex');
+    const [result] = await pool.query('INSERT INTO webhook_subscriptions SET ?', [{ ...cols, created_by: req.user.id }]);
+    invalidateSubscriptions();
+    const [[sub]] = await pool.query('SELECT * FROM webhook_subscriptions WHERE id = ?', [result.insertId]);
+    res.status(201).json({ subscription: toPublic(sub, { revealSecret: true }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+webhooksRouter.get('/subscriptions/:id', async (req, res) => {
+  try {
+    const sub = await loadSubscription(req.params.id, await getUserTenants(req.user.id));
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+    res.json({ subscription: toPublic(sub) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+webhooksRouter.put('/subscriptions/:id', requireTenantAccess, async (req, res) => {
+  try {
+    const current = await loadSubscription(req.params.id, await getUserTenants(req.user.id));
+    if (!current) return res.status(404).json({ error: 'Subscription not found' });
+    const { id, secret, createdBy, createdAt, updatedAt, ...editable } = toPublic(current);
+    await pool.query('UPDATE webhook_subscriptions SET ? WHERE id = ?', [toColumns(bodyWithAccount(req), editable), current.id]);
+    invalidateSubscriptions();
+    const [[updated]] = await pool.query('SELECT * FROM webhook_subscriptions WHERE id = ?', [current.id]);
+    res.json({ subscription: toPublic(updated, { revealSecret: req.body?.secret !== undefined }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+webhooksRouter.delete('/subscriptions/:id', async (req, res) => {
+  try {
+    const sub = await loadSubscription(req.params.id, await getUserTenants(req.user.id));
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+    await pool.query('DELETE FROM webhook_subscriptions WHERE id = ?', [sub.id]);
+    invalidateSubscriptions();
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+webhooksRouter.post('/subscriptions/:id/test', async (req, res) => {
+  try {
+    const sub = await loadSubscription(req.params.id, await getUserTenants(req.user.id));
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+    const payload = { event: 'ping', occurredAt: new Date().toISOString(), data: { subscriptionId: sub.id } };
+    const [result] = await pool.query(
+      'INSERT INTO webhook_deliveries (subscription_id, event_type, event_id, payload, next_attempt_at) VALUES (?, ?, ?, ?, NOW())',
+      [sub.id, 'ping', crypto.randomUUID(), JSON.stringify(payload)]
+    );
+    res.status(202).json({ deliveryId: result.insertId });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+webhooksRouter.get('/deliveries', async (req, res) => {
+  const { subscriptionId, status, limit } = req.query;
+  try {
+    const tenants = await getUserTenants(req.user.id);
+    if (!tenants.length) return res.json({ data: [] });
+    const where = ['s.tenant IN (?)'];
+    const vals = [tenants];
+    if (subscriptionId) { where.push('d.subscription_id = ?'); vals.push(subscriptionId); }
+    if (status) { where.push('d.status = ?'); vals.push(status); }
+    const [rows] = await pool.query(
+      `SELECT d.id, d.subscription_id, s.name AS subscription_name, d.event_type, d.event_id, d.status,
+              d.attempts, d.last_status_code, d.last_error, d.next_attempt_at, d.created_at, d.delivered_at
+       FROM webhook_deliveries d JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE ${where.join(' AND ')}
+       ORDER BY d.id DESC LIMIT ?`,
+      [...vals, Math.min(Number(limit) || 200, 1000)]
+    );
+    res.json({ data: rows });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Back to the queue with a fresh attempt budget
+const REPLAY_SQL = `UPDATE webhook_deliveries d JOIN webhook_subscriptions s ON s.id = d.subscription_id
+  SET d.status = 'pending', d.attempts = 0, d.next_attempt_at = NOW(), d.delivered_at = NULL`;
+
+webhooksRouter.post('/deliveries/replay', async (req, res) => {
+  const { subscriptionId, status = 'dead' } = req.body || {};
+  if (!['dead', 'delivered'].includes(status)) {
+    return res.status(400).json({ error: 'status must be dead or delivered' });
+  }
+  try {
+    const tenants = await getUserTenants(req.user.id);
+    if (!tenants.length) return res.json({ replayed: 0 });
+    const where = ['d.status = ?', 's.tenant IN (?)'];
+    const vals = [status, tenants];
+    if (subscriptionId) { where.push('d.subscription_id = ?'); vals.push(subscriptionId); }
+    const [result] = await pool.query(`${REPLAY_SQL} WHERE ${where.join(' AND ')}`, vals);
+    res.json({ replayed: result.affectedRows });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+webhooksRouter.post('/deliveries/:id/replay', async (req, res) => {
+  try {
+    const tenants = await getUserTenants(req.user.id);
+    if (!tenants.length) return res.status(404).json({ error: 'Delivery not found' });
+    const [result] = await pool.query(
+      `${REPLAY_SQL} WHERE d.id = ? AND d.status IN ('dead', 'delivered') AND s.tenant IN (?)`,
+      [req.params.id, tenants]
+    );
+    if (!result.affectedRows) return res.status(404).json({ error: 'Delivery not found or still queued' });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});